@@ -0,0 +1,103 @@
+/**
+ * games.random - Class Access Checks
+ *
+ * Who may see what inside a class: the role middleware behind every
+ * /api/classes/:classId route, and the submission lookup that keeps students
+ * to their own work. The models are passed in, so the rules can be tested
+ * without a database.
+ *
+ * @module class-access
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * Create the class access checks
+ *
+ * @param {Object} options - Models and ID check
+ * @param {mongoose.Model} options.Classroom - Classroom model
+ * @param {mongoose.Model} options.Submission - Submission model
+ * @param {function(*): boolean} options.isValidId - Whether a value is a valid document ID
+ * @returns {{requireClassRole: function(...string): Function, findClassSubmission: function(Request): Promise<Object|null>}} Access checks
+ *
+ * @example
+ * const { requireClassRole, findClassSubmission } = createClassAccess({ Classroom, Submission, isValidId });
+ */
+export function createClassAccess({ Classroom, Submission, isValidId }) {
+    /**
+     * Class role middleware, layered on requireAuth
+     *
+     * Loads the class named by req.params.classId and works out whether the user
+     * is its teacher or one of its students. Users outside the class get a 404 (so
+     * class IDs can't be probed); members without one of the allowed roles get a 403.
+     * Sets req.classroom and req.classRole for the route.
+     *
+     * @param {...string} roles - Allowed roles ('teacher', 'student')
+     * @returns {Function} Express middleware
+     *
+     * @example
+     * app.post('/api/classes/:classId/assignments', requireAuth, requireClassRole('teacher'), handler);
+     */
+    function requireClassRole(...roles) {
+        return async (req, res, next) => {
+            try {
+                const classroom = isValidId(req.params.classId)
+                    ? await Classroom.findById(req.params.classId)
+                    : null;
+
+                let role = null;
+                if (classroom && classroom.teacherId === req.user.id) {
+                    role = 'teacher';
+                } else if (classroom && classroom.students.some(student => student.userId === req.user.id)) {
+                    role = 'student';
+                }
+
+                if (!role) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Class not found'
+                    });
+                }
+
+                if (!roles.includes(role)) {
+                    return res.status(403).json({
+                        success: false,
+                        error: `Only the class ${roles.join(' or ')} can do this`
+                    });
+                }
+
+                req.classroom = classroom;
+                req.classRole = role;
+                next();
+
+            } catch (error) {
+                console.error('❌ Error checking class role:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        };
+    }
+
+    /**
+     * Find a submission the requester may review
+     * Teachers can open any submission in their class; students only their own
+     *
+     * @param {Request} req - Express request (req.classroom, req.classRole and req.params.submissionId)
+     * @returns {Promise<Object|null>} Submission (lean) or null if not found / not allowed
+     */
+    async function findClassSubmission(req) {
+        if (!isValidId(req.params.submissionId)) {
+            return null;
+        }
+
+        const query = { _id: req.params.submissionId, classId: req.classroom._id };
+        if (req.classRole === 'student') {
+            query.studentId = req.user.id;
+        }
+        return Submission.findOne(query).lean();
+    }
+
+    return { requireClassRole, findClassSubmission };
+}
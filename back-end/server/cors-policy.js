@@ -0,0 +1,45 @@
+/**
+ * games.random - CORS Policy
+ *
+ * Decides which other sites may call the API. The site's own origin and the
+ * configured origins get full access, cookies included. With '*' configured
+ * any other site may call the API too, but never with credentials, so a
+ * random page can't act as the signed-in user.
+ *
+ * @module cors-policy
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * CORS options for one request, as taken by the cors middleware
+ *
+ * @typedef {Object} CorsOptions
+ * @property {boolean|string} origin - true to echo the request's origin, '*' for any site, false to refuse
+ * @property {boolean} credentials - Whether the browser may send cookies
+ */
+
+/**
+ * Create the policy for a site and its allowed origins
+ *
+ * @param {string} siteOrigin - The site's own origin (e.g. 'https://games.example.org')
+ * @param {Array<string>} corsOrigins - Other origins allowed to call the API; '*' allows any, without credentials
+ * @returns {function(string=): CorsOptions} Options for a request's Origin header (undefined for same-origin requests)
+ *
+ * @example
+ * const corsPolicy = createCorsPolicy(new URL(PUBLIC_BASE_URL).origin, CORS_ORIGINS);
+ * app.use(cors((req, callback) => callback(null, corsPolicy(req.get('Origin')))));
+ */
+export function createCorsPolicy(siteOrigin, corsOrigins) {
+    const allowedOrigins = new Set([siteOrigin, ...corsOrigins.filter(origin => origin !== '*')]);
+    const allowAnyOrigin = corsOrigins.includes('*');
+
+    return origin => {
+        const trusted = !origin || allowedOrigins.has(origin);
+
+        return {
+            origin: trusted ? true : (allowAnyOrigin ? '*' : false),
+            credentials: trusted
+        };
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * games.random - Line Diff Utility
+ *
+ * Computes line-by-line differences between two versions of game code.
+ * Used to compare saved game revisions.
+ *
+ * @module diff
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * A single line in a diff result
+ *
+ * @typedef {Object} DiffLine
+ * @property {string} type - 'equal', 'insert' or 'delete'
+ * @property {string} text - Line content
+ * @property {number|null} oldLine - 1-based line number in the old text (null for inserts)
+ * @property {number|null} newLine - 1-based line number in the new text (null for deletes)
+ */
+
+/**
+ * Find where to split two line ranges so each half can be diffed on its own
+ *
+ * Runs Myers' search forwards from the start and backwards from the end at the
+ * same time, and returns the point where the two paths meet (the "middle
+ * snake"). Only the furthest point on each diagonal is kept, so memory stays
+ * linear in the number of lines rather than growing with every edit step.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {number} aStart - First old line in the range (0-based)
+ * @param {number} aEnd - End of the old range (exclusive)
+ * @param {number} bStart - First new line in the range (0-based)
+ * @param {number} bEnd - End of the new range (exclusive)
+ * @returns {{x: number, y: number}|null} Split point (offsets into the ranges), or null if nothing lines up
+ */
+function middleSnake(a, b, aStart, aEnd, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD + 1;        // Shifts diagonal k into a non-negative array index
+    const size = 2 * maxD + 3;
+    const delta = n - m;
+    const forwardEndsFirst = delta % 2 !== 0;
+
+    // Furthest x reached on each diagonal, from the start and from the end
+    const forward = new Int32Array(size).fill(-1);
+    const reverse = new Int32Array(size).fill(-1);
+    forward[offset + 1] = 0;
+    reverse[offset + 1] = 0;
+
+    // Diagonals that ran off the edge of the grid are skipped from then on
+    let forwardStart = 0;
+    let forwardEnd = 0;
+    let reverseStart = 0;
+    let reverseEnd = 0;
+
+    for (let d = 0; d < maxD; d++) {
+        for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]      // Step down (insert)
+                : forward[offset + k - 1] + 1; // Step right (delete)
+            let y = x - k;
+
+            // Follow matching lines diagonally
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+
+            forward[offset + k] = x;
+
+            if (x > n) {
+                forwardEnd += 2;
+            } else if (y > m) {
+                forwardStart += 2;
+            } else if (forwardEndsFirst) {
+                const reverseK = offset + delta - k;
+                if (reverseK >= 0 && reverseK < size && reverse[reverseK] !== -1 && x >= n - reverse[reverseK]) {
+                    return { x, y };
+                }
+            }
+        }
+
+        for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+            let x = (k === -d || (k !== d && reverse[offset + k - 1] < reverse[offset + k + 1]))
+                ? reverse[offset + k + 1]
+                : reverse[offset + k - 1] + 1;
+            let y = x - k;
+
+            // Follow matching lines diagonally, counting from the end
+            while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+                x++;
+                y++;
+            }
+
+            reverse[offset + k] = x;
+
+            if (x > n) {
+                reverseEnd += 2;
+            } else if (y > m) {
+                reverseStart += 2;
+            } else if (!forwardEndsFirst) {
+                const forwardK = offset + delta - k;
+                if (forwardK >= 0 && forwardK < size && forward[forwardK] !== -1) {
+                    const forwardX = forward[forwardK];
+                    if (forwardX >= n - x) {
+                        return { x: forwardX, y: forwardX - (forwardK - offset) };
+                    }
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Diff two line ranges, appending the result to `lines`
+ *
+ * Matching lines at either end are taken off first; what's left is split at its
+ * middle snake and each half diffed in turn.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {number} aStart - First old line in the range (0-based)
+ * @param {number} aEnd - End of the old range (exclusive)
+ * @param {number} bStart - First new line in the range (0-based)
+ * @param {number} bEnd - End of the new range (exclusive)
+ * @param {Array<DiffLine>} lines - Receives the diff lines in order
+ */
+function diffRange(a, b, aStart, aEnd, bStart, bEnd, lines) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        lines.push({ type: 'equal', text: a[aStart], oldLine: aStart + 1, newLine: bStart + 1 });
+        aStart++;
+        bStart++;
+    }
+
+    let suffix = 0;
+    while (aStart < aEnd - suffix && bStart < bEnd - suffix && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) {
+        suffix++;
+    }
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    const split = (aStart < aEnd && bStart < bEnd) ? middleSnake(a, b, aStart, aEnd, bStart, bEnd) : null;
+
+    if (split) {
+        diffRange(a, b, aStart, aStart + split.x, bStart, bStart + split.y, lines);
+        diffRange(a, b, aStart + split.x, aEnd, bStart + split.y, bEnd, lines);
+    } else {
+        for (let x = aStart; x < aEnd; x++) {
+            lines.push({ type: 'delete', text: a[x], oldLine: x + 1, newLine: null });
+        }
+        for (let y = bStart; y < bEnd; y++) {
+            lines.push({ type: 'insert', text: b[y], oldLine: null, newLine: y + 1 });
+        }
+    }
+
+    for (let i = 0; i < suffix; i++) {
+        lines.push({ type: 'equal', text: a[aEnd + i], oldLine: aEnd + i + 1, newLine: bEnd + i + 1 });
+    }
+}
+
+/**
+ * Compute a line diff between two texts using Myers' algorithm
+ *
+ * Finds the shortest edit script, so unchanged lines are kept aligned
+ * even when large blocks are inserted or removed. Uses the linear-space
+ * variant, so memory grows with the number of lines, not with the number
+ * of lines times the number of edits.
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {{added: number, removed: number, lines: Array<DiffLine>}} Diff summary and lines in order
+ *
+ * @example
+ * const { added, removed } = diffLines(oldRevision.code, newRevision.code);
+ */
+export function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    const lines = [];
+
+    diffRange(a, b, 0, a.length, 0, b.length, lines);
+
+    // Within each run of changes, list the removed lines before the added ones
+    const ordered = [];
+    let inserts = [];
+    lines.forEach(line => {
+        if (line.type === 'insert') {
+            inserts.push(line);
+            return;
+        }
+        if (line.type === 'equal') {
+            inserts.forEach(insert => ordered.push(insert));
+            inserts = [];
+        }
+        ordered.push(line);
+    });
+    inserts.forEach(insert => ordered.push(insert));
+
+    return {
+        added: ordered.filter(line => line.type === 'insert').length,
+        removed: ordered.filter(line => line.type === 'delete').length,
+        lines: ordered
+    };
+}
@@ -0,0 +1,378 @@
+/**
+ * games.random - Engine Registry
+ *
+ * Every game library games.random can generate for, in one place: its system
+ * prompt, runtime script, the page games run in, instrumentation and flow
+ * hints for the editor, and the versions vendored in back-end/vendor.
+ * Adding a library means adding an entry here, a prompt file and (for
+ * engines with a runtime script) the vendored files.
+ *
+ * Every saved game carries a runtime manifest ({ library, version }), so it keeps
+ * running on the exact engine it was written for while new games get the
+ * latest one. Games can be moved to another version after a check for APIs
+ * that version has deprecated or removed.
+ *
+ * @module engines
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * A known API that an engine version deprecated or removed
+ *
+ * @typedef {Object} ApiRule
+ * @property {string} api - API as written in game code
+ * @property {RegExp} pattern - Matches uses of the API (global)
+ * @property {string} [deprecated] - First vendored version where the API is deprecated
+ * @property {string} [removed] - First vendored version where the API no longer works
+ * @property {string} fix - What to use instead
+ */
+
+/**
+ * A step of the engine's game lifecycle, shown as the game flow in the editor
+ *
+ * @typedef {Object} FlowStep
+ * @property {string} name - Function the engine (or the game's own loop) calls
+ * @property {string} description - What the step is for
+ * @property {boolean} [loop] - Runs every frame
+ * @property {boolean} [optional] - Games don't have to define it
+ */
+
+/**
+ * A game library
+ *
+ * @typedef {Object} Engine
+ * @property {string} name - Display name
+ * @property {string} description - One line for the library picker
+ * @property {string} prompt - Generation system prompt in the prompt registry (a directory in back-end/prompts)
+ * @property {string|null} file - Runtime script in back-end/vendor/<library>/<version>/, or null if the game needs none
+ * @property {string|null} license - License of the runtime script
+ * @property {string} homepage - Documentation link
+ * @property {string[]} versions - Vendored versions, oldest first (for engines without a runtime script, versions of the page template)
+ * @property {string} legacyVersion - Version games saved before runtime manifests existed were played with
+ * @property {string} page - Markup the game runs in (play page sandbox and exports)
+ * @property {{frameLoop: string[], setup: string[]}} instrumentation - Functions the engine calls every frame
+ *   (too frequent to highlight) and once at start (the editor's setup filter)
+ * @property {FlowStep[]} flow - Game lifecycle, in order
+ * @property {ApiRule[]} apiRules - Deprecated and removed APIs
+ */
+
+// Bare global-mode calls (not methods, not the game's own function of the same name)
+const p5Global = name => new RegExp(`(?<![\\w$.]|function\\s+)${name}\\s*\\(`, 'g');
+
+/** @type {Object<string, Engine>} */
+const ENGINES = {
+    p5js: {
+        name: 'p5.js',
+        description: 'Great for simple 2D sketches, arcade games, and visual learning.',
+        prompt: 'game-p5js',
+        file: 'p5.min.js',
+        license: 'LGPL-2.1',
+        homepage: 'https://p5js.org',
+        versions: ['1.7.0', '1.11.13'],
+        legacyVersion: '1.7.0',
+        page: '<div id="game"></div>',
+        instrumentation: {
+            frameLoop: ['draw'],
+            setup: ['preload', 'setup']
+        },
+        flow: [
+            { name: 'preload', description: 'Load images and sounds', optional: true },
+            { name: 'setup', description: 'Create the canvas and starting state' },
+            { name: 'draw', description: 'Update and redraw the game', loop: true }
+        ],
+        apiRules: [
+            { api: 'append()', pattern: p5Global('append'), deprecated: '1.7.0', fix: 'Use array.push(value)' },
+            { api: 'arrayCopy()', pattern: p5Global('arrayCopy'), deprecated: '1.7.0', fix: 'Use array.slice() or array.copyWithin()' },
+            { api: 'concat()', pattern: p5Global('concat'), deprecated: '1.7.0', fix: 'Use array1.concat(array2)' },
+            { api: 'reverse()', pattern: p5Global('reverse'), deprecated: '1.7.0', fix: 'Use array.reverse()' },
+            { api: 'shorten()', pattern: p5Global('shorten'), deprecated: '1.7.0', fix: 'Use array.pop()' },
+            { api: 'sort()', pattern: p5Global('sort'), deprecated: '1.7.0', fix: 'Use array.sort()' },
+            { api: 'splice()', pattern: p5Global('splice'), deprecated: '1.7.0', fix: 'Use array.splice()' },
+            { api: 'subset()', pattern: p5Global('subset'), deprecated: '1.7.0', fix: 'Use array.slice()' }
+        ]
+    },
+    phaser: {
+        name: 'Phaser',
+        description: 'Scene-based engine for more advanced 2D games and levels.',
+        prompt: 'game-phaser',
+        file: 'phaser.min.js',
+        license: 'MIT',
+        homepage: 'https://phaser.io',
+        versions: ['3.60.0', '3.90.0'],
+        legacyVersion: '3.60.0',
+        page: '<div id="game"></div>',
+        instrumentation: {
+            frameLoop: ['update'],
+            setup: ['init', 'preload', 'create']
+        },
+        flow: [
+            { name: 'init', description: 'Receive data from the previous scene', optional: true },
+            { name: 'preload', description: 'Load images and sounds', optional: true },
+            { name: 'create', description: 'Add sprites, physics and input' },
+            { name: 'update', description: 'Move things and check the rules', loop: true }
+        ],
+        apiRules: [
+            {
+                api: 'createEmitter()',
+                pattern: /\.createEmitter\s*\(/g,
+                removed: '3.60.0',
+                fix: 'this.add.particles(x, y, texture, config) returns the emitter itself; there is no ParticleEmitterManager'
+            },
+            {
+                api: 'emitter.emitZone / emitter.deathZone',
+                pattern: /\.(emitZone|deathZone)\b/g,
+                removed: '3.60.0',
+                fix: 'Use addEmitZone() / addDeathZone(), or the emitZones / deathZones arrays'
+            },
+            {
+                api: 'Phaser.Geom.Point',
+                pattern: /Phaser\.Geom\.Point\b/g,
+                deprecated: '3.90.0',
+                fix: 'Use Phaser.Math.Vector2'
+            },
+            {
+                api: 'Phaser.Structs.Map / Phaser.Structs.Set',
+                pattern: /Phaser\.Structs\.(Map|Set)\b/g,
+                deprecated: '3.90.0',
+                fix: 'Use the built-in Map and Set'
+            },
+            {
+                api: 'textures.generate() / Phaser.Create',
+                pattern: /\.textures\.generate\s*\(|Phaser\.Create\./g,
+                deprecated: '3.90.0',
+                fix: 'Draw with a Graphics object and call generateTexture()'
+            }
+        ]
+    },
+    canvas: {
+        name: 'Canvas 2D',
+        description: 'Plain JavaScript and the browser\'s canvas, with no framework at all.',
+        prompt: 'game-canvas',
+        file: null,
+        license: null,
+        homepage: 'https://developer.mozilla.org/en-US/docs/Web/API/Canvas_API',
+        versions: ['1.0'],
+        legacyVersion: '1.0',
+        page: '<canvas id="gameCanvas" width="800" height="600"></canvas>',
+        instrumentation: {
+            frameLoop: ['gameLoop', 'update', 'draw'],
+            setup: ['init']
+        },
+        flow: [
+            { name: 'init', description: 'Find the canvas, set up input and the starting state' },
+            { name: 'gameLoop', description: 'Schedule the next frame with requestAnimationFrame', loop: true },
+            { name: 'update', description: 'Move things and check the rules', loop: true },
+            { name: 'draw', description: 'Clear the canvas and draw everything', loop: true }
+        ],
+        apiRules: []
+    }
+};
+
+/**
+ * Every registered library
+ * @type {string[]}
+ */
+export const LIBRARIES = Object.keys(ENGINES);
+
+/**
+ * Runtime manifest of a game
+ *
+ * @typedef {Object} Runtime
+ * @property {string} library - Library name (see LIBRARIES)
+ * @property {string} version - Exact engine version, e.g. '3.90.0'
+ */
+
+/**
+ * Compare two dotted version numbers
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Look up a registered engine
+ * @param {string} library - Library name
+ * @returns {Engine|null} Engine, or null if unknown
+ */
+export function getEngine(library) {
+    return Object.hasOwn(ENGINES, library) ? ENGINES[library] : null;
+}
+
+/**
+ * Check that a library is registered
+ * @param {*} library - Library name from the client
+ * @returns {boolean} True if games can be made with it
+ */
+export function isLibrary(library) {
+    return getEngine(library) !== null;
+}
+
+/**
+ * Newest vendored version of a library (used for new games)
+ * @param {string} library - Library name
+ * @returns {string} Version
+ */
+export function latestVersion(library) {
+    const { versions } = ENGINES[library];
+    return versions[versions.length - 1];
+}
+
+/**
+ * Check that a version of a library is vendored
+ * @param {string} library - Library name
+ * @param {*} version - Version from the client
+ * @returns {boolean} True if games can run on this version
+ */
+export function isAvailableVersion(library, version) {
+    const engine = getEngine(library);
+    return Boolean(engine) && engine.versions.includes(version);
+}
+
+/**
+ * Runtime manifest of a saved game
+ * Games saved before manifests existed ran on the legacy versions
+ *
+ * @param {Object} game - Game document or lean object
+ * @returns {Runtime} Library and exact version
+ */
+export function getRuntime(game) {
+    const version = game.runtime && game.runtime.version;
+    return {
+        library: game.library,
+        version: version || ENGINES[game.library].legacyVersion
+    };
+}
+
+/**
+ * Describe what a game runs on, for prompts and export headers
+ * @param {Runtime} runtime - Library and exact version
+ * @returns {string} e.g. 'p5.js 1.11.13'
+ */
+export function describeRuntime({ library, version }) {
+    const engine = ENGINES[library];
+    return engine.file ? `${engine.name} ${version}` : `plain JavaScript on an HTML5 ${engine.name} (no libraries)`;
+}
+
+/**
+ * Every registered engine, for the client
+ * Includes what the play page needs to run and explain games (page markup,
+ * instrumentation and flow), but not the server-side prompt and API rules
+ *
+ * @returns {Array<Object>} Engines with library, name, versions (oldest first) and latest
+ */
+export function listEngines() {
+    return Object.entries(ENGINES).map(([library, engine]) => ({
+        library,
+        name: engine.name,
+        description: engine.description,
+        file: engine.file,
+        license: engine.license,
+        homepage: engine.homepage,
+        versions: engine.versions,
+        latest: latestVersion(library),
+        legacyVersion: engine.legacyVersion,
+        page: engine.page,
+        instrumentation: engine.instrumentation,
+        flow: engine.flow
+    }));
+}
+
+/**
+ * Deprecated or removed API used by a game
+ *
+ * @typedef {Object} ApiIssue
+ * @property {string} api - API name
+ * @property {string} severity - 'error' (removed in this version) or 'warning' (deprecated)
+ * @property {string} since - First vendored version that deprecates or removes the API
+ * @property {string} fix - What to use instead
+ * @property {number[]} lines - 1-based lines where the API is used
+ */
+
+/**
+ * Rules that apply to a version, with their severity there
+ * @param {string} library - Library name
+ * @param {string} version - Engine version
+ * @returns {Array<{rule: ApiRule, severity: string, since: string}>} Applicable rules
+ */
+function rulesFor(library, version) {
+    return ENGINES[library].apiRules.flatMap(rule => {
+        if (rule.removed && compareVersions(version, rule.removed) >= 0) {
+            return [{ rule, severity: 'error', since: rule.removed }];
+        }
+        if (rule.deprecated && compareVersions(version, rule.deprecated) >= 0) {
+            return [{ rule, severity: 'warning', since: rule.deprecated }];
+        }
+        return [];
+    });
+}
+
+/**
+ * Find uses of APIs that an engine version deprecated or removed
+ *
+ * @param {string} code - Game code
+ * @param {string} library - Library name
+ * @param {string} version - Engine version the code will run on
+ * @returns {ApiIssue[]} Issues, errors first
+ *
+ * @example
+ * checkApiUsage('this.add.particles("spark").createEmitter({})', 'phaser', '3.90.0');
+ * // [{ api: 'createEmitter()', severity: 'error', since: '3.60.0', fix: '...', lines: [1] }]
+ */
+export function checkApiUsage(code, library, version) {
+    const lineStarts = [0];
+    for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+    const lineOf = index => lineStarts.findLastIndex(start => start <= index) + 1;
+
+    const issues = rulesFor(library, version).flatMap(({ rule, severity, since }) => {
+        const lines = [...new Set([...code.matchAll(rule.pattern)].map(match => lineOf(match.index)))];
+        return lines.length ? [{ api: rule.api, severity, since, fix: rule.fix, lines }] : [];
+    });
+
+    return issues.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+}
+
+/**
+ * Check a game before moving it to another engine version
+ * Issues that the current version doesn't have are marked as introduced
+ *
+ * @param {string} code - Game code
+ * @param {Runtime} from - Current runtime
+ * @param {string} toVersion - Version to move to
+ * @returns {{issues: Array<ApiIssue & {introduced: boolean}>, blocking: boolean}} Issues at the new version; blocking if the switch breaks an API the game uses
+ */
+export function checkUpgrade(code, from, toVersion) {
+    const current = new Map(checkApiUsage(code, from.library, from.version).map(issue => [issue.api, issue.severity]));
+    const issues = checkApiUsage(code, from.library, toVersion).map(issue => ({
+        ...issue,
+        introduced: current.get(issue.api) !== issue.severity
+    }));
+
+    return { issues, blocking: issues.some(issue => issue.severity === 'error' && issue.introduced) };
+}
+
+/**
+ * Describe the APIs to avoid on a version, for the generation prompts
+ * @param {string} library - Library name
+ * @param {string} version - Engine version
+ * @returns {string} One '- ' line per API, or a note that there are none
+ */
+export function describeApiRules(library, version) {
+    const rules = rulesFor(library, version);
+    if (!rules.length) return '- (none known)';
+
+    return rules
+        .map(({ rule, severity }) => `- ${rule.api} (${severity === 'error' ? 'removed' : 'deprecated'}): ${rule.fix}`)
+        .join('\n');
+}
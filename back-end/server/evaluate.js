@@ -0,0 +1,427 @@
+/**
+ * games.random - Prompt Evaluation Harness
+ *
+ * Runs a fixed suite of game descriptions (back-end/eval/suite.json) through
+ * one or more versions of the game prompts and scores every game, so a prompt
+ * change can be judged across the whole suite instead of a couple of tries.
+ *
+ * Each game is generated once per run with no repairs (see draftGame in
+ * main.js) and scored on four checks, plus its size:
+ * - parses: the code compiles
+ * - entry points: every required lifecycle function of the engine's flow is defined
+ *   (setup()/draw() for p5.js, create()/update() for Phaser...) and the smoke runner
+ *   finds the game's entry points
+ * - runs: the game runs the requested number of frames headlessly without throwing
+ * - start screen: the game has a start/menu/title state before gameplay
+ *
+ * The model is the one configured for game generation (LLM_GENERATE_PROVIDER /
+ * LLM_GENERATE_MODEL, see providers.js), or set with --provider and --model.
+ * With --provider mock the recorded fixtures are scored instead, which needs no
+ * API key; fixtures don't depend on the prompt, so every version gets the same games.
+ *
+ * Usage:
+ *   npm run eval -- --prompts v1,v2 [--library p5js] [--runs 3] [--frames 60]
+ *                   [--provider anthropic] [--model claude-...] [--suite file] [--out report.md]
+ *
+ * Writes a Markdown comparison report and the full results (including the
+ * generated code) as JSON next to it, in back-end/eval/reports by default.
+ *
+ * @module evaluate
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { draftGame } from './main.js';
+import { checkSyntax, validateGame } from './validator.js';
+import { getModelConfig } from './providers.js';
+import { getEngine, isLibrary } from './engines.js';
+import { hasPrompt } from './prompts.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_SUITE = join(__dirname, '../eval/suite.json');
+const REPORTS_DIR = join(__dirname, '../eval/reports');
+const DEFAULT_FRAMES = 60;
+const ACTIVE = 'active'; // Label for the prompt version in use when none is given
+
+// Scored checks, in report order
+const CHECKS = [
+    { key: 'parses', label: 'Parses' },
+    { key: 'entryPoints', label: 'Entry points' },
+    { key: 'runs', label: 'Runs' },
+    { key: 'startScreen', label: 'Start screen' }
+];
+
+// A string state like 'start', "menu" or 'titleScreen' assigned, compared or used as a scene key
+const START_STATE = /(?:[=:(]|case)\s*(['"`])(?:start|menu|title|intro|ready)(?:[ _-]?(?:screen|scene|menu))?\1/i;
+// A scene class for the start screen (Phaser games often use one instead of a state variable)
+const START_SCENE = /class\s+\w*(?:Start|Menu|Title|Intro|Boot)\w*\s+extends\b/;
+
+/**
+ * Score of one generated game
+ *
+ * @typedef {Object} CaseResult
+ * @property {string} id - Suite case ID
+ * @property {string} library - Game library
+ * @property {string} prompt - Prompt version label asked for ('v1', 'v2' or 'active')
+ * @property {number} run - Run number, from 1
+ * @property {string|null} promptVersion - Prompt that produced the game, e.g. 'game-p5js@v2'
+ * @property {Object<string, boolean|null>} checks - Check key → passed (null when the smoke run was skipped)
+ * @property {number} score - Checks passed, out of CHECKS.length
+ * @property {string[]} missing - Required lifecycle functions not defined
+ * @property {{lines: number, chars: number}} size - Code size
+ * @property {number} outputTokens - Output tokens used
+ * @property {boolean} truncated - True if the output ceiling cut the game off
+ * @property {number} seconds - Generation time
+ * @property {string|null} error - Why the game failed, if it did
+ * @property {string} code - Generated code
+ */
+
+/**
+ * Check whether game code defines a function, as a declaration, a method or an assigned function
+ *
+ * @param {string} code - Game code
+ * @param {string} name - Function name
+ * @returns {boolean} True if it is defined
+ */
+function definesFunction(code, name) {
+    return new RegExp(
+        `function\\s+${name}\\s*\\(` +                                          // function draw() {
+        `|(?<![\\w$.])${name}\\s*\\([^)]*\\)\\s*\\{` +                          // update(time) { (class method)
+        `|(?<![\\w$.])${name}\\s*[:=]\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*=>|[\\w$]+\\s*=>)` // draw = () =>
+    ).test(code);
+}
+
+/**
+ * Score generated game code
+ *
+ * @param {string} code - Game code
+ * @param {string} library - Game library
+ * @param {number} frames - Frames to run headlessly
+ * @returns {Promise<{checks: Object<string, boolean|null>, missing: string[], error: string|null}>} Check results
+ */
+async function scoreCode(code, library, frames) {
+    const syntax = checkSyntax(code);
+    const missing = getEngine(library).flow
+        .filter(step => !step.optional)
+        .map(step => step.name)
+        .filter(name => !definesFunction(code, name));
+
+    const validation = syntax.valid
+        ? await validateGame(code, library, { frames })
+        : syntax;
+
+    let error = null;
+    if (!validation.valid) {
+        error = `${validation.stage}: ${validation.error}${validation.line ? ` (line ${validation.line})` : ''}`;
+    } else if (missing.length) {
+        error = `entry-points: ${missing.map(name => `${name}()`).join(', ')} not defined`;
+    }
+
+    return {
+        checks: {
+            parses: syntax.valid,
+            entryPoints: syntax.valid && !missing.length && validation.stage !== 'entry-points',
+            runs: validation.skipped ? null : validation.valid,
+            startScreen: START_STATE.test(code) || START_SCENE.test(code)
+        },
+        missing,
+        error
+    };
+}
+
+/**
+ * Generate and score one suite case with one prompt version
+ *
+ * @param {{id: string, library: string, description: string}} testCase - Suite case
+ * @param {string} prompt - Prompt version, or ACTIVE
+ * @param {number} run - Run number
+ * @param {number} frames - Frames to run headlessly
+ * @returns {Promise<CaseResult>} Score
+ */
+async function evaluateCase(testCase, prompt, run, frames) {
+    const result = {
+        id: testCase.id,
+        library: testCase.library,
+        prompt,
+        run,
+        promptVersion: null,
+        checks: Object.fromEntries(CHECKS.map(check => [check.key, false])),
+        score: 0,
+        missing: [],
+        size: { lines: 0, chars: 0 },
+        outputTokens: 0,
+        truncated: false,
+        seconds: 0,
+        error: null,
+        code: ''
+    };
+
+    const startTime = performance.now();
+
+    try {
+        const draft = await draftGame(testCase.description, testCase.library, prompt === ACTIVE ? undefined : prompt);
+        result.seconds = Number(((performance.now() - startTime) / 1000).toFixed(1));
+
+        Object.assign(result, {
+            promptVersion: draft.promptVersion,
+            outputTokens: draft.outputTokens,
+            truncated: draft.truncated,
+            code: draft.code,
+            size: { lines: draft.code.split('\n').length, chars: draft.code.length }
+        }, await scoreCode(draft.code, testCase.library, frames));
+
+        result.score = Object.values(result.checks).filter(Boolean).length;
+    } catch (error) {
+        result.seconds = Number(((performance.now() - startTime) / 1000).toFixed(1));
+        result.error = `generation: ${error.message}`;
+    }
+
+    return result;
+}
+
+// ========== REPORT ==========
+
+/**
+ * Average of some numbers
+ * @param {number[]} values - Numbers
+ * @returns {number} Mean, or 0 for none
+ */
+function mean(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Summarise every result of one prompt version
+ *
+ * @param {CaseResult[]} results - Results of that version
+ * @returns {{games: number, passed: Object<string, number>, scored: Object<string, number>, rates: Object<string, number>, score: number, lines: number, outputTokens: number, truncated: number}} Totals
+ */
+function summarize(results) {
+    const passed = {};
+    const scored = {};
+    const rates = {};
+
+    for (const { key } of CHECKS) {
+        const outcomes = results.map(result => result.checks[key]).filter(outcome => outcome !== null);
+        passed[key] = outcomes.filter(Boolean).length;
+        scored[key] = outcomes.length;
+        rates[key] = outcomes.length ? (passed[key] / outcomes.length) * 100 : 0;
+    }
+
+    const generated = results.filter(result => result.code);
+    return {
+        games: results.length,
+        passed,
+        scored,
+        rates,
+        score: mean(results.map(result => result.score)),
+        lines: mean(generated.map(result => result.size.lines)),
+        outputTokens: mean(generated.map(result => result.outputTokens)),
+        truncated: results.filter(result => result.truncated).length
+    };
+}
+
+/**
+ * Format a signed difference, e.g. "+0.50" or "-12"
+ * @param {number} value - Difference
+ * @param {number} digits - Decimal places
+ * @returns {string} Difference with its sign
+ */
+function formatDelta(value, digits) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+/**
+ * Write the comparison report in Markdown
+ *
+ * @param {Object} report - Evaluation settings and results
+ * @returns {string} Markdown report
+ */
+function renderReport({ model, frames, runs, suite, prompts, results, startedAt }) {
+    const byPrompt = new Map(prompts.map(prompt => [prompt, results.filter(result => result.prompt === prompt)]));
+    const summaries = new Map([...byPrompt].map(([prompt, promptResults]) => [prompt, summarize(promptResults)]));
+    const [baseline] = prompts;
+    const lines = [];
+
+    lines.push('# Prompt evaluation', '');
+    lines.push(`- Date: ${startedAt.toISOString()}`);
+    lines.push(`- Model: ${model.provider} / ${model.model}`);
+    lines.push(`- Suite: ${suite.length} games × ${runs} run(s), ${frames} frames each`);
+    lines.push(`- Score: checks passed out of ${CHECKS.length} (${CHECKS.map(check => check.label.toLowerCase()).join(', ')})`);
+    lines.push('');
+
+    lines.push('## Summary', '');
+    lines.push(`| Prompt | ${CHECKS.map(check => check.label).join(' | ')} | Avg score | Avg lines | Avg output tokens | Truncated |`);
+    lines.push(`|---|${CHECKS.map(() => '---|').join('')}---|---|---|---|`);
+    for (const [prompt, summary] of summaries) {
+        if (!summary.games) {
+            lines.push(`| ${prompt} | ${CHECKS.map(() => 'n/a').join(' | ')} | n/a | n/a | n/a | n/a |`);
+            continue;
+        }
+        const checkCells = CHECKS.map(({ key }) => `${summary.passed[key]}/${summary.scored[key]} (${Math.round(summary.rates[key])}%)`);
+        lines.push(`| ${prompt} | ${checkCells.join(' | ')} | ${summary.score.toFixed(2)} | ${Math.round(summary.lines)} | ${Math.round(summary.outputTokens)} | ${summary.truncated} |`);
+    }
+    lines.push('');
+
+    if (prompts.length > 1) {
+        const base = summaries.get(baseline);
+        lines.push(`## Compared with ${baseline}`, '');
+        lines.push('Change in pass rate (percentage points), average score and average lines.', '');
+        lines.push(`| Prompt | ${CHECKS.map(check => check.label).join(' | ')} | Avg score | Avg lines |`);
+        lines.push(`|---|${CHECKS.map(() => '---|').join('')}---|---|`);
+        for (const prompt of prompts.slice(1)) {
+            const summary = summaries.get(prompt);
+            if (!base.games || !summary.games) {
+                lines.push(`| ${prompt} | ${CHECKS.map(() => 'n/a').join(' | ')} | n/a | n/a |`);
+                continue;
+            }
+            const checkCells = CHECKS.map(({ key }) => formatDelta(summary.rates[key] - base.rates[key], 0));
+            lines.push(`| ${prompt} | ${checkCells.join(' | ')} | ${formatDelta(summary.score - base.score, 2)} | ${formatDelta(summary.lines - base.lines, 0)} |`);
+        }
+        lines.push('');
+    }
+
+    lines.push('## Per game', '');
+    lines.push('Average score and lines for each prompt.', '');
+    lines.push(`| Game | Library | ${prompts.join(' | ')} |`);
+    lines.push(`|---|---|${prompts.map(() => '---|').join('')}`);
+    for (const testCase of suite) {
+        const cells = prompts.map(prompt => {
+            const caseResults = byPrompt.get(prompt).filter(result => result.id === testCase.id);
+            if (!caseResults.length) return 'n/a';
+            const generated = caseResults.filter(result => result.code);
+            return `${mean(caseResults.map(result => result.score)).toFixed(1)} · ${Math.round(mean(generated.map(result => result.size.lines)))} lines`;
+        });
+        lines.push(`| ${testCase.id} | ${testCase.library} | ${cells.join(' | ')} |`);
+    }
+    lines.push('');
+
+    const failures = results.filter(result => result.error);
+    if (failures.length) {
+        lines.push('## Failures', '');
+        for (const result of failures) {
+            lines.push(`- **${result.prompt}** ${result.id} (run ${result.run}): ${result.error.replace(/\s+/g, ' ')}`);
+        }
+        lines.push('');
+    }
+
+    const skipped = results.filter(result => result.checks.runs === null);
+    if (skipped.length) {
+        lines.push(`> The smoke run was skipped for ${skipped.length} game(s): this Node.js has no permission model.`, '');
+    }
+
+    return lines.join('\n');
+}
+
+// ========== CLI ==========
+
+/**
+ * Read the command line options
+ * @returns {Object} Options, validated
+ * @throws {Error} If an option is invalid
+ */
+function readOptions() {
+    const { values } = parseArgs({
+        options: {
+            prompts: { type: 'string', default: ACTIVE },
+            library: { type: 'string' },
+            runs: { type: 'string', default: '1' },
+            frames: { type: 'string', default: String(DEFAULT_FRAMES) },
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            suite: { type: 'string', default: DEFAULT_SUITE },
+            out: { type: 'string' }
+        }
+    });
+
+    const runs = parseInt(values.runs, 10);
+    const frames = parseInt(values.frames, 10);
+    if (!(runs >= 1)) throw new Error('--runs must be a positive number');
+    if (!(frames >= 1)) throw new Error('--frames must be a positive number');
+    if (values.library && !isLibrary(values.library)) {
+        throw new Error(`Unknown library "${values.library}"`);
+    }
+
+    return {
+        ...values,
+        prompts: [...new Set(values.prompts.split(',').map(prompt => prompt.trim()).filter(Boolean))],
+        runs,
+        frames
+    };
+}
+
+/**
+ * Load the suite, keeping only cases for the chosen library
+ *
+ * @param {string} path - Suite file
+ * @param {string} [library] - Only keep this library's cases
+ * @returns {Promise<Array<{id: string, library: string, description: string}>>} Suite cases
+ * @throws {Error} If the file is invalid
+ */
+async function loadSuite(path, library) {
+    const suite = JSON.parse(await readFile(path, 'utf8'));
+
+    for (const testCase of suite) {
+        if (!testCase.id || !testCase.description || !isLibrary(testCase.library)) {
+            throw new Error(`Invalid suite case ${JSON.stringify(testCase)}: needs an id, a description and a known library`);
+        }
+    }
+    return suite.filter(testCase => !library || testCase.library === library);
+}
+
+async function main() {
+    const options = readOptions();
+
+    // Command line choices win over the environment (and secrets/.env)
+    if (options.provider) process.env.LLM_GENERATE_PROVIDER = options.provider;
+    if (options.model) process.env.LLM_GENERATE_MODEL = options.model;
+    const model = getModelConfig('generate');
+
+    const suite = await loadSuite(resolve(options.suite), options.library);
+    if (!suite.length) {
+        throw new Error('The suite has no games to run');
+    }
+
+    const startedAt = new Date();
+    const results = [];
+    console.log(`🧪 Evaluating ${options.prompts.join(', ')} on ${suite.length} games × ${options.runs} run(s) with ${model.provider} / ${model.model}\n`);
+
+    for (const prompt of options.prompts) {
+        for (const testCase of suite) {
+            // A version may exist for some libraries' prompts only
+            if (prompt !== ACTIVE && !hasPrompt(getEngine(testCase.library).prompt, prompt)) {
+                console.log(`⏭️  ${prompt} · ${testCase.id}: no ${getEngine(testCase.library).prompt}@${prompt}, skipped`);
+                continue;
+            }
+
+            for (let run = 1; run <= options.runs; run++) {
+                const result = await evaluateCase(testCase, prompt, run, options.frames);
+                results.push(result);
+                console.log(`${result.error ? '❌' : '✅'} ${prompt} · ${testCase.id} (run ${run}): ${result.score}/${CHECKS.length}` +
+                    `, ${result.size.lines} lines${result.error ? ` - ${result.error}` : ''}\n`);
+            }
+        }
+    }
+
+    const out = options.out
+        ? resolve(options.out)
+        : join(REPORTS_DIR, `eval-${startedAt.toISOString().replace(/[:.]/g, '-')}.md`);
+    const report = { model, frames: options.frames, runs: options.runs, suite, prompts: options.prompts, results, startedAt };
+
+    await mkdir(dirname(out), { recursive: true });
+    await writeFile(out, renderReport(report));
+    await writeFile(out.replace(/\.md$/, '') + '.json', JSON.stringify(report, null, 2));
+
+    console.log(`📝 Report written to ${out}`);
+}
+
+main().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
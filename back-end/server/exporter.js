@@ -0,0 +1,437 @@
+/**
+ * games.random - Game Exporter
+ *
+ * Packages a game so it can be played without games.random or a network
+ * connection:
+ * - Standalone HTML: one file with the engine and the game code inlined
+ * - Zip: index.html (engine inlined) + game.js + LICENSE
+ *
+ * Engines are read from the vendored copies in back-end/vendor, in the exact
+ * version recorded in the game's runtime manifest, and the game gets the page
+ * markup its engine declares (see engines.js).
+ *
+ * @module exporter
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { checkSyntax } from './validator.js';
+import { createZip } from './zip.js';
+import { getEngine, describeRuntime } from './engines.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const VENDOR_DIR = join(__dirname, '../vendor');
+
+// Engine sources are large (~1 MB) and never change, so read each version once
+const engineCache = new Map();
+
+/**
+ * Read a vendored engine and its license text
+ * @param {Runtime} runtime - Library and exact version
+ * @returns {Promise<{source: string, licenseText: string}|null>} Engine files, or null for engines without a runtime script
+ */
+function readEngine({ library, version }) {
+    const key = `${library}@${version}`;
+
+    if (!getEngine(library).file) return Promise.resolve(null);
+
+    if (!engineCache.has(key)) {
+        const dir = join(VENDOR_DIR, library, version);
+        const files = Promise.all([
+            readFile(join(dir, getEngine(library).file), 'utf8'),
+            readFile(join(dir, 'LICENSE'), 'utf8')
+        ]).then(([source, licenseText]) => ({ source, licenseText }));
+
+        // Don't cache a failed read (e.g. a missing file fixed without a restart)
+        files.catch(() => engineCache.delete(key));
+        engineCache.set(key, files);
+    }
+    return engineCache.get(key);
+}
+
+/**
+ * Metadata shown in an export
+ *
+ * @typedef {Object} ExportMetadata
+ * @property {string} [title] - Game title
+ * @property {string} [description] - What the game is (usually the prompt)
+ * @property {string} [author] - Author's display name
+ * @property {Date} [createdAt] - When the game was created
+ * @property {Date} [updatedAt] - When the game was last changed
+ * @property {string} [sourceUrl] - Share link to the game, if it is shared
+ * @property {string} [siteUrl] - games.random address, for the "Generated by" link
+ */
+
+// ========== MINIFICATION ==========
+
+// Single-character tokens that never merge with a neighbour, so whitespace next to them can go
+const SPACE_SAFE = new Set(['{', '}', '(', ')', '[', ']', ';', ',']);
+
+// After these, a line break can go without changing automatic semicolon insertion
+const NEWLINE_SAFE = new Set(['{', ';', ',']);
+
+// Keywords after which a '/' starts a regex rather than a division
+const REGEX_AFTER_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Find the end of a template literal chunk
+ * @param {string} code - Source code
+ * @param {number} start - Index just after the opening '`' or the '}' closing a substitution
+ * @returns {{end: number, open: boolean}} Index after the chunk; open is true if it ended at '${'
+ */
+function scanTemplate(code, start) {
+    for (let i = start; i < code.length; i++) {
+        if (code[i] === '\\') {
+            i++;
+        } else if (code[i] === '`') {
+            return { end: i + 1, open: false };
+        } else if (code[i] === '$' && code[i + 1] === '{') {
+            return { end: i + 2, open: true };
+        }
+    }
+    throw new Error('Unterminated template literal');
+}
+
+/**
+ * Find the end of a string or regex literal
+ * @param {string} code - Source code
+ * @param {number} start - Index just after the opening quote or '/'
+ * @param {string} quote - Closing character
+ * @returns {number} Index after the closing character
+ */
+function scanQuoted(code, start, quote) {
+    let inClass = false; // Inside a regex [...] class, where '/' doesn't close
+
+    for (let i = start; i < code.length; i++) {
+        const char = code[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '\n' && quote !== '`') {
+            break;
+        } else if (quote === '/' && (char === '[' || (char === ']' && inClass))) {
+            inClass = char === '[';
+        } else if (char === quote && !inClass) {
+            return i + 1;
+        }
+    }
+    throw new Error('Unterminated literal');
+}
+
+/**
+ * Strip comments and redundant whitespace from game code
+ *
+ * Deliberately conservative: line breaks are kept wherever automatic semicolon
+ * insertion could depend on them, and names are never shortened. The result is
+ * checked for syntax errors; if anything went wrong the original code is
+ * returned unchanged.
+ *
+ * @param {string} code - Game code
+ * @returns {string} Minified code (or the original if it couldn't be minified safely)
+ *
+ * @example
+ * minifyCode('// Move\nx += 1;   // right\n'); // 'x += 1;'
+ */
+export function minifyCode(code) {
+    let out = '';
+    let lastToken = '';       // Previous significant token, to tell regexes from divisions
+    let space = false;        // Whitespace seen since the last token
+    let newline = false;      // Line break seen since the last token
+    let braceDepth = 0;
+    const templateDepths = []; // braceDepth at each open '${'
+
+    const emit = (text, token = text) => {
+        const prev = out[out.length - 1];
+        if (out && newline && !NEWLINE_SAFE.has(prev) && text[0] !== '}') {
+            out += '\n';
+        } else if (out && (space || newline) && !SPACE_SAFE.has(prev) && !SPACE_SAFE.has(text[0])) {
+            out += ' ';
+        }
+        out += text;
+        lastToken = token;
+        space = newline = false;
+    };
+
+    try {
+        let i = 0;
+        while (i < code.length) {
+            const char = code[i];
+            const next = code[i + 1];
+
+            if (char === '\n' || char === '\r' || char === '\u2028' || char === '\u2029') {
+                newline = true;
+                i++;
+            } else if (/\s/.test(char)) {
+                space = true;
+                i++;
+            } else if (char === '/' && next === '/') {
+                while (i < code.length && code[i] !== '\n' && code[i] !== '\r') i++;
+            } else if (char === '/' && next === '*') {
+                const end = code.indexOf('*/', i + 2);
+                if (end === -1) throw new Error('Unterminated comment');
+                // A comment spanning lines counts as a line break for semicolon insertion
+                if (/[\n\r\u2028\u2029]/.test(code.slice(i, end))) newline = true;
+                else space = true;
+                i = end + 2;
+            } else if (char === '"' || char === '\'') {
+                const end = scanQuoted(code, i + 1, char);
+                emit(code.slice(i, end), 'literal');
+                i = end;
+            } else if (char === '`') {
+                const { end, open } = scanTemplate(code, i + 1);
+                emit(code.slice(i, end), open ? '{' : 'literal');
+                if (open) templateDepths.push(braceDepth++);
+                i = end;
+            } else if (char === '}' && templateDepths[templateDepths.length - 1] === braceDepth - 1) {
+                // End of a ${...} substitution - the template continues
+                templateDepths.pop();
+                braceDepth--;
+                const { end, open } = scanTemplate(code, i + 1);
+                emit(code.slice(i, end), open ? '{' : 'literal');
+                if (open) templateDepths.push(braceDepth++);
+                i = end;
+            } else if (char === '/' && (lastToken === '' || REGEX_AFTER_KEYWORDS.has(lastToken) || /^[(,=:[!&|?{};+\-*%<>~^]$/.test(lastToken))) {
+                let end = scanQuoted(code, i + 1, '/');
+                while (end < code.length && /[a-z]/i.test(code[end])) end++; // Flags
+                emit(code.slice(i, end), 'literal');
+                i = end;
+            } else if (/[\w$\u0080-\uffff]/.test(char)) {
+                let end = i + 1;
+                while (end < code.length && /[\w$\u0080-\uffff]/.test(code[end])) end++;
+                emit(code.slice(i, end));
+                i = end;
+            } else {
+                if (char === '{') braceDepth++;
+                if (char === '}') braceDepth--;
+                emit(char);
+                i++;
+            }
+        }
+    } catch {
+        return code;
+    }
+
+    return checkSyntax(out).valid ? out : code;
+}
+
+// ========== HTML ==========
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Make JavaScript safe to inline in a <script> element
+ * '<\/' means the same as '</' in strings, regexes and comments
+ * @param {string} code - JavaScript source
+ * @returns {string} Code that can't close the script element early
+ */
+function escapeScript(code) {
+    return code.replace(/<\/(script)/gi, '<\\/$1').replace(/<!--/g, '<\\!--');
+}
+
+/**
+ * Lines describing the game, for the header comments of exported files
+ * @param {Runtime} runtime - Library and exact version
+ * @param {ExportMetadata} meta - Game metadata
+ * @returns {string[]} Header lines
+ */
+function describeGame({ library, version }, meta) {
+    const engine = getEngine(library);
+    const lines = [meta.title || 'Untitled game'];
+
+    if (meta.description && meta.description !== meta.title) lines.push(meta.description);
+    lines.push('');
+    lines.push(`Made${meta.author ? ` by ${meta.author}` : ''} with games.random`);
+    if (meta.sourceUrl) lines.push(`Play online: ${meta.sourceUrl}`);
+    lines.push(engine.file
+        ? `Engine: ${describeRuntime({ library, version })} (${engine.license})`
+        : `Engine: none - ${describeRuntime({ library, version })}`);
+    if (meta.updatedAt) lines.push(`Last updated: ${new Date(meta.updatedAt).toISOString()}`);
+    lines.push(`Exported: ${new Date().toISOString()}`);
+    return lines;
+}
+
+/**
+ * Build the exported HTML page
+ * @param {Runtime} runtime - Library and exact version
+ * @param {string|null} engineSource - Engine code to inline (null if the engine has no runtime script)
+ * @param {string} gameScript - Inline game code, or '' to load game.js instead
+ * @param {ExportMetadata} meta - Game metadata
+ * @returns {string} HTML document
+ */
+function renderPage(runtime, engineSource, gameScript, meta) {
+    const engine = getEngine(runtime.library);
+    const title = meta.title || 'Untitled game';
+    const header = describeGame(runtime, meta).map(line => `    ${escapeHtml(line)}`.trimEnd()).join('\n');
+    const credit = meta.siteUrl
+        ? `<a href="${escapeHtml(meta.siteUrl)}" target="_blank">games.random</a>`
+        : 'games.random';
+    const gameTag = gameScript
+        ? `<script>\n${escapeScript(gameScript)}\n</script>`
+        : '<script src="game.js"></script>';
+    const engineTag = engineSource === null
+        ? ''
+        : `    <!-- ${engine.name} ${runtime.version} - ${engine.license} - ${engine.homepage} -->
+    <script>
+${escapeScript(engineSource)}
+    </script>
+`;
+
+    return `<!DOCTYPE html>
+<!--
+${header}
+-->
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(meta.description || title)}">
+${meta.author ? `    <meta name="author" content="${escapeHtml(meta.author)}">\n` : ''}    <meta name="generator" content="games.random (${engine.name} ${runtime.version})">
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            background: #0a0a0a;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            color: #e0e0e0;
+            padding: 20px;
+        }
+        #game-container {
+            background: #1a1a1a;
+            border-radius: 8px;
+            padding: 20px;
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+            position: relative;
+        }
+        .watermark {
+            text-align: center;
+            margin-top: 15px;
+            padding: 10px;
+            font-size: 0.85em;
+            color: #666;
+            background: #1a1a1a;
+            border-radius: 4px;
+        }
+        .watermark a { color: #00ff88; text-decoration: none; font-weight: 500; }
+        .watermark a:hover { text-decoration: underline; }
+        canvas { display: block; margin: 0 auto; }
+    </style>
+${engineTag}</head>
+<body>
+    <div id="game-container">
+        ${engine.page}
+    </div>
+    <div class="watermark">
+        ${escapeHtml(title)} · Generated by ${credit}
+    </div>
+
+    ${gameTag}
+</body>
+</html>
+`;
+}
+
+// ========== EXPORTS ==========
+
+/**
+ * Options for an export
+ *
+ * @typedef {Object} ExportOptions
+ * @property {boolean} [minify=false] - Strip comments and whitespace from the game code
+ */
+
+/**
+ * Build a single self-contained HTML file that plays the game offline
+ *
+ * @param {string} code - Game code
+ * @param {Runtime} runtime - Library and exact engine version
+ * @param {ExportMetadata} [meta={}] - Game metadata for the title and header
+ * @param {ExportOptions} [options={}] - Export options
+ * @returns {Promise<string>} HTML document
+ *
+ * @example
+ * const html = await buildStandaloneHTML(game.code, getRuntime(game), { title: game.title });
+ */
+export async function buildStandaloneHTML(code, runtime, meta = {}, { minify = false } = {}) {
+    const files = await readEngine(runtime);
+    return renderPage(runtime, files && files.source, minify ? minifyCode(code) : code, meta);
+}
+
+/**
+ * Build a zip with index.html, game.js and LICENSE
+ * index.html inlines the engine and loads game.js, so the game code stays
+ * easy to read and edit; LICENSE carries the engine's license text (if the
+ * game has an engine).
+ *
+ * @param {string} code - Game code
+ * @param {Runtime} runtime - Library and exact engine version
+ * @param {ExportMetadata} [meta={}] - Game metadata for the title and header
+ * @param {ExportOptions} [options={}] - Export options
+ * @returns {Promise<Buffer>} Zip file contents
+ */
+export async function buildExportZip(code, runtime, meta = {}, { minify = false } = {}) {
+    const engine = getEngine(runtime.library);
+    const files = await readEngine(runtime);
+
+    // '*/' in a title or description would end the header comment early
+    const header = describeGame(runtime, meta).map(line => ` * ${line.replace(/\*\//g, '* /')}`.trimEnd());
+    const gameJs = `/*\n${header.join('\n')}\n */\n\n${minify ? minifyCode(code) : code}\n`;
+
+    const notice = [
+        ...describeGame(runtime, meta),
+        '',
+        'The game code in game.js belongs to its author.',
+        ...(files ? [
+            '',
+            `index.html includes ${engine.name} ${runtime.version} (${engine.homepage}),`,
+            `which is distributed under the ${engine.license} license reproduced below.`,
+            '',
+            '-'.repeat(80),
+            '',
+            files.licenseText
+        ] : [''])
+    ].join('\n');
+
+    return createZip([
+        { name: 'index.html', content: renderPage(runtime, files && files.source, '', meta) },
+        { name: 'game.js', content: gameJs },
+        { name: 'LICENSE', content: notice }
+    ]);
+}
+
+/**
+ * File name (without extension) for an exported game
+ * @param {string} title - Game title
+ * @param {string} library - Library name
+ * @returns {string} Lowercase, hyphenated name safe for downloads
+ */
+export function exportFileName(title, library) {
+    const slug = String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, 60)
+        .replace(/^-+|-+$/g, '');
+    return slug || `game-${library}`;
+}
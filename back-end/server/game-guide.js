@@ -0,0 +1,118 @@
+/**
+ * games.random - Game Guides
+ *
+ * A game guide is structured metadata that comes back with a generated game:
+ * its title, controls, states, key functions with one-line explanations, and
+ * the programming concepts it teaches. The editor builds its documentation
+ * panel and code tooltips from it, and new games are saved under its title.
+ *
+ * Guides are written by the model (see describeGame in main.js) and sent back
+ * by clients when a game is saved, so both go through normalizeGuide():
+ * unknown fields are dropped, text is trimmed and every list is capped.
+ *
+ * @module game-guide
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_TEXT_LENGTH = 200;    // Per control, state, explanation or concept
+const MAX_LIST_ITEMS = 12;      // Controls, states and concepts
+const MAX_FUNCTIONS = 20;
+const FUNCTION_NAME = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?$/; // draw, or Player.update
+
+/**
+ * Structured description of a game
+ *
+ * @typedef {Object} GameGuide
+ * @property {string} title - Short game title
+ * @property {Array<{input: string, action: string}>} controls - Keys and mouse actions, and what they do
+ * @property {Array<{name: string, description: string}>} states - Game states (e.g. 'start', 'playing', 'gameover'), in the order a player meets them
+ * @property {Array<{name: string, explanation: string}>} functions - Key functions, each with a one-line explanation
+ * @property {string[]} concepts - Programming concepts the game teaches
+ */
+
+/**
+ * Trim a text field to one line of a maximum length
+ *
+ * @param {*} value - Value from the model or a request
+ * @param {number} maxLength - Longest text kept
+ * @returns {string|null} Clean text, or null if there is none
+ */
+function cleanText(value, maxLength) {
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * Keep the entries of a list that have every field
+ *
+ * @param {*} value - List from the model or a request
+ * @param {string[]} fields - Text fields each entry needs
+ * @param {number} maxItems - Most entries kept
+ * @returns {Array<Object>} Entries with only those fields
+ */
+function cleanList(value, fields, maxItems) {
+    if (!Array.isArray(value)) return [];
+
+    return value
+        .filter(entry => entry && typeof entry === 'object')
+        .map(entry => Object.fromEntries(fields.map(field => [field, cleanText(entry[field], MAX_TEXT_LENGTH)])))
+        .filter(entry => fields.every(field => entry[field]))
+        .slice(0, maxItems);
+}
+
+/**
+ * Check and tidy a game guide
+ *
+ * @param {*} value - Guide from the model or a request body
+ * @returns {GameGuide|null} Clean guide, or null if it isn't one (it needs at least a title)
+ *
+ * @example
+ * normalizeGuide({ title: ' Star Catcher ', controls: [{ input: 'Space', action: 'Start' }, 'jump'] });
+ * // { title: 'Star Catcher', controls: [{ input: 'Space', action: 'Start' }], states: [], functions: [], concepts: [] }
+ */
+export function normalizeGuide(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+    const title = cleanText(value.title, MAX_TITLE_LENGTH);
+    if (!title) return null;
+
+    const functions = cleanList(value.functions, ['name', 'explanation'], MAX_FUNCTIONS)
+        .map(entry => ({ ...entry, name: entry.name.replace(/\s*\(\)$/, '') }))
+        .filter(entry => FUNCTION_NAME.test(entry.name));
+
+    const concepts = Array.isArray(value.concepts)
+        ? value.concepts.map(concept => cleanText(concept, MAX_TEXT_LENGTH)).filter(Boolean).slice(0, MAX_LIST_ITEMS)
+        : [];
+
+    return {
+        title,
+        controls: cleanList(value.controls, ['input', 'action'], MAX_LIST_ITEMS),
+        states: cleanList(value.states, ['name', 'description'], MAX_LIST_ITEMS),
+        functions,
+        concepts
+    };
+}
+
+/**
+ * Read a game guide from a model reply
+ *
+ * Models sometimes wrap the JSON in a ```json fence or add a sentence around
+ * it, so the outermost {...} is parsed.
+ *
+ * @param {string} text - Model reply
+ * @returns {GameGuide|null} Clean guide, or null if the reply has none
+ */
+export function parseGuide(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        return normalizeGuide(JSON.parse(text.slice(start, end + 1)));
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * games.random - Generation Queue
+ *
+ * Limits how many generations call the model at the same time. When a class
+ * of 30 clicks Generate together, the first few run and the rest wait their
+ * turn in order, each one told its place in the queue as it moves up.
+ *
+ * The queue lives in this process only, like the rate limiter's buckets.
+ *
+ * @module job-queue
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * Create a first-in, first-out queue with a concurrency limit
+ *
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Tasks allowed to run at once (Infinity for no limit)
+ * @returns {{run: Function, stats: function(): {running: number, waiting: number, concurrency: number}}} Queue
+ *
+ * @example
+ * const queue = createJobQueue({ concurrency: 4 });
+ * const game = await queue.run(() => generateGame(description), {
+ *     signal,
+ *     onPosition: (position) => console.log(`Waiting, ${position} in line`)
+ * });
+ */
+export function createJobQueue({ concurrency }) {
+    const waiting = [];
+    let running = 0;
+
+    // Tell every waiting task where it now stands (1 = next to run)
+    function announcePositions() {
+        waiting.forEach((entry, index) => {
+            if (entry.onPosition) entry.onPosition(index + 1);
+        });
+    }
+
+    // Start waiting tasks while there are free slots
+    function startNext() {
+        let started = false;
+
+        while (running < concurrency && waiting.length) {
+            const entry = waiting.shift();
+            if (entry.signal) {
+                entry.signal.removeEventListener('abort', entry.onAbort);
+            }
+            running++;
+            started = true;
+
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    running--;
+                    startNext();
+                });
+        }
+
+        if (started) announcePositions();
+    }
+
+    return {
+        /**
+         * Run a task once a slot is free
+         *
+         * @param {Function} task - Called with no arguments when the task's turn comes; may return a promise
+         * @param {Object} [options] - Task options
+         * @param {AbortSignal} [options.signal] - Removes the task from the queue if aborted while waiting
+         * @param {function(number): void} [options.onPosition] - Called with the task's place in line whenever it changes
+         * @returns {Promise<*>} The task's result; rejects with the abort reason if cancelled while waiting
+         */
+        run(task, { signal, onPosition } = {}) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+
+                const entry = { task, resolve, reject, signal, onPosition };
+
+                if (signal) {
+                    entry.onAbort = () => {
+                        const index = waiting.indexOf(entry);
+                        if (index !== -1) {
+                            waiting.splice(index, 1);
+                            reject(signal.reason);
+                            announcePositions();
+                        }
+                    };
+                    signal.addEventListener('abort', entry.onAbort, { once: true });
+                }
+
+                waiting.push(entry);
+                if (running < concurrency) {
+                    startNext();
+                } else if (onPosition) {
+                    onPosition(waiting.length);
+                }
+            });
+        },
+
+        /**
+         * Current load, for status responses
+         * @returns {{running: number, waiting: number, concurrency: number}} Queue counts
+         */
+        stats() {
+            return { running, waiting: waiting.length, concurrency };
+        }
+    };
+}
@@ -1,8 +1,9 @@
 /**
  * games.random - AI Game Generator Core Module
  * 
- * This module handles AI-powered game code generation using Claude API.
- * Supports p5.js and Phaser game libraries with prompt caching for performance.
+ * This module handles AI-powered game code generation through the configured
+ * language model (Claude by default, see providers.js).
+ * Supports every game library in the engine registry (engines.js) with prompt caching for performance.
  * 
  * @module main
  * @author Shayan Mazahir
@@ -10,10 +11,13 @@
  */
 
 import dotenv from 'dotenv';
-import Anthropic from '@anthropic-ai/sdk';
-import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { validateGame } from './validator.js';
+import { getProvider } from './providers.js';
+import { getEngine, latestVersion, describeApiRules, describeRuntime } from './engines.js';
+import { loadPrompts, renderPrompt } from './prompts.js';
+import { parseGuide } from './game-guide.js';
 
 // Get the directory name of the current module (server.js)
 const __filename = fileURLToPath(import.meta.url);
@@ -23,19 +27,40 @@ const __dirname = dirname(__filename);
 // Use absolute path based on server.js location
 dotenv.config({ path: join(__dirname, '../secrets/.env') });
 
-// Initialize Anthropic API client
-const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY
-});
+// Load the versioned prompt templates (see prompts.js); edits are picked up live outside production
+await loadPrompts({ watch: process.env.NODE_ENV !== 'production' });
 
-// Load game generation prompts for different libraries
-// Use absolute paths based on server.js location
-const p5jsPrompt = await readFile(join(__dirname, '../prompts/prompt-p5js.txt'), 'utf8');
-const phaserPrompt = await readFile(join(__dirname, '../prompts/prompt-phaser.txt'), 'utf8');
-const AIchatbotPrompt = await readFile(join(__dirname, '../prompts/AIchatbot-Prompts.txt'), 'utf8');
+// How many times a game that fails validation is sent back to the model for fixing
+const MAX_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.MAX_REPAIR_ATTEMPTS ?? '2', 10) || 0);
 
-// Cache the most recently generated clean code for chat context
-let TheCleanCode = "";
+// Output limits for game generation: a response cut off at MAX_TOKENS_PER_REQUEST is
+// continued in further requests until the game is finished or MAX_GAME_OUTPUT_TOKENS is used up
+const MAX_TOKENS_PER_REQUEST = 7000;
+const MAX_GAME_OUTPUT_TOKENS = Math.max(1, parseInt(process.env.MAX_GAME_OUTPUT_TOKENS ?? '21000', 10) || 21000);
+const MAX_GAME_PARTS = Math.ceil(MAX_GAME_OUTPUT_TOKENS / MAX_TOKENS_PER_REQUEST);
+
+// Output limit for a game guide (title, controls, states, functions and concepts as JSON)
+const MAX_GUIDE_TOKENS = 1500;
+
+/**
+ * Build the game generation system prompt for an exact engine version
+ * 
+ * Fills the {{ENGINE}}, {{ENGINE_VERSION}} and {{DEPRECATED_APIS}} placeholders
+ * in the library's prompt (e.g. back-end/prompts/game-p5js), so the model
+ * targets the version the game will run on (see engines.js).
+ * 
+ * @param {string} library - Game library (see LIBRARIES in engines.js)
+ * @param {string} version - Engine version
+ * @param {string} [promptVersion] - Prompt version to use, e.g. 'v1' (defaults to the active one)
+ * @returns {import('./prompts.js').RenderedPrompt} System prompt and the prompt version it came from
+ */
+function buildGamePrompt(library, version, promptVersion) {
+    return renderPrompt(getEngine(library).prompt, {
+        ENGINE: getEngine(library).name,
+        ENGINE_VERSION: version,
+        DEPRECATED_APIS: describeApiRules(library, version)
+    }, promptVersion);
+}
 
 /**
  * Removes markdown formatting from AI-generated code responses
@@ -56,131 +81,360 @@ function stripMarkdownCodeBlocks(text) {
 }
 
 /**
- * Generate a complete game using Claude AI with prompt caching
+ * Build the messages for the next part of a response that hit the token limit
  * 
- * Uses ephemeral caching to speed up repeated requests with the same system prompt.
- * First call creates cache (~5s), subsequent calls use cache (~0.5s, 90% faster).
+ * The text so far is sent back as a partial assistant turn, so the model carries
+ * on exactly where it stopped. The API rejects partial turns that end in
+ * whitespace, so trailing whitespace is trimmed (the model re-adds it).
  * 
- * @param {string} description - Natural language description of the game to generate
- * @param {string} [library='p5js'] - Game library to use ('p5js' or 'phaser')
- * @returns {Promise<string>} Clean, executable JavaScript game code
- * @throws {Error} If API call fails or authentication issues occur
+ * @param {Array<{role: string, content: string}>} messages - Original request messages
+ * @param {string} partialText - Raw response text generated so far
+ * @returns {Array<{role: string, content: string}>} Messages for the continuation request
+ */
+function buildContinuationMessages(messages, partialText) {
+    return [...messages, { role: 'assistant', content: partialText.trimEnd() }];
+}
+
+/**
+ * Build the conversation asking the model to fix a game that failed validation
  * 
- * @example
- * const code = await generateGame("Make a space invaders clone", "p5js");
+ * Replays the original request and the broken code, then sends the 'repair'
+ * prompt filled with the failed check and error.
+ * 
+ * @param {string} description - Original game description
+ * @param {string} code - Code that failed validation
+ * @param {Object} validation - Failed result from validateGame()
+ * @param {boolean} truncated - Whether the response hit the token limit
+ * @returns {Array<{role: string, content: string}>} Messages for the repair request
  */
-export async function generateGame(description, library = 'p5js') {
-    try {
-        console.log(`\n🤖 Asking Claude (using ${library.toUpperCase()})...\n`);
+function buildRepairMessages(description, code, validation, truncated) {
+    const error = validation.line ? `${validation.error} (line ${validation.line})` : validation.error;
+    const truncatedNote = truncated
+        ? 'NOTE: Your previous response was cut off at the output limit, so the code is incomplete. Write a more compact version that fits.\n'
+        : '';
+
+    const { text: content } = renderPrompt('repair', {
+        STAGE: validation.stage,
+        ERROR: error,
+        TRUNCATED: truncatedNote
+    });
+
+    return [
+        { role: 'user', content: description },
+        { role: 'assistant', content: code },
+        { role: 'user', content }
+    ];
+}
 
-        // Choose the correct system prompt based on library
-        const systemPrompt = library === 'phaser' ? phaserPrompt : p5jsPrompt;
+/**
+ * Build the request asking the model to revise an existing game
+ * 
+ * Fills the 'refine' prompt with the change request and the full current code.
+ * 
+ * @param {string} code - Current game code
+ * @param {string} changeRequest - What the player wants changed
+ * @returns {string} User message for the refinement request
+ */
+function buildRefineRequest(code, changeRequest) {
+    return renderPrompt('refine', {
+        CHANGE_REQUEST: changeRequest.trim(),
+        GAME_CODE: code
+    }).text;
+}
 
-        // Log prompt sizes for debugging
-        console.log(`📏 System prompt length: ${systemPrompt.length} characters`);
-        console.log(`📏 User message length: ${description.length} characters`);
-        console.log(`📏 Total input: ${systemPrompt.length + description.length} chars`);
+/**
+ * Validate generated code and send it back to the model until it passes
+ * 
+ * Stops after MAX_REPAIR_ATTEMPTS; the last version is returned either way,
+ * together with its validation result.
+ * 
+ * @param {string} description - Original game description
+ * @param {string} library - Game library (see LIBRARIES in engines.js)
+ * @param {{code: string, truncated: boolean}} first - First generated version
+ * @param {Function} requestCode - Called with repair messages; resolves to { code, truncated }
+ * @param {Function} [onRepair] - Called before each repair attempt with { attempt, maxAttempts, stage, error, line }
+ * @returns {Promise<{code: string, validation: Object}>} Final code and validation (with attempt count)
+ */
+async function validateAndRepair(description, library, first, requestCode, onRepair) {
+    let { code, truncated } = first;
+    let validation = await validateGame(code, library);
+    let attempts = 0;
+
+    while (!validation.valid && attempts < MAX_REPAIR_ATTEMPTS) {
+        attempts++;
+        console.log(`🔧 Validation failed (${validation.stage}): ${validation.error}`);
+        console.log(`🔧 Repair attempt ${attempts}/${MAX_REPAIR_ATTEMPTS}...`);
+
+        if (onRepair) {
+            onRepair({
+                attempt: attempts,
+                maxAttempts: MAX_REPAIR_ATTEMPTS,
+                stage: validation.stage,
+                error: validation.error,
+                line: validation.line ?? null
+            });
+        }
+
+        ({ code, truncated } = await requestCode(buildRepairMessages(description, code, validation, truncated)));
+        validation = await validateGame(code, library);
+    }
 
+    if (validation.valid) {
+        console.log(`✅ Game passed validation${attempts > 0 ? ` after ${attempts} repair(s)` : ''}`);
+    } else {
+        console.log(`⚠️  Game still fails validation (${validation.stage}): ${validation.error}`);
+    }
+
+    return { code, validation: { ...validation, attempts } };
+}
+
+/**
+ * Request game code from the model, continuing responses cut off at the token limit
+ * 
+ * @param {Object} llm - Model from getProvider('generate')
+ * @param {string} library - Game library (see LIBRARIES in engines.js)
+ * @param {string} systemPrompt - Game generation system prompt
+ * @param {Array<{role: string, content: string}>} messages - Conversation to send
+ * @param {Function} [onUsage] - Called with the output tokens of each model response
+ * @returns {Promise<{code: string, truncated: boolean}>} Clean code, and whether the output ceiling cut it off
+ */
+async function requestGameCode(llm, library, systemPrompt, messages, onUsage) {
+    let response = '';
+    let outputTokens = 0;
+    let part = 1;
+    let truncated = false;
+
+    while (true) {
         const startTime = performance.now();
 
         // Create API request with prompt caching enabled
         // Cache reduces cost by ~90% and latency by ~90% on repeat calls
-        const message = await anthropic.messages.create({
-            model: 'claude-sonnet-4-5-20250929',
-            max_tokens: 7000, // Balanced for complex games
-            system: [
-                {
-                    type: "text",
-                    text: systemPrompt,
-                    cache_control: { type: "ephemeral" } // Enable caching
-                }
-            ],
-            messages: [
-                {
-                    role: 'user',
-                    content: description
-                }
-            ]
+        const message = await llm.createMessage({
+            library,
+            maxTokens: Math.min(MAX_TOKENS_PER_REQUEST, MAX_GAME_OUTPUT_TOKENS - outputTokens), // Balanced for complex games
+            system: systemPrompt,
+            cacheSystem: true, // Enable caching
+            messages: part === 1 ? messages : buildContinuationMessages(messages, response)
         });
 
         const endTime = performance.now();
         const apiTime = ((endTime - startTime) / 1000).toFixed(2);
 
-        // Extract text content from response blocks
-        let response = '';
-        for (const block of message.content) {
-            if (block.type === 'text') {
-                response += block.text;
-            }
-        }
-
-        // Clean markdown formatting
-        const cleanCode = stripMarkdownCodeBlocks(response);
+        if (part > 1) response = response.trimEnd();
+        response += message.text;
 
         // Log performance metrics
         const usage = message.usage;
-        console.log(`⏱️  Claude API time: ${apiTime}s`);
-        console.log(`📊 Tokens used: ${usage.output_tokens} output`);
-        if (usage.cache_creation_input_tokens) {
-            console.log(`💾 Cache created: ${usage.cache_creation_input_tokens} tokens (first call)`);
+        outputTokens += usage.outputTokens;
+        if (onUsage) onUsage(usage.outputTokens);
+        console.log(`⏱️  Model API time: ${apiTime}s`);
+        console.log(`📊 Tokens used: ${usage.outputTokens} output`);
+        if (usage.cacheCreationInputTokens) {
+            console.log(`💾 Cache created: ${usage.cacheCreationInputTokens} tokens (first call)`);
         }
-        if (usage.cache_read_input_tokens) {
-            console.log(`⚡ Cache hit: ${usage.cache_read_input_tokens} tokens (90% faster!)`);
+        if (usage.cacheReadInputTokens) {
+            console.log(`⚡ Cache hit: ${usage.cacheReadInputTokens} tokens (90% faster!)`);
         }
 
-        console.log('✅ Game generated successfully!\n');
+        if (message.stopReason !== 'max_tokens') break;
 
-        // Warn if response was truncated
-        if (message.stop_reason === 'max_tokens') {
-            console.log('⚠️  Warning: Response may be incomplete (hit token limit)\n');
-            console.log('💡 Consider increasing max_tokens or simplifying the request\n');
+        // Continue the cut-off response, unless the output ceiling is used up
+        if (outputTokens >= MAX_GAME_OUTPUT_TOKENS) {
+            truncated = true;
+            console.log(`⚠️  Warning: Response incomplete (hit the ${MAX_GAME_OUTPUT_TOKENS} token output ceiling)\n`);
+            console.log('💡 Consider increasing MAX_GAME_OUTPUT_TOKENS or simplifying the request\n');
+            break;
         }
 
-        // Cache for chat assistant context
-        TheCleanCode = cleanCode;
-        return cleanCode;
+        part++;
+        console.log(`📄 Hit token limit, continuing (part ${part} of ${MAX_GAME_PARTS})...`);
+    }
+
+    // Clean markdown formatting
+    return {
+        code: stripMarkdownCodeBlocks(response),
+        truncated
+    };
+}
+
+/**
+ * Ask the model for a game's guide: title, controls, states, key functions and concepts
+ * 
+ * Uses the 'guide' prompt with the finished code as the user message. A guide
+ * is a bonus, so a failed request or a reply that isn't a valid guide gives
+ * null instead of failing the generation (cancellation still throws).
+ * 
+ * @param {string} code - Finished game code
+ * @param {string} library - Game library (see LIBRARIES in engines.js)
+ * @param {string} version - Engine version the game runs on
+ * @param {Function} [onUsage] - Called with the response's output tokens (for quotas)
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<import('./game-guide.js').GameGuide|null>} Guide, or null if none could be made
+ */
+async function describeGame(code, library, version, onUsage, signal) {
+    try {
+        const llm = getProvider('guide');
+        const { text: systemPrompt } = renderPrompt('guide', { LIBRARY: describeRuntime({ library, version }) });
+
+        const message = await llm.createMessage({
+            library,
+            signal,
+            maxTokens: MAX_GUIDE_TOKENS,
+            system: systemPrompt,
+            messages: [{ role: 'user', content: code }]
+        });
+        if (onUsage) onUsage(message.usage.outputTokens);
+
+        const guide = parseGuide(message.text);
+        if (guide) {
+            console.log(`🏷️  Guide: "${guide.title}" (${guide.functions.length} functions, ${guide.controls.length} controls)`);
+        } else {
+            console.log('⚠️  The game guide reply was not valid JSON; continuing without one');
+        }
+        return guide;
+
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        console.error('⚠️  Could not generate the game guide:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Generate a complete game using the configured model with prompt caching
+ * 
+ * Uses ephemeral caching to speed up repeated requests with the same system prompt.
+ * First call creates cache (~5s), subsequent calls use cache (~0.5s, 90% faster).
+ * Responses cut off at the token limit are continued in further requests.
+ * The result is validated (see validator.js) and sent back for repair if it fails,
+ * then described in a game guide like streamed games.
+ * 
+ * @param {string} description - Natural language description of the game to generate
+ * @param {string} [library='p5js'] - Game library to use (see LIBRARIES in engines.js)
+ * @param {Function} [onUsage] - Called with the output tokens of each model response (for quotas)
+ * @param {string} [version] - Engine version the game will run on (defaults to the latest)
+ * @returns {Promise<{code: string, promptVersion: string, guide: import('./game-guide.js').GameGuide|null}>} Clean, executable JavaScript game code, the prompt that produced it and its guide
+ * @throws {Error} If API call fails or authentication issues occur
+ * 
+ * @example
+ * const { code, promptVersion, guide } = await generateGame("Make a space invaders clone", "p5js");
+ */
+export async function generateGame(description, library = 'p5js', onUsage, version = latestVersion(library)) {
+    try {
+        const llm = getProvider('generate');
+        console.log(`\n🤖 Asking ${llm.model} via ${llm.name} (using ${library.toUpperCase()} ${version})...\n`);
+
+        // Choose the correct system prompt based on library and version
+        const { text: systemPrompt, promptVersion } = buildGamePrompt(library, version);
+
+        // Log prompt sizes for debugging
+        console.log(`📜 Prompt: ${promptVersion}`);
+        console.log(`📏 System prompt length: ${systemPrompt.length} characters`);
+        console.log(`📏 User message length: ${description.length} characters`);
+        console.log(`📏 Total input: ${systemPrompt.length + description.length} chars`);
+
+        const requestCode = messages => requestGameCode(llm, library, systemPrompt, messages, onUsage);
+
+        const first = await requestCode([{ role: 'user', content: description }]);
+        const { code } = await validateAndRepair(description, library, first, requestCode);
+
+        // Structured guide for the editor's docs panel and tooltips, and the saved title
+        const guide = await describeGame(code, library, version, onUsage);
+
+        console.log('✅ Game generated successfully!\n');
+
+        return { code, promptVersion, guide };
 
     } catch (error) {
-        console.error('❌ Error calling Claude API:', error.message);
+        console.error('❌ Error calling model API:', error.message);
         throw error;
     }
 }
 
+/**
+ * Generate a game once with a given prompt version, without validation or repairs
+ * 
+ * Used by the prompt evaluation harness (evaluate.js), so scores reflect what
+ * the prompt produces on the first try rather than after repairs.
+ * 
+ * @param {string} description - Natural language description of the game to generate
+ * @param {string} library - Game library to use (see LIBRARIES in engines.js)
+ * @param {string} [promptVersion] - Version of the library's prompt, e.g. 'v2' (defaults to the active one)
+ * @param {string} [version] - Engine version the game will run on (defaults to the latest)
+ * @returns {Promise<{code: string, truncated: boolean, promptVersion: string, outputTokens: number}>} Generated code and the prompt that produced it
+ * @throws {Error} If the prompt version doesn't exist or the API call fails
+ * 
+ * @example
+ * const { code } = await draftGame("Make a space invaders clone", "p5js", "v2");
+ */
+export async function draftGame(description, library, promptVersion, version = latestVersion(library)) {
+    const llm = getProvider('generate');
+    const prompt = buildGamePrompt(library, version, promptVersion);
+    let outputTokens = 0;
+
+    const { code, truncated } = await requestGameCode(llm, library, prompt.text,
+        [{ role: 'user', content: description }], tokens => { outputTokens += tokens; });
+
+    return { code, truncated, promptVersion: prompt.promptVersion, outputTokens };
+}
+
+/**
+ * Fill the assistant prompt template with the game being discussed
+ * 
+ * Substitutes the {{LIBRARY}} (library and exact version) and {{GAME_CODE}} placeholders
+ * in the 'assistant' prompt.
+ * 
+ * @param {string} gameCode - Current contents of the user's editor
+ * @param {string} library - Game library being used (see LIBRARIES in engines.js)
+ * @param {string} version - Engine version the game runs on
+ * @returns {string} System prompt for the code assistant
+ */
+function buildAssistantPrompt(gameCode, library, version) {
+    return renderPrompt('assistant', {
+        LIBRARY: describeRuntime({ library, version }),
+        GAME_CODE: gameCode
+    }).text;
+}
+
 /**
  * Interactive code assistant for modifying and debugging generated games
  * 
  * Provides conversational help for editing game code, fixing bugs, and adding features.
- * Uses the most recently generated game code as context.
+ * The user's current editor contents are embedded in the system prompt, and earlier
+ * turns of the conversation are replayed so follow-up requests keep their context.
  * 
  * @param {string} userMessage - User's question or request about the code
- * @param {string} gameCode - Current game code (deprecated, uses cached code)
- * @param {string} library - Game library being used (deprecated, inferred from context)
+ * @param {string} gameCode - Current game code from the editor
+ * @param {string} library - Game library being used (see LIBRARIES in engines.js)
+ * @param {Array<{role: string, content: string}>} [history=[]] - Previous turns, oldest first
+ * @param {Function} [onUsage] - Called with the response's output tokens (for quotas)
+ * @param {string} [version] - Engine version the game runs on (defaults to the latest)
  * @returns {Promise<string>} AI assistant's response with code suggestions
  * @throws {Error} If API call fails
  * 
  * @example
- * const help = await chatWithCodeAssistant("How do I make the player jump higher?");
+ * const help = await chatWithCodeAssistant("How do I make the player jump higher?", code, "p5js");
+ * const followUp = await chatWithCodeAssistant("Now make it faster", code, "p5js", [
+ *   { role: 'user', content: "How do I make the player jump higher?" },
+ *   { role: 'assistant', content: help }
+ * ]);
  */
-export async function chatWithCodeAssistant(userMessage, gameCode, library) {
+export async function chatWithCodeAssistant(userMessage, gameCode, library, history = [], onUsage, version = latestVersion(library)) {
     try {
-        console.log("\n🤖 Code Assistant request received...\n");
+        console.log(`\n🤖 Code Assistant request received (${history.length} previous messages)...\n`);
 
-        // Combine assistant prompt with cached game code
-        const PromptWithCode = AIchatbotPrompt + TheCleanCode;
+        const llm = getProvider('chat');
+        const systemPrompt = buildAssistantPrompt(gameCode, library, version);
         const startTime = performance.now();
 
         // Create API request with code context cached
-        const message = await anthropic.messages.create({
-            model: 'claude-sonnet-4-5-20250929',
-            max_tokens: 7000,
-            system: [
-                {
-                    type: "text",
-                    text: PromptWithCode,
-                    cache_control: { type: "ephemeral" } // Cache code context
-                }
-            ],
+        const message = await llm.createMessage({
+            library,
+            maxTokens: 7000,
+            system: systemPrompt,
+            cacheSystem: true, // Cache code context
             messages: [
+                ...history,
                 {
                     role: 'user',
                     content: userMessage
@@ -188,18 +442,12 @@ export async function chatWithCodeAssistant(userMessage, gameCode, library) {
             ]
         });
 
+        if (onUsage) onUsage(message.usage.outputTokens);
+
         const endTime = performance.now();
         console.log(`⏱️  Chat response time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
 
-        // Extract response text
-        let response = '';
-        for (const block of message.content) {
-            if (block.type === 'text') {
-                response += block.text;
-            }
-        }
-
-        return response.trim();
+        return message.text.trim();
 
     } catch (error) {
         console.error("❌ Code Assistant Error:", error);
@@ -212,80 +460,195 @@ export async function chatWithCodeAssistant(userMessage, gameCode, library) {
  * 
  * Streams code generation in real-time, allowing UI to display code as it's generated.
  * Provides better user experience for long generations.
+ * Responses cut off at the token limit are continued automatically, with a
+ * 'continuing' event before each extra part (up to MAX_GAME_OUTPUT_TOKENS in total).
+ * The finished code is validated; if it fails, a 'repair' event is sent and the
+ * fixed version is streamed as new chunks (up to MAX_REPAIR_ATTEMPTS times).
+ * Aborting `signal` stops the model request and sends a 'cancelled' event.
+ * The 'complete' event carries the code, its validation result, the runtime
+ * manifest, the prompt version that produced it (e.g. "game-p5js@v1") and the
+ * game's guide (title, controls, states, key functions and concepts, or null).
  * 
  * @param {string} description - Natural language description of the game
- * @param {string} [library='p5js'] - Game library to use ('p5js' or 'phaser')
+ * @param {string} [library='p5js'] - Game library to use (see LIBRARIES in engines.js)
  * @param {Function} onChunk - Callback function called for each chunk of streamed data
+ * @param {Function} [onUsage] - Called with the output tokens of each model response (for quotas)
+ * @param {string} [version] - Engine version the game will run on (defaults to the latest)
+ * @param {AbortSignal} [signal] - Cancels the generation (e.g. when the client goes away)
  * @returns {Promise<string>} Complete clean game code
- * @throws {Error} If streaming fails
+ * @throws {Error} If streaming fails or is cancelled
  * 
  * @example
  * await generateGameStreaming("Make pong", "p5js", (data) => {
  *   if (data.type === 'chunk') {
  *     console.log(data.text); // Display progressive output
+ *   } else if (data.type === 'continuing') {
+ *     console.log(`Part ${data.part} of ${data.maxParts}...`);
+ *   } else if (data.type === 'repair') {
+ *     console.log(`Fixing: ${data.error} (attempt ${data.attempt}/${data.maxAttempts})`);
  *   } else if (data.type === 'complete') {
- *     console.log('Done!', data.code);
+ *     console.log('Done!', data.code, data.validation.valid);
  *   }
  * });
  */
-export async function generateGameStreaming(description, library = 'p5js', onChunk) {
+export async function generateGameStreaming(description, library = 'p5js', onChunk, onUsage, version = latestVersion(library), signal) {
+    return streamGame(description, library, version, onChunk, onUsage, signal);
+}
+
+/**
+ * Revise an existing game with real-time streaming
+ * 
+ * Sends the game's full code and the change request, and streams back a
+ * complete revised game with the same events as generateGameStreaming()
+ * (chunk, continuing, repair, complete, error, cancelled). The revision is validated
+ * and repaired like a newly generated game.
+ * 
+ * @param {string} code - Current game code
+ * @param {string} changeRequest - What the player wants changed (e.g. "make the enemies faster")
+ * @param {string} [library='p5js'] - Game library the code uses (see LIBRARIES in engines.js)
+ * @param {Function} onChunk - Callback function called for each chunk of streamed data
+ * @param {Function} [onUsage] - Called with the output tokens of each model response (for quotas)
+ * @param {string} [version] - Engine version the game runs on (defaults to the latest)
+ * @param {AbortSignal} [signal] - Cancels the refinement
+ * @returns {Promise<string>} Complete revised game code
+ * @throws {Error} If streaming fails or is cancelled
+ * 
+ * @example
+ * await refineGameStreaming(code, "Add a second level", "p5js", (data) => {
+ *   if (data.type === 'complete') showDiff(code, data.code);
+ * });
+ */
+export async function refineGameStreaming(code, changeRequest, library = 'p5js', onChunk, onUsage, version = latestVersion(library), signal) {
+    console.log(`\n🔁 Refining ${library.toUpperCase()} ${version} game (${code.split('\n').length} lines): "${changeRequest.trim()}"`);
+    return streamGame(buildRefineRequest(code, changeRequest), library, version, onChunk, onUsage, signal);
+}
+
+/**
+ * Stream a complete game from the model, continuing cut-off responses,
+ * repairing games that fail validation and describing the result in a guide
+ * (shared by generation and refinement)
+ * 
+ * @param {string} request - User message: the game description, or a refinement request
+ * @param {string} library - Game library (see LIBRARIES in engines.js)
+ * @param {string} version - Engine version the game will run on
+ * @param {Function} onChunk - Callback function called for each chunk of streamed data
+ * @param {Function} [onUsage] - Called with the output tokens of each model response (for quotas)
+ * @param {AbortSignal} [signal] - Cancels the generation, including any repairs still to come
+ * @returns {Promise<string>} Complete clean game code
+ * @throws {Error} If streaming fails or is cancelled
+ */
+async function streamGame(request, library, version, onChunk, onUsage, signal) {
     try {
-        console.log(`\n⚡ Streaming ${library.toUpperCase()} game generation...\n`);
+        const llm = getProvider('generate');
+        console.log(`\n⚡ Streaming ${library.toUpperCase()} ${version} game generation from ${llm.model} via ${llm.name}...\n`);
 
-        // Select appropriate system prompt
-        const systemPrompt = library === 'phaser' ? phaserPrompt : p5jsPrompt;
+        // Select appropriate system prompt for the library and version
+        const { text: systemPrompt, promptVersion } = buildGamePrompt(library, version);
 
+        console.log(`📜 Prompt: ${promptVersion}`);
         console.log(`📏 System prompt: ${systemPrompt.length} chars`);
-        console.log(`📏 User message: ${description.length} chars`);
+        console.log(`📏 User message: ${request.length} chars`);
 
         const startTime = performance.now();
 
-        // Create streaming API request
-        const stream = await anthropic.messages.stream({
-            model: 'claude-sonnet-4-5-20250929',
-            max_tokens: 7000,
-            system: systemPrompt,
-            messages: [{ role: 'user', content: description }]
-        });
-
-        let fullResponse = '';
         let chunkCount = 0;
+        let totalTokens = 0;
+
+        const streamCode = async (messages) => {
+            let fullResponse = '';
+            let outputTokens = 0;
+            let part = 1;
+            let truncated = false;
+
+            while (true) {
+                // Text from earlier parts; this part's snapshot is appended to it
+                const previousParts = part === 1 ? '' : fullResponse.trimEnd();
+
+                // Create streaming API request
+                // Handle incoming text chunks until the stream completes
+                const finalMessage = await llm.streamMessage({
+                    library,
+                    signal,
+                    maxTokens: Math.min(MAX_TOKENS_PER_REQUEST, MAX_GAME_OUTPUT_TOKENS - outputTokens),
+                    system: systemPrompt,
+                    messages: part === 1 ? messages : buildContinuationMessages(messages, fullResponse)
+                }, (textDelta, textSnapshot) => {
+                    fullResponse = previousParts + textSnapshot;
+                    chunkCount++;
+
+                    // Send chunk to callback for UI update
+                    if (onChunk) {
+                        onChunk({
+                            type: 'chunk',
+                            text: textDelta,           // New text in this chunk
+                            full: fullResponse,         // Full text so far (of the current attempt)
+                            chunkNumber: chunkCount
+                        });
+                    }
+
+                    // Log progress periodically
+                    if (chunkCount % 50 === 0) {
+                        console.log(`📝 Streamed ${chunkCount} chunks...`);
+                    }
+                });
 
-        // Handle incoming text chunks
-        stream.on('text', (textDelta, textSnapshot) => {
-            fullResponse = textSnapshot;
-            chunkCount++;
+                outputTokens += finalMessage.usage.outputTokens;
+                totalTokens += finalMessage.usage.outputTokens;
+                if (onUsage) onUsage(finalMessage.usage.outputTokens);
 
-            // Send chunk to callback for UI update
-            if (onChunk) {
-                onChunk({
-                    type: 'chunk',
-                    text: textDelta,           // New text in this chunk
-                    full: textSnapshot,         // Full text so far
-                    chunkNumber: chunkCount
-                });
+                if (finalMessage.stopReason !== 'max_tokens') break;
+
+                // Continue the cut-off response, unless the output ceiling is used up
+                if (outputTokens >= MAX_GAME_OUTPUT_TOKENS) {
+                    truncated = true;
+                    console.log(`⚠️  Warning: Response incomplete (hit the ${MAX_GAME_OUTPUT_TOKENS} token output ceiling)\n`);
+                    break;
+                }
+
+                part++;
+                console.log(`📄 Hit token limit, continuing (part ${part} of ${MAX_GAME_PARTS})...`);
+
+                if (onChunk) {
+                    onChunk({
+                        type: 'continuing',
+                        part,
+                        maxParts: MAX_GAME_PARTS,
+                        tokens: outputTokens
+                    });
+                }
             }
 
-            // Log progress periodically
-            if (chunkCount % 50 === 0) {
-                console.log(`📝 Streamed ${chunkCount} chunks...`);
+            // Clean markdown formatting
+            return {
+                code: stripMarkdownCodeBlocks(fullResponse),
+                truncated
+            };
+        };
+
+        const first = await streamCode([{ role: 'user', content: request }]);
+        const { code: cleanCode, validation } = await validateAndRepair(request, library, first, streamCode, (repair) => {
+            if (onChunk) {
+                onChunk({ type: 'repair', ...repair });
             }
         });
 
-        // Wait for stream completion
-        const finalMessage = await stream.finalMessage();
+        // Cancelled while the last version was being tested
+        if (signal) signal.throwIfAborted();
+
+        // Structured guide for the editor's docs panel and tooltips, and the saved title
+        const guide = await describeGame(cleanCode, library, version, (tokens) => {
+            totalTokens += tokens;
+            if (onUsage) onUsage(tokens);
+        }, signal);
 
         const endTime = performance.now();
         const totalTime = ((endTime - startTime) / 1000).toFixed(2);
 
-        // Clean markdown formatting
-        const cleanCode = stripMarkdownCodeBlocks(fullResponse);
-
         // Log completion metrics
         console.log(`✅ Streaming complete!`);
         console.log(`⏱️  Total time: ${totalTime}s`);
         console.log(`📊 Chunks: ${chunkCount}`);
-        console.log(`📊 Tokens: ${finalMessage.usage.output_tokens}`);
+        console.log(`📊 Tokens: ${totalTokens}`);
 
         // Send completion event to callback
         if (onChunk) {
@@ -294,24 +657,29 @@ export async function generateGameStreaming(description, library = 'p5js', onChu
                 code: cleanCode,
                 totalTime: totalTime,
                 chunks: chunkCount,
-                tokens: finalMessage.usage.output_tokens
+                tokens: totalTokens,
+                validation,
+                runtime: { library, version },
+                promptVersion,
+                guide
             });
         }
 
-        // Warn if truncated
-        if (finalMessage.stop_reason === 'max_tokens') {
-            console.log('⚠️  Warning: Response may be incomplete\n');
-        }
-
-        // Cache for assistant
-        TheCleanCode = cleanCode;
         return cleanCode;
 
     } catch (error) {
+        if (signal && signal.aborted) {
+            console.log('🛑 Streaming cancelled');
+            if (onChunk) {
+                onChunk({ type: 'cancelled' });
+            }
+            throw error;
+        }
+
         console.error('❌ Streaming error:', error.message);
         if (onChunk) {
             onChunk({ type: 'error', error: error.message });
         }
         throw error;
     }
-}
\ No newline at end of file
+}
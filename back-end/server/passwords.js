@@ -0,0 +1,61 @@
+/**
+ * games.random - Password Hashing
+ *
+ * Hashes and checks passwords for local (username/password) accounts with
+ * Node's built-in scrypt, so no native modules or extra packages are needed.
+ * Each password gets its own random salt; the stored string records the salt
+ * and the scrypt cost so the parameters can be raised later without breaking
+ * existing hashes.
+ *
+ * @module passwords
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { scrypt, randomBytes, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const COST = 16384; // scrypt N; memory use is 128 * N * r bytes (16 MB here)
+
+/**
+ * Hash a password for storage
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} 'scrypt$<N>$<salt>$<hash>' (salt and hash in base64)
+ *
+ * @example
+ * user.passwordHash = await hashPassword(req.body.password);
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(SALT_BYTES);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH, { N: COST });
+    return `scrypt$${COST}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * Comparison is constant-time; malformed hashes never match
+ *
+ * @param {string} password - Plain-text password to check
+ * @param {string} stored - Hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, cost, salt, hash] = String(stored).split('$');
+    const expected = Buffer.from(hash || '', 'base64');
+    if (scheme !== 'scrypt' || !salt || expected.length !== KEY_LENGTH || !/^\d+$/.test(cost)) {
+        return false;
+    }
+
+    let actual;
+    try {
+        actual = await scryptAsync(password, Buffer.from(salt, 'base64'), KEY_LENGTH, { N: Number(cost) });
+    } catch (error) {
+        return false; // A cost scrypt rejects (e.g. not a power of two)
+    }
+    return timingSafeEqual(actual, expected);
+}
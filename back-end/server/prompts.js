@@ -0,0 +1,220 @@
+/**
+ * games.random - Prompt Registry
+ *
+ * Loads the prompt templates in back-end/prompts, one directory per prompt
+ * with one file per version:
+ *
+ *   back-end/prompts/game-p5js/v1.txt
+ *   back-end/prompts/game-p5js/v2.txt   <- used for new games
+ *   back-end/prompts/repair/v1.txt
+ *
+ * To change a prompt, add the next version instead of editing the old file,
+ * so every saved game's promptVersion (e.g. "game-p5js@v2") still points at
+ * the text that produced it. The highest version is used unless
+ * PROMPT_VERSIONS pins another one, e.g. PROMPT_VERSIONS=game-p5js=v1,repair=v2.
+ *
+ * Templates use {{NAME}} placeholders. Rendering fails if one has no value,
+ * so a typo in a template shows up on the first request instead of reaching
+ * the model. With `watch` on (development), edited and added files are
+ * picked up without a restart.
+ *
+ * @module prompts
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { watch } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PROMPTS_DIR = join(__dirname, '../prompts');
+const VERSION_FILE = /^v(\d+)\.txt$/;
+const PLACEHOLDER = /{{([A-Z0-9_]+)}}/g;
+const RELOAD_DELAY = 100; // ms to wait for an editor to finish writing before reloading
+
+// Prompt name → versions, oldest first: [{ version: 'v1', template }]
+let prompts = new Map();
+
+/**
+ * A prompt template filled with its variables
+ *
+ * @typedef {Object} RenderedPrompt
+ * @property {string} text - Prompt text to send to the model
+ * @property {string} promptVersion - Template that produced it, as "<name>@<version>"
+ */
+
+/**
+ * Read the versions pinned with PROMPT_VERSIONS
+ * @returns {Map<string, string>} Prompt name → pinned version
+ */
+function pinnedVersions() {
+    const pins = new Map();
+
+    for (const entry of (process.env.PROMPT_VERSIONS || '').split(',')) {
+        const [name, version] = entry.split('=').map(part => part.trim());
+        if (name && version) pins.set(name, version);
+    }
+    return pins;
+}
+
+/**
+ * Read every prompt and version from disk
+ * @returns {Promise<Map>} Prompt name → versions, oldest first
+ */
+async function readPrompts() {
+    const loaded = new Map();
+    const entries = await readdir(PROMPTS_DIR, { withFileTypes: true });
+
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+        const files = (await readdir(join(PROMPTS_DIR, entry.name)))
+            .filter(file => VERSION_FILE.test(file))
+            .sort((a, b) => parseInt(a.match(VERSION_FILE)[1], 10) - parseInt(b.match(VERSION_FILE)[1], 10));
+
+        if (!files.length) continue;
+
+        loaded.set(entry.name, await Promise.all(files.map(async file => ({
+            version: file.replace(/\.txt$/, ''),
+            template: await readFile(join(PROMPTS_DIR, entry.name, file), 'utf8')
+        }))));
+    }
+    return loaded;
+}
+
+/**
+ * Reload the prompts whenever a file under back-end/prompts changes
+ * Keeps the previous prompts if a reload fails (e.g. a file mid-rename).
+ */
+function watchPrompts() {
+    let timer = null;
+
+    const reload = () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            try {
+                prompts = await readPrompts();
+                console.log(`📜 Prompts reloaded (${[...prompts.keys()].map(name => `${name}@${activeVersion(name)}`).join(', ')})`);
+            } catch (error) {
+                console.error('❌ Failed to reload prompts:', error.message);
+            }
+        }, RELOAD_DELAY);
+    };
+
+    // fs.watch isn't recursive everywhere, so watch the root and each prompt's directory
+    watch(PROMPTS_DIR, { persistent: false }, reload);
+    for (const name of prompts.keys()) {
+        watch(join(PROMPTS_DIR, name), { persistent: false }, reload);
+    }
+}
+
+/**
+ * Load the prompt templates (call once before rendering)
+ *
+ * @param {Object} [options] - Loading options
+ * @param {boolean} [options.watch=false] - Reload when files change (for development)
+ * @returns {Promise<void>}
+ * @throws {Error} If the prompts directory can't be read or a pinned version doesn't exist
+ */
+export async function loadPrompts({ watch: shouldWatch = false } = {}) {
+    prompts = await readPrompts();
+
+    for (const [name, version] of pinnedVersions()) {
+        if (!hasPrompt(name, version)) {
+            throw new Error(`PROMPT_VERSIONS pins ${name}@${version}, which isn't in back-end/prompts`);
+        }
+    }
+
+    if (shouldWatch) {
+        watchPrompts();
+    }
+}
+
+/**
+ * Check whether a prompt (and optionally one of its versions) exists
+ *
+ * @param {string} name - Prompt name (directory in back-end/prompts)
+ * @param {string} [version] - Version, e.g. 'v2'
+ * @returns {boolean} True if it exists
+ */
+export function hasPrompt(name, version) {
+    const versions = prompts.get(name);
+    return Boolean(versions) && (!version || versions.some(entry => entry.version === version));
+}
+
+/**
+ * Version of a prompt used when none is asked for
+ *
+ * @param {string} name - Prompt name
+ * @returns {string} Pinned version, or the highest one
+ * @throws {Error} If the prompt doesn't exist
+ */
+export function activeVersion(name) {
+    const versions = prompts.get(name);
+    if (!versions) {
+        throw new Error(`Unknown prompt "${name}" (no back-end/prompts/${name}/v1.txt)`);
+    }
+    return pinnedVersions().get(name) || versions[versions.length - 1].version;
+}
+
+/**
+ * Fill a template's {{NAME}} placeholders
+ *
+ * Values are inserted literally (`$` sequences in game code stay as they are).
+ *
+ * @param {string} template - Template text
+ * @param {Object<string, string>} variables - Placeholder values by name
+ * @param {string} [label='template'] - What is being rendered, for error messages
+ * @returns {string} Rendered text
+ * @throws {Error} If a placeholder has no value
+ *
+ * @example
+ * renderTemplate('Fix this {{STAGE}} error', { STAGE: 'syntax' }); // 'Fix this syntax error'
+ */
+export function renderTemplate(template, variables, label = 'template') {
+    return template.replace(PLACEHOLDER, (placeholder, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`${label} uses ${placeholder} but no value was given`);
+        }
+        return String(variables[name]);
+    });
+}
+
+/**
+ * Render a prompt from the registry
+ *
+ * @param {string} name - Prompt name, e.g. 'game-p5js', 'assistant', 'repair'
+ * @param {Object<string, string>} variables - Placeholder values by name
+ * @param {string} [version] - Version to use (defaults to the active one)
+ * @returns {RenderedPrompt} Text and the "<name>@<version>" it came from
+ * @throws {Error} If the prompt or version doesn't exist or a placeholder has no value
+ *
+ * @example
+ * const { text, promptVersion } = renderPrompt('repair', { STAGE: 'syntax', ERROR: 'Unexpected token', TRUNCATED: '' });
+ */
+export function renderPrompt(name, variables, version = activeVersion(name)) {
+    const entry = (prompts.get(name) || []).find(candidate => candidate.version === version);
+    if (!entry) {
+        throw new Error(`Unknown prompt version ${name}@${version}`);
+    }
+
+    const promptVersion = `${name}@${version}`;
+    return {
+        text: renderTemplate(entry.template, variables, `Prompt ${promptVersion}`),
+        promptVersion
+    };
+}
+
+/**
+ * List every prompt with its versions
+ * @returns {Array<{name: string, versions: Array<string>, active: string}>} Prompts, by name
+ */
+export function listPrompts() {
+    return [...prompts.keys()].sort().map(name => ({
+        name,
+        versions: prompts.get(name).map(entry => entry.version),
+        active: activeVersion(name)
+    }));
+}
@@ -0,0 +1,466 @@
+/**
+ * games.random - LLM Provider Layer
+ *
+ * One interface for every model the generator and the code assistant can use:
+ * - anthropic: Claude via the Anthropic SDK (default)
+ * - openai: any OpenAI-compatible /chat/completions endpoint (Ollama, LM Studio, llama.cpp, vLLM...)
+ * - mock: replays recorded fixtures from back-end/fixtures, including streamed chunks,
+ *   so the app runs with no API key or network
+ *
+ * Providers and models are chosen per endpoint ('generate', 'guide' or 'chat') from the environment:
+ *   LLM_PROVIDER / LLM_MODEL                     - defaults for every endpoint
+ *   LLM_GENERATE_PROVIDER / LLM_GENERATE_MODEL   - overrides for game generation
+ *   LLM_GUIDE_PROVIDER / LLM_GUIDE_MODEL         - overrides for game guides (see game-guide.js)
+ *   LLM_CHAT_PROVIDER / LLM_CHAT_MODEL           - overrides for the code assistant
+ *   OPENAI_BASE_URL / OPENAI_API_KEY             - OpenAI-compatible endpoint settings
+ *   LLM_RECORD_FIXTURES=true                     - save real responses as mock fixtures
+ *
+ * @module providers
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { readFile, readdir, writeFile, mkdir } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const FIXTURES_DIR = join(__dirname, '../fixtures');
+
+// Models used when no LLM_MODEL / LLM_<ENDPOINT>_MODEL is configured
+const DEFAULT_MODELS = {
+    anthropic: 'claude-sonnet-4-5-20250929',
+    openai: null,   // Local servers name models differently; must be configured
+    mock: 'mock'
+};
+
+/**
+ * A request to a language model
+ *
+ * @typedef {Object} LLMRequest
+ * @property {string} system - System prompt
+ * @property {Array<{role: string, content: string}>} messages - Conversation, oldest first
+ * @property {number} maxTokens - Output token limit
+ * @property {boolean} [cacheSystem=false] - Ask the provider to cache the system prompt
+ * @property {string} [library] - Game library, used by the mock provider to pick fixtures
+ * @property {AbortSignal} [signal] - Aborts the request (the call then rejects)
+ */
+
+/**
+ * A complete model response, normalized across providers
+ *
+ * @typedef {Object} LLMResponse
+ * @property {string} text - Response text
+ * @property {string} stopReason - 'end_turn', 'max_tokens' or 'stop_sequence'
+ * @property {{outputTokens: number, cacheCreationInputTokens: number, cacheReadInputTokens: number}} usage - Token usage
+ */
+
+// ========== ANTHROPIC ==========
+
+/**
+ * Claude via the Anthropic SDK
+ * The SDK is loaded on first use, so other providers work without an API key
+ *
+ * @returns {Object} Provider with createMessage() and streamMessage()
+ */
+function createAnthropicProvider() {
+    let client = null;
+
+    async function getClient() {
+        if (!client) {
+            const { default: Anthropic } = await import('@anthropic-ai/sdk');
+            client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+        }
+        return client;
+    }
+
+    function buildParams(model, request) {
+        return {
+            model,
+            max_tokens: request.maxTokens,
+            system: request.cacheSystem
+                ? [{ type: 'text', text: request.system, cache_control: { type: 'ephemeral' } }]
+                : request.system,
+            messages: request.messages
+        };
+    }
+
+    function normalize(message) {
+        let text = '';
+        for (const block of message.content) {
+            if (block.type === 'text') {
+                text += block.text;
+            }
+        }
+
+        return {
+            text,
+            stopReason: message.stop_reason,
+            usage: {
+                outputTokens: message.usage.output_tokens,
+                cacheCreationInputTokens: message.usage.cache_creation_input_tokens || 0,
+                cacheReadInputTokens: message.usage.cache_read_input_tokens || 0
+            }
+        };
+    }
+
+    return {
+        name: 'anthropic',
+
+        async createMessage(model, request) {
+            const anthropic = await getClient();
+            return normalize(await anthropic.messages.create(buildParams(model, request), { signal: request.signal }));
+        },
+
+        async streamMessage(model, request, onText) {
+            const anthropic = await getClient();
+            const stream = anthropic.messages.stream(buildParams(model, request), { signal: request.signal });
+            stream.on('text', onText);
+            return normalize(await stream.finalMessage());
+        }
+    };
+}
+
+// ========== OPENAI-COMPATIBLE ==========
+
+// OpenAI finish_reason → Anthropic-style stop reason
+const OPENAI_STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    content_filter: 'end_turn'
+};
+
+/**
+ * Any server implementing OpenAI's /chat/completions API
+ * Defaults to a local Ollama server (http://localhost:11434/v1)
+ *
+ * @returns {Object} Provider with createMessage() and streamMessage()
+ */
+function createOpenAIProvider() {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+
+    async function post(model, request, stream) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+        }
+
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model,
+                max_tokens: request.maxTokens,
+                stream,
+                messages: [{ role: 'system', content: request.system }, ...request.messages]
+            }),
+            signal: request.signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+        }
+        return response;
+    }
+
+    // Local servers don't always report usage; estimate ~4 characters per token
+    function usageOf(data, text) {
+        return {
+            outputTokens: (data && data.usage && data.usage.completion_tokens) || Math.ceil(text.length / 4),
+            cacheCreationInputTokens: 0,
+            cacheReadInputTokens: 0
+        };
+    }
+
+    return {
+        name: 'openai',
+
+        async createMessage(model, request) {
+            const data = await (await post(model, request, false)).json();
+            const choice = data.choices[0];
+            const text = choice.message.content || '';
+
+            return {
+                text,
+                stopReason: OPENAI_STOP_REASONS[choice.finish_reason] || 'end_turn',
+                usage: usageOf(data, text)
+            };
+        },
+
+        async streamMessage(model, request, onText) {
+            const response = await post(model, request, true);
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+
+            let buffer = '';
+            let text = '';
+            let finishReason = null;
+            let lastData = null;
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop(); // Keep incomplete line in buffer
+
+                for (const line of lines) {
+                    if (!line.startsWith('data: ') || line === 'data: [DONE]') continue;
+
+                    const data = JSON.parse(line.slice(6));
+                    const choice = data.choices && data.choices[0];
+                    lastData = data;
+
+                    if (choice && choice.delta && choice.delta.content) {
+                        text += choice.delta.content;
+                        onText(choice.delta.content, text);
+                    }
+                    if (choice && choice.finish_reason) {
+                        finishReason = choice.finish_reason;
+                    }
+                }
+            }
+
+            return {
+                text,
+                stopReason: OPENAI_STOP_REASONS[finishReason] || 'end_turn',
+                usage: usageOf(lastData, text)
+            };
+        }
+    };
+}
+
+// ========== MOCK (FIXTURE REPLAY) ==========
+
+/**
+ * Identify a request for fixture matching
+ * Based on the conversation only, so editing a system prompt doesn't invalidate recordings
+ *
+ * @param {string} endpoint - 'generate', 'guide' or 'chat'
+ * @param {LLMRequest} request - Model request
+ * @returns {string} Short hash
+ */
+function fixtureKey(endpoint, request) {
+    return createHash('sha256')
+        .update(JSON.stringify({ endpoint, messages: request.messages }))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * Load every fixture recorded for an endpoint
+ * Read on every request, so new recordings are picked up without a restart
+ *
+ * @param {string} endpoint - 'generate', 'guide' or 'chat'
+ * @returns {Promise<Array<Object>>} Fixtures, sorted by file name
+ */
+async function loadFixtures(endpoint) {
+    const dir = join(FIXTURES_DIR, endpoint);
+    let files;
+
+    try {
+        files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        return [];
+    }
+
+    return Promise.all(files.map(async file => JSON.parse(await readFile(join(dir, file), 'utf8'))));
+}
+
+/**
+ * Replays recorded responses instead of calling a model
+ *
+ * Picks the fixture recorded for exactly this conversation if there is one,
+ * otherwise the endpoint's default fixture for the request's library, otherwise
+ * its general default. Streams the recorded chunks (or the text split into
+ * fixed-size chunks) so the UI sees the same events as with a real model.
+ *
+ * @returns {Object} Provider with createMessage() and streamMessage()
+ */
+function createMockProvider() {
+    const chunkDelay = parseInt(process.env.MOCK_CHUNK_DELAY_MS || '0', 10) || 0;
+
+    async function findFixture(endpoint, request) {
+        const fixtures = await loadFixtures(endpoint);
+        const key = fixtureKey(endpoint, request);
+
+        const fixture = fixtures.find(f => f.key === key)
+            || fixtures.find(f => !f.key && f.library && f.library === request.library)
+            || fixtures.find(f => !f.key && !f.library);
+
+        if (!fixture) {
+            throw new Error(`No mock fixture for "${endpoint}" request ${key} (add one to back-end/fixtures/${endpoint}/)`);
+        }
+        return fixture.response;
+    }
+
+    function normalize(response) {
+        return {
+            text: response.text,
+            stopReason: response.stopReason || 'end_turn',
+            usage: {
+                outputTokens: (response.usage && response.usage.outputTokens) || Math.ceil(response.text.length / 4),
+                cacheCreationInputTokens: 0,
+                cacheReadInputTokens: 0
+            }
+        };
+    }
+
+    return {
+        name: 'mock',
+
+        async createMessage(model, request, endpoint) {
+            if (request.signal) request.signal.throwIfAborted();
+            return normalize(await findFixture(endpoint, request));
+        },
+
+        async streamMessage(model, request, onText, endpoint) {
+            const response = await findFixture(endpoint, request);
+            const chunks = response.chunks || response.text.match(/[\s\S]{1,40}/g) || [];
+            let snapshot = '';
+
+            for (const chunk of chunks) {
+                // Stop replaying like a real stream would when the request is aborted
+                if (request.signal) request.signal.throwIfAborted();
+
+                snapshot += chunk;
+                onText(chunk, snapshot);
+
+                // Yield between chunks so they reach the client as separate SSE events
+                await new Promise(resolve => setTimeout(resolve, chunkDelay));
+            }
+
+            return normalize(response);
+        }
+    };
+}
+
+// ========== FIXTURE RECORDING ==========
+
+/**
+ * Save a real exchange as a mock fixture (LLM_RECORD_FIXTURES=true)
+ *
+ * @param {string} endpoint - 'generate', 'guide' or 'chat'
+ * @param {string} model - Model that answered
+ * @param {LLMRequest} request - Model request
+ * @param {LLMResponse} response - Model response
+ * @param {Array<string>} [chunks] - Streamed chunks, in order
+ */
+async function recordFixture(endpoint, model, request, response, chunks) {
+    const key = fixtureKey(endpoint, request);
+    const dir = join(FIXTURES_DIR, endpoint);
+
+    try {
+        await mkdir(dir, { recursive: true });
+        await writeFile(join(dir, `${Date.now()}-${key}.json`), JSON.stringify({
+            key,
+            library: request.library || null,
+            request: { model, messages: request.messages },
+            response: {
+                text: response.text,
+                chunks,
+                stopReason: response.stopReason,
+                usage: { outputTokens: response.usage.outputTokens }
+            }
+        }, null, 2));
+        console.log(`📼 Recorded ${endpoint} fixture ${key}`);
+    } catch (error) {
+        console.error('❌ Failed to record fixture:', error.message);
+    }
+}
+
+// ========== PROVIDER SELECTION ==========
+
+const providerFactories = {
+    anthropic: createAnthropicProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+const providerInstances = {};
+
+/**
+ * Work out which provider and model an endpoint uses
+ * LLM_MODEL only applies to endpoints using the default LLM_PROVIDER
+ *
+ * @param {string} endpoint - 'generate', 'guide' or 'chat'
+ * @returns {{provider: string, model: string}} Configured provider name and model
+ * @throws {Error} If the provider is unknown or has no model configured
+ */
+export function getModelConfig(endpoint) {
+    const prefix = `LLM_${endpoint.toUpperCase()}_`;
+    const defaultProvider = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+    const provider = (process.env[`${prefix}PROVIDER`] || defaultProvider).toLowerCase();
+
+    if (!providerFactories[provider]) {
+        throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+
+    const model = process.env[`${prefix}MODEL`]
+        || (provider === defaultProvider ? process.env.LLM_MODEL : null)
+        || DEFAULT_MODELS[provider];
+
+    if (!model) {
+        throw new Error(`No model configured for the ${provider} provider. Set LLM_MODEL or ${prefix}MODEL.`);
+    }
+
+    return { provider, model };
+}
+
+/**
+ * Get the language model for an endpoint
+ *
+ * @param {string} endpoint - 'generate' (game generation), 'guide' (game guides) or 'chat' (code assistant)
+ * @returns {{name: string, model: string, createMessage: Function, streamMessage: Function}} Bound model
+ *
+ * @example
+ * const llm = getProvider('generate');
+ * const { text, stopReason } = await llm.createMessage({ system, messages, maxTokens: 7000 });
+ * await llm.streamMessage({ system, messages, maxTokens: 7000 }, (delta, snapshot) => { ... });
+ */
+export function getProvider(endpoint) {
+    const { provider: name, model } = getModelConfig(endpoint);
+
+    if (!providerInstances[name]) {
+        providerInstances[name] = providerFactories[name]();
+    }
+
+    const provider = providerInstances[name];
+    const record = process.env.LLM_RECORD_FIXTURES === 'true' && name !== 'mock';
+
+    return {
+        name,
+        model,
+
+        /**
+         * @param {LLMRequest} request - Model request
+         * @returns {Promise<LLMResponse>} Complete response
+         */
+        async createMessage(request) {
+            const response = await provider.createMessage(model, request, endpoint);
+            if (record) await recordFixture(endpoint, model, request, response);
+            return response;
+        },
+
+        /**
+         * @param {LLMRequest} request - Model request
+         * @param {Function} onText - Called as onText(delta, snapshot) for each streamed chunk
+         * @returns {Promise<LLMResponse>} Complete response once the stream ends
+         */
+        async streamMessage(request, onText) {
+            const chunks = [];
+            const response = await provider.streamMessage(model, request, (delta, snapshot) => {
+                chunks.push(delta);
+                onText(delta, snapshot);
+            }, endpoint);
+
+            if (record) await recordFixture(endpoint, model, request, response, chunks);
+            return response;
+        }
+    };
+}
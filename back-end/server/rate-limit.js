@@ -0,0 +1,210 @@
+/**
+ * games.random - Token Bucket Rate Limiter
+ *
+ * In-memory request rate limits for the AI endpoints. Each key (an IP address
+ * or a user ID) gets a bucket that holds up to `limit` requests and refills
+ * continuously, so a full bucket allows a short burst and then one request
+ * every `windowMs / limit` milliseconds.
+ *
+ * Buckets live in this process only; daily token budgets, which must survive
+ * restarts, are stored in MongoDB by server.js, which passes its usage
+ * lookups to the middleware here.
+ *
+ * @module rate-limit
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+const SWEEP_INTERVAL = 10 * 60 * 1000; // ms between removals of idle, full buckets
+
+/**
+ * State of one key's bucket
+ *
+ * @typedef {Object} RateLimitStatus
+ * @property {boolean} allowed - True if a request may be made now
+ * @property {number} limit - Bucket capacity (requests per window)
+ * @property {number} remaining - Whole requests left in the bucket
+ * @property {number} retryAfter - Seconds until the next request is allowed (0 if allowed)
+ */
+
+/**
+ * Create a token bucket rate limiter
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.limit - Requests allowed per window (bucket capacity)
+ * @param {number} options.windowMs - Time for an empty bucket to refill completely
+ * @returns {{take: function(string): RateLimitStatus, peek: function(string): RateLimitStatus}} Limiter
+ *
+ * @example
+ * const limiter = createRateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 });
+ * const status = limiter.take(req.ip);
+ * if (!status.allowed) res.set('Retry-After', status.retryAfter);
+ */
+export function createRateLimiter({ limit, windowMs }) {
+    const buckets = new Map();
+    const refillPerMs = limit / windowMs;
+
+    // Bring a bucket up to date with the time that has passed since it was last used
+    function refill(key, now) {
+        const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+        bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    function status(bucket) {
+        const allowed = bucket.tokens >= 1;
+        return {
+            allowed,
+            limit,
+            remaining: Math.floor(bucket.tokens),
+            retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) * windowMs / limit / 1000)
+        };
+    }
+
+    // Full buckets behave exactly like missing ones, so they can be dropped
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const key of buckets.keys()) {
+            if (refill(key, now).tokens >= limit) {
+                buckets.delete(key);
+            }
+        }
+    }, SWEEP_INTERVAL);
+    sweeper.unref(); // Don't keep the process alive just for cleanup
+
+    return {
+        /**
+         * Use one request from a key's bucket, if there is one
+         * @param {string} key - IP address or user ID
+         * @returns {RateLimitStatus} Status after the attempt
+         */
+        take(key) {
+            const bucket = refill(key, Date.now());
+            const result = status(bucket);
+
+            if (result.allowed) {
+                bucket.tokens -= 1;
+                result.remaining = Math.floor(bucket.tokens);
+                buckets.set(key, bucket);
+            }
+            return result;
+        },
+
+        /**
+         * Check a key's bucket without using a request
+         * @param {string} key - IP address or user ID
+         * @returns {RateLimitStatus} Current status
+         */
+        peek(key) {
+            return status(refill(key, Date.now()));
+        }
+    };
+}
+
+/**
+ * Start of the next UTC day, when daily budgets reset
+ *
+ * @returns {Date} Next UTC midnight
+ */
+export function nextBudgetReset() {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+}
+
+/**
+ * Describe a wait for error messages
+ *
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. "in 45 seconds", "in 12 minutes", "in 3h 20m"
+ */
+export function formatWait(seconds) {
+    if (seconds < 60) return `in ${seconds} seconds`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `in ${minutes} minutes`;
+    return `in ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Who a request counts against
+ *
+ * @typedef {Object} Requester
+ * @property {string} type - 'user' or 'anonymous'
+ * @property {string} key - Storage key ('user:<id>' or 'ip:<address>')
+ */
+
+/**
+ * Create the rate limit and quota middleware for the AI endpoints
+ *
+ * Each middleware rejects the request with 429 and a Retry-After header when
+ * the requester's daily token budget is spent or their token bucket for the
+ * endpoint is empty. Otherwise it sets res.locals.recordUsage(outputTokens)
+ * for the route to report what the model used.
+ *
+ * @param {Object} options - Middleware options
+ * @param {Object<string, Object<string, ?Object>>} options.limiters - Rate limiter per endpoint and requester type (null when disabled)
+ * @param {Object<string, number>} options.budgets - Daily output tokens per requester type (0 disables)
+ * @param {function(Request): Requester} options.getRequester - Who a request counts against
+ * @param {function(string): Promise<number>} options.getTokensUsedToday - Output tokens a requester key has used today
+ * @param {function(string, number): void} options.recordUsage - Adds output tokens to a requester key's usage
+ * @returns {function(string): Function} Builds the Express middleware for an endpoint ('generate' or 'chat')
+ *
+ * @example
+ * const rateLimit = createRateLimitMiddleware({ limiters, budgets, getRequester, getTokensUsedToday, recordUsage });
+ * app.post('/api/chat', rateLimit('chat'), handler);
+ */
+export function createRateLimitMiddleware({ limiters, budgets, getRequester, getTokensUsedToday, recordUsage }) {
+    return function rateLimit(endpoint) {
+        return async (req, res, next) => {
+            try {
+                const requester = getRequester(req);
+                const budget = budgets[requester.type];
+                const signInHint = requester.type === 'anonymous' ? ' Sign in for a larger allowance.' : '';
+
+                // Check the budget first, so a spent budget doesn't also empty the bucket
+                if (budget > 0 && await getTokensUsedToday(requester.key) >= budget) {
+                    const retryAfter = Math.ceil((nextBudgetReset() - Date.now()) / 1000);
+                    console.log(`🚫 Daily budget spent: ${requester.key}`);
+
+                    res.set('Retry-After', String(retryAfter));
+                    return res.status(429).json({
+                        success: false,
+                        error: `Daily AI limit reached. It resets ${formatWait(retryAfter)}.${signInHint}`,
+                        reason: 'daily-budget',
+                        retryAfter
+                    });
+                }
+
+                const limiter = limiters[endpoint][requester.type];
+                if (limiter) {
+                    const status = limiter.take(requester.key);
+                    res.set('X-RateLimit-Limit', String(status.limit));
+                    res.set('X-RateLimit-Remaining', String(status.remaining));
+
+                    if (!status.allowed) {
+                        console.log(`🚫 Rate limited (${endpoint}): ${requester.key}`);
+
+                        res.set('Retry-After', String(status.retryAfter));
+                        return res.status(429).json({
+                            success: false,
+                            error: `Too many requests. Please try again ${formatWait(status.retryAfter)}.${signInHint}`,
+                            reason: 'rate-limit',
+                            retryAfter: status.retryAfter
+                        });
+                    }
+                }
+
+                res.locals.recordUsage = (outputTokens) => recordUsage(requester.key, outputTokens);
+                next();
+
+            } catch (error) {
+                console.error('❌ Error checking rate limit:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        };
+    };
+}
@@ -5,11 +5,15 @@
  * MongoDB persistence, and real-time streaming capabilities.
  * 
  * Features:
- * - Google OAuth 2.0 authentication
+ * - Google OAuth 2.0 and local username/password authentication
  * - MongoDB storage for users and generated games
  * - AI game generation (standard and streaming)
  * - Interactive code assistant chatbot
- * - Session management with Passport.js
+ * - Session management with Passport.js, persisted in MongoDB
+ * - Rate limits and daily token budgets for the AI endpoints
+ * - Share links, a public gallery and forking of shared games
+ * - Game titles, tags and folders for organizing saved games
+ * - Classrooms: teacher classes, assignments and student submissions
  * 
  * @module server
  * @author Shayan Mazahir, Rayyan Moosani
@@ -22,8 +26,21 @@ import session from 'express-session';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import mongoose from 'mongoose';
-import { generateGame, chatWithCodeAssistant, generateGameStreaming } from './main.js';
+import { generateGame, chatWithCodeAssistant, generateGameStreaming, refineGameStreaming } from './main.js';
+import { hasPrompt } from './prompts.js';
+import { normalizeGuide } from './game-guide.js';
+import { diffLines } from './diff.js';
+import { createRateLimiter, createRateLimitMiddleware, nextBudgetReset, formatWait } from './rate-limit.js';
+import { createStreamRegistry } from './stream-jobs.js';
+import { createJobQueue } from './job-queue.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { createSessionStore } from './session-store.js';
+import { createCorsPolicy } from './cors-policy.js';
+import { createClassAccess } from './class-access.js';
+import { buildStandaloneHTML, buildExportZip, exportFileName } from './exporter.js';
+import { LIBRARIES, getEngine, isLibrary, getRuntime, latestVersion, isAvailableVersion, listEngines, checkUpgrade } from './engines.js';
 import path from 'path';
+import { randomBytes } from 'crypto';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
@@ -46,6 +63,83 @@ const SESSION_SECRET = process.env.SESSION_SECRET || 'fallback-secret-change-in-
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://......';
 const PORT = process.env.PORT || 3000;
 
+// Address users reach the site at (used for the OAuth callback); no trailing slash
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+/**
+ * Session cookie settings
+ * Secure cookies default to on when the site is served over HTTPS.
+ * SameSite 'none' (for embedding the site elsewhere) requires secure cookies.
+ */
+const SESSION_COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE
+    ? process.env.SESSION_COOKIE_SECURE === 'true'
+    : PUBLIC_BASE_URL.startsWith('https://');
+const SESSION_COOKIE_SAMESITE = (process.env.SESSION_COOKIE_SAMESITE || 'lax').toLowerCase();
+const SESSION_MAX_AGE_HOURS = readLimit('SESSION_MAX_AGE_HOURS', 24);
+
+// Reverse proxies in front of the app: a hop count ('1') or their addresses/subnets ('loopback, 10.0.0.0/8');
+// needed for secure cookies behind TLS termination and for per-IP rate limits to see the client's address
+const TRUST_PROXY = (process.env.TRUST_PROXY || '').trim();
+
+// Origins allowed to call the API from other sites ('*' allows any, but without cookies); the site's own origin is always allowed
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+/**
+ * Read a non-negative whole number from the environment
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} Configured value
+ */
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name] ?? '', 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+// Requests per hour to the AI endpoints, per IP (anonymous) or per account (0 disables)
+const RATE_LIMITS = {
+    generate: {
+        anonymous: readLimit('RATE_LIMIT_GENERATE_ANON', 5),
+        user: readLimit('RATE_LIMIT_GENERATE_USER', 20)
+    },
+    chat: {
+        anonymous: readLimit('RATE_LIMIT_CHAT_ANON', 20),
+        user: readLimit('RATE_LIMIT_CHAT_USER', 60)
+    }
+};
+
+// Output tokens per UTC day, shared by generation and chat (0 disables)
+const DAILY_TOKEN_BUDGETS = {
+    anonymous: readLimit('DAILY_TOKEN_BUDGET_ANON', 30000),
+    user: readLimit('DAILY_TOKEN_BUDGET_USER', 200000)
+};
+
+// How long a generation stream nobody is connected to waits for a reconnect before it is cancelled
+const STREAM_RESUME_GRACE_MS = readLimit('STREAM_RESUME_GRACE_MS', 20000);
+
+// Generations calling the model at the same time; the rest wait in a queue (0 disables the limit)
+const GENERATION_CONCURRENCY = readLimit('GENERATION_CONCURRENCY', 4);
+
+if (!['lax', 'strict', 'none'].includes(SESSION_COOKIE_SAMESITE)) {
+    throw new Error(`SESSION_COOKIE_SAMESITE must be lax, strict or none (got "${SESSION_COOKIE_SAMESITE}")`);
+}
+if (SESSION_COOKIE_SAMESITE === 'none' && !SESSION_COOKIE_SECURE) {
+    throw new Error('SESSION_COOKIE_SAMESITE=none requires secure cookies (SESSION_COOKIE_SECURE=true)');
+}
+
+// Trusting every proxy would take the client IP from whatever X-Forwarded-For the caller sends,
+// so anyone could dodge the per-IP rate limits by making up a new address for each request
+if (TRUST_PROXY === 'true') {
+    throw new Error('TRUST_PROXY=true lets clients spoof their IP; set the number of proxies in front of the app (e.g. 1) or their addresses instead');
+}
+
+if (SESSION_SECRET === 'fallback-secret-change-in-production' && process.env.NODE_ENV === 'production') {
+    console.warn('⚠️  WARNING: SESSION_SECRET is not set; sessions can be forged!');
+}
+
 // Validate OAuth configuration
 const isOAuthConfigured = GOOGLE_CLIENT_ID !== 'your-client-id' && GOOGLE_CLIENT_SECRET !== 'your-client-secret';
 
@@ -61,8 +155,28 @@ if (!isOAuthConfigured) {
  * Uses MONGODB_URI from environment variables
  */
 mongoose.connect(MONGODB_URI)
-    .then(() => {
+    .then(async () => {
         console.log('✅ Connected to MongoDB');
+
+        // Accounts created before local sign-in existed are keyed by their Google ID
+        const { modifiedCount } = await User.updateMany(
+            { userId: { $exists: false }, googleId: { $exists: true } },
+            [{ $set: { userId: '$googleId' } }]
+        );
+        if (modifiedCount > 0) {
+            console.log(`🔑 Gave ${modifiedCount} existing users a user ID`);
+        }
+
+        // Games saved before runtime manifests existed keep the engine they were played with
+        for (const library of LIBRARIES) {
+            const { modifiedCount: pinned } = await Game.updateMany(
+                { library, 'runtime.version': { $exists: false } },
+                { $set: { runtime: getRuntime({ library }) } }
+            );
+            if (pinned > 0) {
+                console.log(`📌 Pinned ${pinned} existing ${library} games to ${getRuntime({ library }).version}`);
+            }
+        }
     })
     .catch((err) => {
         console.error('❌ MongoDB connection error:', err);
@@ -73,17 +187,25 @@ mongoose.connect(MONGODB_URI)
 
 /**
  * User Schema - Stores authenticated user information
+ * An account can sign in with Google, a username and password, or both
  * 
  * @typedef {Object} User
- * @property {string} googleId - Unique Google account ID
+ * @property {string} userId - Stable ID that games and other records are keyed by
+ *   (the Google ID for accounts created with Google, 'local-<_id>' for local ones)
+ * @property {string} googleId - Unique Google account ID (if linked)
+ * @property {string} username - Unique lowercase username (if a password is set)
+ * @property {string} passwordHash - scrypt hash of the password (see passwords.js)
  * @property {string} email - User's email address
  * @property {string} name - User's display name
  * @property {string} avatar - URL to user's profile picture
  * @property {Date} createdAt - Account creation timestamp
  */
 const userSchema = new mongoose.Schema({
-    googleId: { type: String, required: true, unique: true },
-    email: { type: String, required: true },
+    userId: { type: String, unique: true, sparse: true },
+    googleId: { type: String, unique: true, sparse: true },
+    username: { type: String, unique: true, sparse: true },
+    passwordHash: String,
+    email: String,
     name: String,
     avatar: String,
     createdAt: { type: Date, default: Date.now }
@@ -99,16 +221,46 @@ const User = mongoose.model('User', userSchema);
  * @property {string} title - Game title
  * @property {string} description - Natural language description used to generate the game
  * @property {string} code - Generated JavaScript game code
- * @property {string} library - Game library used ('p5js' or 'phaser')
+ * @property {string} library - Game library used (see LIBRARIES in engines.js)
+ * @property {Object} runtime - Runtime manifest: the library and exact engine version the game runs on (see engines.js)
+ * @property {string} promptVersion - Prompt that generated the game, e.g. 'game-p5js@v2' (null if unknown, e.g. older games)
+ * @property {Object} guide - Title, controls, states, key functions and concepts generated with the code (see game-guide.js; null if none)
+ * @property {string} visibility - Who can open the game: 'private' (owner only), 'unlisted' (anyone with the link) or 'public' (also listed in the gallery)
+ * @property {string} slug - Short share ID, assigned the first time the game is shared
+ * @property {ObjectId} forkedFrom - Game this one was forked from (null if original)
+ * @property {number} forks - How many times this game has been forked
+ * @property {Array<string>} tags - Lowercase labels chosen by the owner
+ * @property {ObjectId} folderId - Folder the game is filed in (null if unfiled)
  * @property {Date} createdAt - Game creation timestamp
  * @property {Date} updatedAt - Last modification timestamp
  */
+// Structured guide generated with a game (see GameGuide in game-guide.js)
+const gameGuideSchema = new mongoose.Schema({
+    title: String,
+    controls: [{ _id: false, input: String, action: String }],
+    states: [{ _id: false, name: String, description: String }],
+    functions: [{ _id: false, name: String, explanation: String }],
+    concepts: [String]
+}, { _id: false });
+
 const gameSchema = new mongoose.Schema({
     userId: { type: String, required: true, index: true },
     title: { type: String, required: true },
     description: { type: String, required: true },
     code: { type: String, required: true },
-    library: { type: String, required: true, enum: ['p5js', 'phaser'] },
+    library: { type: String, required: true, enum: LIBRARIES },
+    runtime: {
+        library: { type: String, enum: LIBRARIES },
+        version: { type: String }
+    },
+    promptVersion: { type: String, default: null },
+    guide: { type: gameGuideSchema, default: null },
+    visibility: { type: String, enum: ['private', 'unlisted', 'public'], default: 'private' },
+    slug: { type: String, unique: true, sparse: true },
+    forkedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Game', default: null },
+    forks: { type: Number, default: 0 },
+    tags: { type: [String], default: [] },
+    folderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
@@ -116,33 +268,296 @@ const gameSchema = new mongoose.Schema({
 // Index for faster queries by user and creation date
 gameSchema.index({ userId: 1, createdAt: -1 });
 
+// Index for listing a folder's games
+gameSchema.index({ userId: 1, folderId: 1, createdAt: -1 });
+
+// Index for the public gallery, newest first
+gameSchema.index({ visibility: 1, library: 1, createdAt: -1 });
+
 const Game = mongoose.model('Game', gameSchema);
 
+/**
+ * Game Revision Schema - Stores every saved version of a game's code
+ * 
+ * @typedef {Object} GameRevision
+ * @property {ObjectId} gameId - Game this revision belongs to
+ * @property {string} userId - ID of the user who owns the game
+ * @property {string} code - Full game code at this revision
+ * @property {string} source - What produced this revision ('generated', 'manual', 'assistant', 'refined', 'restored' or 'forked')
+ * @property {ObjectId} restoredFrom - Revision that was restored (only for 'restored')
+ * @property {string} note - Change request that produced the revision (only for 'refined')
+ * @property {Date} createdAt - When this revision was saved
+ */
+const gameRevisionSchema = new mongoose.Schema({
+    gameId: { type: mongoose.Schema.Types.ObjectId, ref: 'Game', required: true },
+    userId: { type: String, required: true },
+    code: { type: String, required: true },
+    source: { type: String, required: true, enum: ['generated', 'manual', 'assistant', 'refined', 'restored', 'forked'] },
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, default: null },
+    note: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Index for listing a game's history newest first
+gameRevisionSchema.index({ gameId: 1, createdAt: -1 });
+
+const GameRevision = mongoose.model('GameRevision', gameRevisionSchema);
+
+/**
+ * Folder Schema - User-defined collections of games (e.g. one per lesson)
+ * 
+ * @typedef {Object} Folder
+ * @property {string} userId - ID of the user who owns the folder
+ * @property {string} name - Folder name, unique per user
+ * @property {Date} createdAt - Folder creation timestamp
+ */
+const folderSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    name: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Folder names are unique per user
+folderSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+/**
+ * Classroom Schema - A teacher's class that students join with a code
+ * 
+ * @typedef {Object} Classroom
+ * @property {string} teacherId - ID of the user who created and runs the class
+ * @property {string} teacherName - Teacher's display name (shown to students)
+ * @property {string} name - Class name
+ * @property {string} joinCode - Code students enter to join
+ * @property {Array<Object>} students - Roster: userId, name, avatar and joinedAt per student
+ * @property {Date} createdAt - Class creation timestamp
+ */
+const classroomSchema = new mongoose.Schema({
+    teacherId: { type: String, required: true },
+    teacherName: String,
+    name: { type: String, required: true },
+    joinCode: { type: String, required: true, unique: true },
+    students: [{
+        _id: false,
+        userId: { type: String, required: true },
+        name: String,
+        avatar: String,
+        joinedAt: { type: Date, default: Date.now }
+    }],
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Indexes for listing the classes a user teaches or attends
+classroomSchema.index({ teacherId: 1, createdAt: -1 });
+classroomSchema.index({ 'students.userId': 1 });
+
+const Classroom = mongoose.model('Classroom', classroomSchema);
+
+/**
+ * Assignment Schema - A task posted to a class
+ * 
+ * @typedef {Object} Assignment
+ * @property {ObjectId} classId - Class the assignment belongs to
+ * @property {string} title - Assignment title
+ * @property {string} instructions - What students should do
+ * @property {string} library - Library students must use (see LIBRARIES in engines.js)
+ * @property {string} starterPrompt - Game description students start generating from (optional)
+ * @property {string} starterCode - Code students start editing from (optional)
+ * @property {Date} dueAt - Due date (null if none)
+ * @property {Date} createdAt - Assignment creation timestamp
+ */
+const assignmentSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    title: { type: String, required: true },
+    instructions: { type: String, default: '' },
+    library: { type: String, required: true, enum: LIBRARIES },
+    starterPrompt: { type: String, default: '' },
+    starterCode: { type: String, default: '' },
+    dueAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Index for listing a class's assignments newest first
+assignmentSchema.index({ classId: 1, createdAt: -1 });
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+
+/**
+ * Submission Schema - A student's saved game handed in for an assignment
+ * Resubmitting replaces the student's previous submission
+ * 
+ * @typedef {Object} Submission
+ * @property {ObjectId} assignmentId - Assignment being answered
+ * @property {ObjectId} classId - Class of the assignment (for role checks)
+ * @property {string} studentId - ID of the submitting student
+ * @property {ObjectId} gameId - Submitted game (still owned by the student)
+ * @property {ObjectId} revisionId - Revision that was current when the game was submitted
+ * @property {Date} submittedAt - When the game was (last) submitted
+ */
+const submissionSchema = new mongoose.Schema({
+    assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment', required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    studentId: { type: String, required: true },
+    gameId: { type: mongoose.Schema.Types.ObjectId, ref: 'Game', required: true },
+    revisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'GameRevision', default: null },
+    submittedAt: { type: Date, default: Date.now }
+});
+
+// One submission per student per assignment
+submissionSchema.index({ assignmentId: 1, studentId: 1 }, { unique: true });
+
+// Index for removing a game's submissions when the game is deleted
+submissionSchema.index({ gameId: 1 });
+
+const Submission = mongoose.model('Submission', submissionSchema);
+
+// Revision sources clients may submit (restores and forks are created by the server)
+const REVISION_SOURCES = ['generated', 'manual', 'assistant', 'refined'];
+
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// Share slugs: 8 characters from an unambiguous alphabet (no 0/O, 1/l/I)
+const SLUG_ALPHABET = '23456789abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+const SLUG_LENGTH = 8;
+
+// Gallery page size (default and maximum)
+const GALLERY_PAGE_SIZE = 24;
+const GALLERY_MAX_PAGE_SIZE = 60;
+
+// Game list page size (default and maximum)
+const GAME_LIST_PAGE_SIZE = 20;
+const GAME_LIST_MAX_PAGE_SIZE = 100;
+
+// Game list sort options: field, direction and whether the field is a date (for cursors)
+const GAME_LIST_SORTS = {
+    newest: { field: 'createdAt', direction: -1, date: true },
+    oldest: { field: 'createdAt', direction: 1, date: true },
+    updated: { field: 'updatedAt', direction: -1, date: true },
+    title: { field: 'title', direction: 1, date: false }
+};
+
+// Case-insensitive ordering for title sorts
+const TITLE_COLLATION = { locale: 'en', strength: 2 };
+
+// Limits for game metadata and organization
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_FOLDER_NAME_LENGTH = 60;
+const MAX_FOLDERS = 100;
+const MAX_BULK_GAMES = 200;
+
+// Class join codes: 6 characters from an unambiguous, upper-case alphabet
+const JOIN_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const JOIN_CODE_LENGTH = 6;
+
+// Limits for classes and assignments
+const MAX_CLASS_NAME_LENGTH = 80;
+const MAX_CLASS_SIZE = 200;
+const MAX_ASSIGNMENT_TITLE_LENGTH = 120;
+const MAX_INSTRUCTIONS_LENGTH = 5000;
+const MAX_STARTER_PROMPT_LENGTH = 2000;
+const MAX_STARTER_CODE_LENGTH = 200000;
+
+// Limits for "modify this game" requests
+const MIN_CHANGE_REQUEST_LENGTH = 5;
+const MAX_CHANGE_REQUEST_LENGTH = 2000;
+const MAX_REFINE_CODE_LENGTH = 200000;
+
+// Largest JSON request body: room for 200,000 characters of code after JSON escaping
+// and UTF-8 encoding, plus the other fields (the body parser's default is only 100kb)
+const MAX_JSON_BODY_SIZE = '1mb';
+
+// Local accounts: usernames are 3-30 letters, digits, dots, dashes or underscores
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_DISPLAY_NAME_LENGTH = 60;
+
+/**
+ * Usage Schema - Output tokens spent per requester per day, for daily budgets
+ * 
+ * @typedef {Object} Usage
+ * @property {string} key - Requester: 'user:<id>' or 'ip:<address>'
+ * @property {string} day - UTC date ('YYYY-MM-DD')
+ * @property {number} outputTokens - Model output tokens used that day
+ * @property {Date} expiresAt - When MongoDB may remove the record
+ */
+const usageSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    day: { type: String, required: true },
+    outputTokens: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+
+// One record per requester per day, removed a week later
+usageSchema.index({ key: 1, day: 1 }, { unique: true });
+usageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Usage = mongoose.model('Usage', usageSchema);
+
+const USAGE_RETENTION_DAYS = 7;
+
+/**
+ * Session Schema - One express-session session (see session-store.js)
+ * 
+ * @typedef {Object} StoredSession
+ * @property {string} _id - Session ID
+ * @property {string} session - JSON-serialized session data
+ * @property {Date} expires - When MongoDB may remove the session
+ */
+const sessionSchema = new mongoose.Schema({
+    _id: String,
+    session: { type: String, required: true },
+    expires: { type: Date, required: true }
+}, { versionKey: false });
+
+// Remove sessions as soon as they expire
+sessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+const StoredSession = mongoose.model('Session', sessionSchema);
+const MongooseSessionStore = createSessionStore(session.Store, StoredSession);
+
 // ========== MIDDLEWARE ==========
 
+// Behind a reverse proxy, trust its X-Forwarded-* headers (client IP, HTTPS)
+if (TRUST_PROXY) {
+    let trustProxy = TRUST_PROXY;
+    if (TRUST_PROXY === 'false') trustProxy = false;
+    else if (/^\d+$/.test(TRUST_PROXY)) trustProxy = Number(TRUST_PROXY);
+    app.set('trust proxy', trustProxy);
+}
+
 /**
  * CORS configuration - Allow cross-origin requests with credentials
- * Enable credentials for session cookie support
+ * Only the site itself and the origins in CORS_ORIGINS are allowed;
+ * requests without an Origin header (same-origin pages, curl) pass through.
+ * With '*' in CORS_ORIGINS any other site may call the API too, but without
+ * credentials, so it can never act as the signed-in user
  */
-app.use(cors({
-    origin: true,  // Allow all origins (configure stricter for production)
-    credentials: true
-}));
+const corsPolicy = createCorsPolicy(new URL(PUBLIC_BASE_URL).origin, CORS_ORIGINS);
+
+app.use(cors((req, callback) => callback(null, corsPolicy(req.get('Origin')))));
 
 // Parse JSON request bodies
-app.use(express.json());
+app.use(express.json({ limit: MAX_JSON_BODY_SIZE }));
 
 /**
  * Session configuration
- * Sessions are stored in memory (use MongoDB store for production)
+ * Sessions are stored in MongoDB, so restarts don't sign everyone out
  */
 app.use(session({
+    store: new MongooseSessionStore(),
     secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: {
-        secure: false,  // Set to true in production with HTTPS
-        maxAge: 24 * 60 * 60 * 1000  // 24 hours
+        httpOnly: true,
+        secure: SESSION_COOKIE_SECURE,
+        sameSite: SESSION_COOKIE_SAMESITE,
+        maxAge: SESSION_MAX_AGE_HOURS > 0 ? SESSION_MAX_AGE_HOURS * 60 * 60 * 1000 : undefined  // 0: until the browser closes
     }
 }));
 
@@ -152,24 +567,62 @@ app.use(passport.session());
 
 // ========== PASSPORT CONFIGURATION ==========
 
+/**
+ * Convert a user document to the object stored in the session (req.user)
+ * Google and local sign-in produce the same shape
+ * 
+ * @param {Object} user - User document
+ * @returns {{id: string, name: string, email: string|null, avatar: string|null}} Session user
+ */
+function toSessionUser(user) {
+    return {
+        id: user.userId,
+        name: user.name,
+        email: user.email || null,
+        avatar: user.avatar || null
+    };
+}
+
 /**
  * Google OAuth Strategy Configuration
  * Handles user authentication via Google accounts
+ * When a signed-in user is linking Google (req.linkingGoogle), the Google
+ * account is attached to their existing account instead of signing in
  */
 if (isOAuthConfigured) {
     passport.use(new GoogleStrategy({
         clientID: GOOGLE_CLIENT_ID,
         clientSecret: GOOGLE_CLIENT_SECRET,
-        callbackURL: `http://localhost:${PORT}/auth/google/callback`
+        callbackURL: `${PUBLIC_BASE_URL}/auth/google/callback`,
+        passReqToCallback: true
     },
-        async (accessToken, refreshToken, profile, done) => {
+        async (req, accessToken, refreshToken, profile, done) => {
             try {
                 // Find existing user or create new one
                 let user = await User.findOne({ googleId: profile.id });
 
-                if (!user) {
+                if (req.linkingGoogle && req.user) {
+                    if (user && user.userId !== req.user.id) {
+                        console.log(`🚫 Google account already in use: ${profile.displayName}`);
+                        return done(null, false);
+                    }
+
+                    user = await User.findOne({ userId: req.user.id });
+                    if (!user) {
+                        return done(null, false);
+                    }
+
+                    // Local accounts pick up the Google email and picture if they have none
+                    user.googleId = profile.id;
+                    user.email = user.email || profile.emails[0].value;
+                    user.avatar = user.avatar || profile.photos[0].value;
+                    await user.save();
+                    console.log(`🔗 Google account linked: ${user.name}`);
+
+                } else if (!user) {
                     // Create new user in database
                     user = await User.create({
+                        userId: profile.id,
                         googleId: profile.id,
                         email: profile.emails[0].value,
                         name: profile.displayName,
@@ -181,29 +634,24 @@ if (isOAuthConfigured) {
                 }
 
                 // Return user object for session
-                return done(null, {
-                    id: user.googleId,
-                    name: user.name,
-                    email: user.email,
-                    avatar: user.avatar
-                });
+                return done(null, toSessionUser(user));
             } catch (error) {
                 console.error('Error in OAuth callback:', error);
                 return done(error, null);
             }
         }
     ));
+}
 
-    // Serialize user for session storage
-    passport.serializeUser((user, done) => {
-        done(null, user);
-    });
+// Serialize user for session storage
+passport.serializeUser((user, done) => {
+    done(null, user);
+});
 
-    // Deserialize user from session
-    passport.deserializeUser((user, done) => {
-        done(null, user);
-    });
-}
+// Deserialize user from session
+passport.deserializeUser((user, done) => {
+    done(null, user);
+});
 
 // ========== AUTHENTICATION ROUTES ==========
 
@@ -221,167 +669,152 @@ app.get('/auth/google', (req, res, next) => {
             <ol>
                 <li>Go to <a href="https://console.cloud.google.com/">Google Cloud Console</a></li>
                 <li>Create OAuth 2.0 credentials</li>
-                <li>Add http://localhost:3000/auth/google/callback as redirect URI</li>
+                <li>Add ${PUBLIC_BASE_URL}/auth/google/callback as redirect URI</li>
                 <li>Copy credentials to .env file</li>
             </ol>
+            <p>Or sign in with a username and password from the home page instead.</p>
             <a href="/">Go back</a>
         `);
     }
     passport.authenticate('google', { scope: ['profile', 'email'] })(req, res, next);
 });
 
+/**
+ * GET /auth/google/link
+ * Link a Google account to the signed-in (local) account
+ * Runs the normal Google flow; the callback attaches instead of signing in
+ * Requires authentication
+ */
+app.get('/auth/google/link', requireAuth, (req, res, next) => {
+    if (!isOAuthConfigured) {
+        return res.redirect('/?authError=google-not-configured');
+    }
+    req.session.linkGoogle = true;
+    passport.authenticate('google', { scope: ['profile', 'email'] })(req, res, next);
+});
+
 /**
  * GET /auth/google/callback
  * Google OAuth callback endpoint
- * Handles successful authentication and redirects to home
+ * Handles successful authentication (or account linking) and redirects to home
  */
 app.get('/auth/google/callback',
-    passport.authenticate('google', { failureRedirect: '/' }),
+    (req, res, next) => {
+        req.linkingGoogle = Boolean(req.session.linkGoogle);
+        delete req.session.linkGoogle;
+
+        const failureRedirect = req.linkingGoogle ? '/?authError=google-in-use' : '/';
+        passport.authenticate('google', { failureRedirect })(req, res, next);
+    },
     (req, res) => {
         console.log('✅ OAuth callback successful');
-        res.redirect('/');
+        res.redirect(req.linkingGoogle ? '/?linked=google' : '/');
     }
 );
 
-/**
- * GET /auth/logout
- * Log out current user and destroy session
- */
-app.get('/auth/logout', (req, res) => {
-    console.log('👋 /auth/logout route hit');
-    req.logout((err) => {
-        if (err) {
-            console.error('❌ Logout error:', err);
-            return res.status(500).json({ success: false, error: 'Logout failed' });
-        }
-        console.log('✅ User logged out');
-        res.redirect('/');
-    });
-});
+// Failed password sign-ins allowed per IP address (refilled over 15 minutes)
+const loginLimiter = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+
+// Account sign-ups allowed per IP address (refilled over an hour); each one hashes a password
+const registerLimiter = createRateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 });
 
 /**
- * GET /auth/current-user
- * Get currently authenticated user information
+ * Check a username and password from the client
  * 
- * @returns {Object} User object or null if not authenticated
+ * @param {*} username - Value from the request body
+ * @param {*} password - Value from the request body
+ * @returns {string|null} Error message, or null if both are acceptable
  */
-app.get('/auth/current-user', (req, res) => {
-    if (req.isAuthenticated()) {
-        res.json({
-            success: true,
-            user: req.user
-        });
-    } else {
-        res.json({
-            success: false,
-            user: null
-        });
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim().toLowerCase())) {
+        return 'Username must be 3-30 letters, numbers, dots, dashes or underscores';
     }
-});
-
-// ========== MIDDLEWARE: REQUIRE AUTH ==========
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
 
 /**
- * Authentication middleware
- * Protects routes that require user to be logged in
+ * Sign a user in, starting a new session
  * 
  * @param {Request} req - Express request object
- * @param {Response} res - Express response object
- * @param {Function} next - Next middleware function
- * @returns {void|Response} Proceeds to next middleware or returns 401 error
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} The session user
  */
-function requireAuth(req, res, next) {
-    if (req.isAuthenticated()) {
-        return next();
-    }
-    res.status(401).json({
-        success: false,
-        error: 'Authentication required'
+function logIn(req, user) {
+    const sessionUser = toSessionUser(user);
+    return new Promise((resolve, reject) => {
+        req.login(sessionUser, (err) => (err ? reject(err) : resolve(sessionUser)));
     });
 }
 
-// ========== API ROUTES ==========
-
-/**
- * GET /api
- * API status and documentation endpoint
- * Shows server status, auth status, and available endpoints
- */
-app.get('/api', (req, res) => {
-    const authStatus = req.isAuthenticated() ? `✅ Logged in as ${req.user.name}` : '❌ Not authenticated';
-    const dbStatus = mongoose.connection.readyState === 1 ? '✅ Connected' : '❌ Disconnected';
-
-    res.send(`
-        <h1>🎮 games.random API Server</h1>
-        <p>Server is running!</p>
-        <p><strong>Auth Status:</strong> ${authStatus}</p>
-        <p><strong>OAuth Configured:</strong> ${isOAuthConfigured ? '✅ Yes' : '❌ No'}</p>
-        <p><strong>Database:</strong> ${dbStatus}</p>
-        <p>Available endpoints:</p>
-        <ul>
-            <li>POST /api/generate - Generate a game</li>
-            <li>POST /api/generate-stream - Generate a game (streaming)</li>
-            <li>POST /api/chat - Chat with code assistant</li>
-            <li><strong>GET /auth/google - Login with Google</strong></li>
-            <li>GET /auth/logout - Logout</li>
-            <li>GET /auth/current-user - Get current user</li>
-            <li>POST /api/save-game - Save a game (auth required)</li>
-            <li>GET /api/my-games - Get saved games (auth required)</li>
-            <li>DELETE /api/games/:id - Delete a game (auth required)</li>
-        </ul>
-    `);
-});
-
 /**
- * POST /api/save-game
- * Save a generated game to user's account
- * Requires authentication
+ * POST /auth/register
+ * Create a local account and sign in
+ * Sign-ups are rate limited per IP address
  * 
- * @param {Object} req.body - Request body
- * @param {string} req.body.title - Game title
- * @param {string} req.body.description - Game description
- * @param {string} req.body.code - Generated game code
- * @param {string} req.body.library - Library used ('p5js' or 'phaser')
- * @returns {Object} Saved game object with ID
+ * @param {string} req.body.username - Username (3-30 characters, case-insensitive)
+ * @param {string} req.body.password - Password (at least 8 characters)
+ * @param {string} [req.body.name] - Display name (defaults to the username)
+ * @param {string} [req.body.email] - Email address
+ * @returns {Object} The signed-in user
  */
-app.post('/api/save-game', requireAuth, async (req, res) => {
+app.post('/auth/register', async (req, res) => {
     try {
-        const { title, description, code, library } = req.body;
-        const userId = req.user.id;
+        const { username, password, name, email } = req.body;
 
-        // Validate required fields
-        if (!title || !description || !code || !library) {
+        const invalid = validateCredentials(username, password);
+        if (invalid) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields'
+                error: invalid
             });
         }
 
-        // Create new game document in MongoDB
-        const newGame = await Game.create({
-            userId,
-            title,
-            description,
-            code,
-            library
+        const displayName = typeof name === 'string' && name.trim() ? name.trim() : username.trim();
+        if (displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`
+            });
+        }
+
+        const signUps = registerLimiter.take(req.ip);
+        if (!signUps.allowed) {
+            res.set('Retry-After', String(signUps.retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: `Too many new accounts from this network. Please try again ${formatWait(signUps.retryAfter)}.`,
+                retryAfter: signUps.retryAfter
+            });
+        }
+
+        const _id = new mongoose.Types.ObjectId();
+        const user = await User.create({
+            _id,
+            userId: `local-${_id}`,
+            username: username.trim().toLowerCase(),
+            passwordHash: await hashPassword(password),
+            email: typeof email === 'string' && email.trim() ? email.trim() : undefined,
+            name: displayName
         });
 
-        console.log(`💾 Game saved to MongoDB: "${title}" for user ${req.user.name}`);
+        console.log(`✅ New local user created: ${user.username}`);
 
         res.json({
             success: true,
-            game: {
-                id: newGame._id.toString(),
-                title: newGame.title,
-                description: newGame.description,
-                code: newGame.code,
-                library: newGame.library,
-                createdAt: newGame.createdAt
-            }
+            user: await logIn(req, user)
         });
 
     } catch (error) {
-        console.error('❌ Error saving game:', error);
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'That username is taken'
+            });
+        }
+        console.error('❌ Registration error:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -390,40 +823,1038 @@ app.post('/api/save-game', requireAuth, async (req, res) => {
 });
 
 /**
- * GET /api/my-games
- * Retrieve all games created by the authenticated user
- * Requires authentication
+ * POST /auth/login
+ * Sign in with a username and password
+ * Failed attempts are rate limited per IP address
  * 
- * @returns {Array<Object>} Array of user's saved games, sorted by creation date
+ * @param {string} req.body.username - Username
+ * @param {string} req.body.password - Password
+ * @returns {Object} The signed-in user
  */
-app.get('/api/my-games', requireAuth, async (req, res) => {
+app.post('/auth/login', async (req, res) => {
     try {
-        const userId = req.user.id;
+        const { username, password } = req.body;
 
-        // Fetch games from MongoDB, sorted by most recent first
-        const games = await Game.find({ userId })
-            .sort({ createdAt: -1 })
-            .lean(); // Convert to plain JavaScript objects for better performance
+        const attempts = loginLimiter.peek(req.ip);
+        if (!attempts.allowed) {
+            res.set('Retry-After', String(attempts.retryAfter));
+            return res.status(429).json({
+                success: false,
+                error: `Too many failed sign-ins. Please try again ${formatWait(attempts.retryAfter)}.`,
+                retryAfter: attempts.retryAfter
+            });
+        }
 
-        console.log(`📂 Fetching ${games.length} games from MongoDB for user ${req.user.name}`);
+        const user = typeof username === 'string' && typeof password === 'string'
+            ? await User.findOne({ username: username.trim().toLowerCase() })
+            : null;
 
-        // Transform MongoDB _id to id for frontend consistency
-        const gamesFormatted = games.map(game => ({
-            id: game._id.toString(),
-            title: game.title,
-            description: game.description,
-            code: game.code,
-            library: game.library,
-            createdAt: game.createdAt
-        }));
+        if (!user || !user.passwordHash || !await verifyPassword(password, user.passwordHash)) {
+            loginLimiter.take(req.ip);
+            return res.status(401).json({
+                success: false,
+                error: 'Incorrect username or password'
+            });
+        }
+
+        console.log(`✅ User logged in: ${user.name}`);
 
         res.json({
             success: true,
-            games: gamesFormatted
+            user: await logIn(req, user)
         });
 
     } catch (error) {
-        console.error('❌ Error fetching games:', error);
+        console.error('❌ Login error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /auth/local/link
+ * Add a username and password to the signed-in (Google) account,
+ * so it can also be used where Google can't be reached
+ * Requires authentication
+ * 
+ * @param {string} req.body.username - Username
+ * @param {string} req.body.password - Password
+ * @returns {Object} Linked sign-in methods
+ */
+app.post('/auth/local/link', requireAuth, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        const invalid = validateCredentials(username, password);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid
+            });
+        }
+
+        const user = await User.findOne({ userId: req.user.id });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'Account not found'
+            });
+        }
+
+        if (user.username) {
+            return res.status(400).json({
+                success: false,
+                error: 'This account already has a password'
+            });
+        }
+
+        user.username = username.trim().toLowerCase();
+        user.passwordHash = await hashPassword(password);
+        await user.save();
+
+        console.log(`🔗 Password sign-in added: ${user.name}`);
+
+        res.json({
+            success: true,
+            accounts: { google: Boolean(user.googleId), username: user.username }
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'That username is taken'
+            });
+        }
+        console.error('❌ Error adding password:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /auth/logout
+ * Log out current user and destroy session
+ */
+app.get('/auth/logout', (req, res) => {
+    console.log('👋 /auth/logout route hit');
+    req.logout((err) => {
+        if (err) {
+            console.error('❌ Logout error:', err);
+            return res.status(500).json({ success: false, error: 'Logout failed' });
+        }
+        console.log('✅ User logged out');
+        res.redirect('/');
+    });
+});
+
+/**
+ * POST /auth/logout
+ * Log out current user (JSON response, for pages that don't redirect)
+ */
+app.post('/auth/logout', (req, res) => {
+    req.logout((err) => {
+        if (err) {
+            console.error('❌ Logout error:', err);
+            return res.status(500).json({ success: false, error: 'Logout failed' });
+        }
+        res.json({ success: true });
+    });
+});
+
+/**
+ * GET /auth/current-user
+ * Get currently authenticated user information
+ * Also reports which sign-in methods the server offers and, for a signed-in
+ * user, which ones are linked to their account
+ * 
+ * @returns {Object} User object (or null), providers and linked accounts
+ */
+app.get('/auth/current-user', async (req, res) => {
+    const providers = { google: isOAuthConfigured, local: true };
+
+    if (!req.isAuthenticated()) {
+        return res.json({
+            success: false,
+            user: null,
+            providers
+        });
+    }
+
+    try {
+        const user = await User.findOne({ userId: req.user.id }).lean();
+
+        res.json({
+            success: true,
+            user: req.user,
+            providers,
+            accounts: {
+                google: Boolean(user && user.googleId),
+                username: (user && user.username) || null
+            }
+        });
+    } catch (error) {
+        // The database being down shouldn't sign the user out
+        res.json({
+            success: true,
+            user: req.user,
+            providers,
+            accounts: null
+        });
+    }
+});
+
+// ========== MIDDLEWARE: REQUIRE AUTH ==========
+
+/**
+ * Authentication middleware
+ * Protects routes that require user to be logged in
+ * 
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void|Response} Proceeds to next middleware or returns 401 error
+ */
+function requireAuth(req, res, next) {
+    if (req.isAuthenticated()) {
+        return next();
+    }
+    res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+    });
+}
+
+// ========== RATE LIMITING & QUOTAS ==========
+
+const HOUR = 60 * 60 * 1000;
+
+// One token bucket per endpoint and requester type (null when disabled)
+const rateLimiters = {};
+for (const [endpoint, limits] of Object.entries(RATE_LIMITS)) {
+    rateLimiters[endpoint] = {};
+    for (const [type, limit] of Object.entries(limits)) {
+        rateLimiters[endpoint][type] = limit > 0 ? createRateLimiter({ limit, windowMs: HOUR }) : null;
+    }
+}
+
+/**
+ * Identify who a request counts against
+ * Logged-in users are limited per account, everyone else per IP address
+ * 
+ * @param {Request} req - Express request object
+ * @returns {{type: string, key: string}} Requester type ('user' or 'anonymous') and storage key
+ */
+function getRequester(req) {
+    if (req.isAuthenticated()) {
+        return { type: 'user', key: `user:${req.user.id}` };
+    }
+    return { type: 'anonymous', key: `ip:${req.ip}` };
+}
+
+/**
+ * Output tokens a requester has used today
+ * Returns 0 while MongoDB is unavailable, so a database outage doesn't block generation
+ * 
+ * @param {string} key - Requester key from getRequester()
+ * @returns {Promise<number>} Tokens used since the last UTC midnight
+ */
+async function getTokensUsedToday(key) {
+    if (mongoose.connection.readyState !== 1) {
+        return 0;
+    }
+    const usage = await Usage.findOne({ key, day: new Date().toISOString().slice(0, 10) }).lean();
+    return usage ? usage.outputTokens : 0;
+}
+
+/**
+ * Add model output tokens to a requester's daily usage
+ * Runs in the background; failures are logged and otherwise ignored
+ * 
+ * @param {string} key - Requester key from getRequester()
+ * @param {number} outputTokens - Tokens used by one model response
+ */
+function recordUsage(key, outputTokens) {
+    if (!outputTokens || mongoose.connection.readyState !== 1) {
+        return;
+    }
+
+    const now = new Date();
+    Usage.updateOne(
+        { key, day: now.toISOString().slice(0, 10) },
+        {
+            $inc: { outputTokens },
+            $setOnInsert: { expiresAt: new Date(now.getTime() + USAGE_RETENTION_DAYS * 24 * HOUR) }
+        },
+        { upsert: true }
+    ).catch(error => console.error('❌ Error recording usage:', error.message));
+}
+
+// Rate limit and quota middleware for an AI endpoint: rateLimit('generate') or rateLimit('chat')
+const rateLimit = createRateLimitMiddleware({
+    limiters: rateLimiters,
+    budgets: DAILY_TOKEN_BUDGETS,
+    getRequester,
+    getTokensUsedToday,
+    recordUsage
+});
+
+/**
+ * Find a game owned by a user
+ * Invalid IDs are treated the same as missing games
+ * 
+ * @param {string} gameId - MongoDB ObjectId of the game
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} Game document or null if not found / not owned
+ */
+async function findUserGame(gameId, userId) {
+    if (!mongoose.isValidObjectId(gameId)) {
+        return null;
+    }
+    return Game.findOne({ _id: gameId, userId });
+}
+
+/**
+ * Convert a game document to the API response shape
+ * 
+ * @param {Object} game - Game document or lean object
+ * @returns {Object} Game with string ID
+ */
+function formatGame(game) {
+    return {
+        id: game._id.toString(),
+        title: game.title,
+        description: game.description,
+        code: game.code,
+        library: game.library,
+        runtime: getRuntime(game),
+        promptVersion: game.promptVersion || null,
+        guide: game.guide ? normalizeGuide(game.guide) : null,
+        visibility: game.visibility || 'private',
+        slug: game.slug || null,
+        forkedFrom: game.forkedFrom ? game.forkedFrom.toString() : null,
+        forks: game.forks || 0,
+        tags: game.tags || [],
+        folderId: game.folderId ? game.folderId.toString() : null,
+        createdAt: game.createdAt,
+        updatedAt: game.updatedAt
+    };
+}
+
+/**
+ * Resolve the engine version a request asks for
+ * 
+ * @param {string} library - Library name (already validated)
+ * @param {*} version - Version from the request (optional)
+ * @returns {string|null} Version to use (the latest if none was given), or null if it isn't available
+ */
+function resolveEngineVersion(library, version) {
+    if (version === undefined || version === null || version === '') {
+        return latestVersion(library);
+    }
+    return isAvailableVersion(library, version) ? version : null;
+}
+
+/**
+ * Error message for a library that isn't registered
+ * 
+ * @returns {string} Message listing the registered libraries
+ */
+function invalidLibraryError() {
+    return `Invalid library. Must be one of: ${LIBRARIES.map(library => `"${library}"`).join(', ')}.`;
+}
+
+/**
+ * Error message for an engine version that isn't available
+ * 
+ * @param {string} library - Library name
+ * @returns {string} Message listing the available versions
+ */
+function invalidVersionError(library) {
+    return `Invalid engine version. ${getEngine(library).name} games can use: ${getEngine(library).versions.join(', ')}`;
+}
+
+/**
+ * Check a new title and description for a game
+ * Fields left out of the body are left out of the result
+ * 
+ * @param {Object} body - Request body
+ * @param {*} [body.title] - New title
+ * @param {*} [body.description] - New description
+ * @returns {{details: {title?: string, description?: string}, error: string|null}} Trimmed fields, or why they're invalid
+ */
+function validateGameDetails({ title, description }) {
+    const details = {};
+
+    if (title !== undefined) {
+        if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+            return { details, error: `Title is required and must be at most ${MAX_TITLE_LENGTH} characters` };
+        }
+        details.title = title.trim();
+    }
+
+    if (description !== undefined) {
+        if (typeof description !== 'string' || !description.trim() || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+            return { details, error: `Description is required and must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        details.description = description.trim();
+    }
+
+    return { details, error: null };
+}
+
+/**
+ * Clean up a list of tags from the client
+ * Tags are trimmed, lowercased, de-duplicated and stripped of empties
+ * 
+ * @param {*} tags - Value from the request body
+ * @returns {Array<string>|null} Normalized tags, or null if invalid
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+        return null;
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+    if (normalized.length > MAX_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return null;
+    }
+    return normalized;
+}
+
+/**
+ * Resolve a folder ID from the client
+ * null (or an empty string) means "no folder"
+ * 
+ * @param {*} folderId - Value from the request body
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<{valid: boolean, folderId: ObjectId|null}>} Folder to file games in
+ */
+async function resolveFolderId(folderId, userId) {
+    if (folderId === null || folderId === '') {
+        return { valid: true, folderId: null };
+    }
+    if (!mongoose.isValidObjectId(folderId)) {
+        return { valid: false, folderId: null };
+    }
+
+    const folder = await Folder.findOne({ _id: folderId, userId }).lean();
+    return folder ? { valid: true, folderId: folder._id } : { valid: false, folderId: null };
+}
+
+/**
+ * Convert a folder document to the API response shape
+ * 
+ * @param {Object} folder - Folder document or lean object
+ * @param {number} [gameCount=0] - Number of games in the folder
+ * @returns {Object} Folder with string ID
+ */
+function formatFolder(folder, gameCount = 0) {
+    return {
+        id: folder._id.toString(),
+        name: folder.name,
+        gameCount,
+        createdAt: folder.createdAt
+    };
+}
+
+/**
+ * Validate a list of game IDs for a bulk action
+ * 
+ * @param {*} gameIds - Value from the request body
+ * @returns {boolean} True for a non-empty array of at most MAX_BULK_GAMES valid IDs
+ */
+function isValidGameIdList(gameIds) {
+    return Array.isArray(gameIds)
+        && gameIds.length > 0
+        && gameIds.length <= MAX_BULK_GAMES
+        && gameIds.every(id => mongoose.isValidObjectId(id));
+}
+
+/**
+ * Generate a random share slug
+ * 
+ * @returns {string} SLUG_LENGTH characters from SLUG_ALPHABET
+ */
+function generateSlug() {
+    const bytes = randomBytes(SLUG_LENGTH);
+    let slug = '';
+    for (const byte of bytes) {
+        slug += SLUG_ALPHABET[byte % SLUG_ALPHABET.length];
+    }
+    return slug;
+}
+
+/**
+ * Give a game a share slug if it doesn't have one yet
+ * Retries with a new slug in the unlikely case of a collision
+ * 
+ * @param {Object} game - Game document (saved by this function)
+ * @returns {Promise<Object>} The saved game
+ */
+async function assignSlug(game) {
+    if (game.slug) {
+        return game.save();
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        game.slug = generateSlug();
+        try {
+            return await game.save();
+        } catch (error) {
+            if (error.code !== 11000) throw error; // Only retry duplicate key errors
+        }
+    }
+    throw new Error('Could not generate a unique share link');
+}
+
+/**
+ * Find a game that the requester is allowed to view through a share link
+ * Accepts a share slug or a game ID; private games are only found by their owner
+ * 
+ * @param {string} idOrSlug - Share slug or MongoDB ObjectId
+ * @param {Request} req - Express request object (for the current user)
+ * @returns {Promise<Object|null>} Game document or null if not found / not shared
+ */
+async function findSharedGame(idOrSlug, req) {
+    const query = mongoose.isValidObjectId(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug };
+    const game = await Game.findOne(query);
+
+    if (!game) return null;
+    if (game.visibility === 'unlisted' || game.visibility === 'public') return game;
+    if (req.isAuthenticated() && game.userId === req.user.id) return game;
+    return null;
+}
+
+/**
+ * Convert a shared game to the public API response shape
+ * Omits the owner's ID; the author is shown by name only
+ * 
+ * @param {Object} game - Game document or lean object
+ * @param {Object|null} author - User document of the owner (null if unknown)
+ * @param {Object} [options] - Extra fields
+ * @param {boolean} [options.includeCode=true] - Include the game code and guide (false for gallery listings)
+ * @param {Object|null} [options.original] - Game this one was forked from, if still shared
+ * @param {boolean} [options.isOwner=false] - Whether the requester owns the game
+ * @returns {Object} Public game
+ */
+function formatPublicGame(game, author, { includeCode = true, original = null, isOwner = false } = {}) {
+    const publicGame = {
+        id: game._id.toString(),
+        slug: game.slug || null,
+        title: game.title,
+        description: game.description,
+        library: game.library,
+        runtime: getRuntime(game),
+        visibility: game.visibility,
+        author: author ? { name: author.name, avatar: author.avatar } : null,
+        forks: game.forks || 0,
+        forkedFrom: null,
+        isOwner,
+        createdAt: game.createdAt,
+        updatedAt: game.updatedAt
+    };
+
+    if (includeCode) {
+        publicGame.code = game.code;
+        publicGame.guide = game.guide ? normalizeGuide(game.guide) : null;
+    }
+
+    // Only link the original while it is still shared
+    if (game.forkedFrom) {
+        publicGame.forkedFrom = original
+            ? { id: original._id.toString(), slug: original.slug, title: original.title, available: true }
+            : { available: false };
+    }
+
+    return publicGame;
+}
+
+/**
+ * Convert a game document to the list response shape (without code or guide)
+ * 
+ * @param {Object} game - Game document or lean object (code may be omitted)
+ * @returns {Object} Game metadata
+ */
+function formatGameSummary(game) {
+    const { code, guide, ...summary } = formatGame(game);
+    return summary;
+}
+
+/**
+ * Encode the position after a game in a sorted list
+ * 
+ * @param {Object} game - Last game on the page
+ * @param {Object} sort - Entry of GAME_LIST_SORTS
+ * @returns {string} Opaque cursor (base64url JSON)
+ */
+function encodeCursor(game, sort) {
+    return Buffer.from(JSON.stringify({ v: game[sort.field], id: game._id.toString() })).toString('base64url');
+}
+
+/**
+ * Turn a cursor into a query matching the games after it
+ * Ties on the sort field are broken by _id, so no game is skipped or repeated
+ * 
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @param {Object} sort - Entry of GAME_LIST_SORTS the cursor was made for
+ * @returns {Object|null} MongoDB filter, or null if the cursor is invalid
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const value = sort.date ? new Date(v) : v;
+
+        if (!mongoose.isValidObjectId(id) || (sort.date && Number.isNaN(value.getTime())) || (!sort.date && typeof value !== 'string')) {
+            return null;
+        }
+
+        const after = sort.direction === -1 ? '$lt' : '$gt';
+        return {
+            $or: [
+                { [sort.field]: { [after]: value } },
+                { [sort.field]: value, _id: { [after]: new mongoose.Types.ObjectId(id) } }
+            ]
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * 
+ * @param {string} text - Literal text
+ * @returns {string} Regex-safe text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a revision document to the API response shape (without code)
+ * 
+ * @param {Object} revision - GameRevision document or lean object
+ * @returns {Object} Revision metadata
+ */
+function formatRevision(revision) {
+    return {
+        id: revision._id.toString(),
+        source: revision.source,
+        restoredFrom: revision.restoredFrom ? revision.restoredFrom.toString() : null,
+        note: revision.note || null,
+        lines: revision.code.split('\n').length,
+        createdAt: revision.createdAt
+    };
+}
+
+/**
+ * Diff two revisions of a game
+ * 
+ * @param {ObjectId} gameId - Game the revisions must belong to
+ * @param {string} from - Older revision ID
+ * @param {string} to - Newer revision ID
+ * @returns {Promise<Object|null>} Both revisions and their line diff, or null if either is missing
+ */
+async function diffRevisions(gameId, from, to) {
+    const [fromRevision, toRevision] = await Promise.all([
+        GameRevision.findOne({ _id: from, gameId }).lean(),
+        GameRevision.findOne({ _id: to, gameId }).lean()
+    ]);
+
+    if (!fromRevision || !toRevision) {
+        return null;
+    }
+
+    return {
+        from: formatRevision(fromRevision),
+        to: formatRevision(toRevision),
+        diff: diffLines(fromRevision.code, toRevision.code)
+    };
+}
+
+// ========== API ROUTES ==========
+
+/**
+ * GET /api
+ * API status and documentation endpoint
+ * Shows server status, auth status, and available endpoints
+ */
+app.get('/api', (req, res) => {
+    const authStatus = req.isAuthenticated() ? `✅ Logged in as ${req.user.name}` : '❌ Not authenticated';
+    const dbStatus = mongoose.connection.readyState === 1 ? '✅ Connected' : '❌ Disconnected';
+
+    res.send(`
+        <h1>🎮 games.random API Server</h1>
+        <p>Server is running!</p>
+        <p><strong>Auth Status:</strong> ${authStatus}</p>
+        <p><strong>OAuth Configured:</strong> ${isOAuthConfigured ? '✅ Yes' : '❌ No'}</p>
+        <p><strong>Database:</strong> ${dbStatus}</p>
+        <p>Available endpoints:</p>
+        <ul>
+            <li>POST /api/generate - Generate a game</li>
+            <li>POST /api/generate-stream - Generate a game (streaming)</li>
+            <li>POST /api/refine-stream - Revise a game from a change request (streaming)</li>
+            <li>GET /api/streams/:jobId - Reconnect to a generation stream (Last-Event-ID)</li>
+            <li>POST /api/streams/:jobId/cancel - Cancel a generation stream</li>
+            <li>POST /api/jobs - Queue a game generation (saved to your games when done)</li>
+            <li>GET /api/jobs/:jobId - Generation job status and result</li>
+            <li>GET /api/jobs/:jobId/events - Generation job events (SSE)</li>
+            <li>POST /api/chat - Chat with code assistant</li>
+            <li>GET /api/chat/:conversationId - Get code assistant history</li>
+            <li>GET /api/usage - Get today's AI usage and remaining limits</li>
+            <li><strong>GET /auth/google - Login with Google</strong></li>
+            <li>POST /auth/register, POST /auth/login - Username/password accounts</li>
+            <li>GET /auth/google/link, POST /auth/local/link - Link Google and password sign-in (auth required)</li>
+            <li>GET /auth/logout, POST /auth/logout - Logout</li>
+            <li>GET /auth/current-user - Get current user</li>
+            <li>POST /api/save-game - Save a game (auth required)</li>
+            <li>GET /api/my-games - Get saved games with code (auth required)</li>
+            <li>GET /api/games?q=&library=&sort=&cursor= - List saved games, metadata only (auth required)</li>
+            <li>GET /api/games/:id - Get one saved game (auth required)</li>
+            <li>PATCH /api/games/:id - Edit a game's title, description, tags or folder (auth required)</li>
+            <li>POST /api/games/bulk-move - Move games to a folder (auth required)</li>
+            <li>POST /api/games/bulk-delete - Delete several games (auth required)</li>
+            <li>GET/POST /api/folders, PUT/DELETE /api/folders/:id - Manage folders (auth required)</li>
+            <li>GET/POST /api/classes, POST /api/classes/join - List, create and join classes (auth required)</li>
+            <li>GET/POST /api/classes/:id/assignments - Class assignments (teacher posts, students view)</li>
+            <li>POST /api/classes/:id/assignments/:assignmentId/submit - Submit a saved game (student)</li>
+            <li>GET /api/classes/:id/assignments/:assignmentId/submissions - Submission roster (teacher)</li>
+            <li>GET /api/classes/:id/submissions/:submissionId - Open a submission read-only (teacher)</li>
+            <li>PUT /api/games/:id - Update a game and record a revision (auth required)</li>
+            <li>DELETE /api/games/:id - Delete a game (auth required)</li>
+            <li>GET /api/games/:id/revisions - List a game's revisions (auth required)</li>
+            <li>PUT /api/games/:id/visibility - Share or unshare a game (auth required)</li>
+            <li>GET /api/games/:idOrSlug/public - Get a shared game</li>
+            <li>POST /api/games/:idOrSlug/fork - Copy a shared game into your games (auth required)</li>
+            <li>GET /api/games/:idOrSlug/export?format=html|zip&minify= - Download a game that plays offline</li>
+            <li>GET /api/engines, POST /api/engines/check - Engine versions and deprecated API check</li>
+            <li>PUT /api/games/:id/runtime - Move a game to another engine version (auth required)</li>
+            <li>POST /api/export - Export code from the editor as HTML or zip</li>
+            <li>GET /api/gallery?page=&library= - Browse public games</li>
+            <li>GET /api/games/:id/revisions/diff?from=&to= - Diff two revisions (auth required)</li>
+            <li>POST /api/games/:id/revisions/:revisionId/restore - Restore a revision (auth required)</li>
+        </ul>
+    `);
+});
+
+/**
+ * Create a game and the first revision of its history
+ * 
+ * @param {Object} fields - Game fields (already validated)
+ * @param {string} fields.userId - Owner's user ID
+ * @param {string} fields.title - Game title
+ * @param {string} fields.description - Game description
+ * @param {string} fields.code - Game code
+ * @param {string} fields.library - Library the game uses
+ * @param {string} fields.version - Engine version the game runs on
+ * @param {string} [fields.promptVersion] - Prompt that generated the code (e.g. 'game-p5js@v2')
+ * @param {Object} [fields.guide] - Game guide (already normalized)
+ * @param {string} fields.source - Revision source tag for the first revision
+ * @returns {Promise<{game: Object, revision: Object}>} Created documents
+ */
+async function createGame({ userId, title, description, code, library, version, promptVersion = null, guide = null, source }) {
+    // Create new game document in MongoDB
+    const game = await Game.create({
+        userId,
+        title,
+        description,
+        code,
+        library,
+        runtime: { library, version },
+        promptVersion,
+        guide
+    });
+
+    // Record the first revision of the game's history
+    const revision = await GameRevision.create({
+        gameId: game._id,
+        userId,
+        code,
+        source
+    });
+
+    return { game, revision };
+}
+
+/**
+ * Check a prompt version reported by a client (e.g. 'game-p5js@v2')
+ * 
+ * @param {*} value - Value from the request body
+ * @returns {boolean} True if it names a prompt version in the registry
+ */
+function isPromptVersion(value) {
+    if (typeof value !== 'string') return false;
+    const [name, version, ...rest] = value.split('@');
+    return rest.length === 0 && Boolean(version) && hasPrompt(name, version);
+}
+
+/**
+ * Title for a game saved without a guide (see game-guide.js), from its description
+ * 
+ * @param {string} description - Game description
+ * @returns {string} First 50 characters, with an ellipsis if cut
+ */
+function titleFromDescription(description) {
+    const text = description.trim();
+    return text.substring(0, 50) + (text.length > 50 ? '...' : '');
+}
+
+/**
+ * POST /api/save-game
+ * Save a generated game to user's account
+ * Requires authentication
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.title] - Game title (defaults to the guide's title)
+ * @param {string} req.body.description - Game description
+ * @param {string} req.body.code - Generated game code
+ * @param {string} req.body.library - Library used (see LIBRARIES in engines.js)
+ * @param {string} [req.body.version] - Engine version the game was generated for (defaults to the latest)
+ * @param {string} [req.body.source='generated'] - Revision source tag for the first revision
+ * @param {string} [req.body.promptVersion] - Prompt version from the generation's 'complete' event or the /api/generate response
+ * @param {Object} [req.body.guide] - Game guide from the generation's 'complete' event or the /api/generate response
+ * @returns {Object} Saved game object with ID
+ */
+app.post('/api/save-game', requireAuth, async (req, res) => {
+    try {
+        const { description, code, library, source = 'generated', promptVersion = null } = req.body;
+        const userId = req.user.id;
+        const guide = req.body.guide ? normalizeGuide(req.body.guide) : null;
+        const title = req.body.title || (guide ? guide.title : null);
+
+        if (req.body.guide && !guide) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid game guide'
+            });
+        }
+
+        // Validate required fields
+        if (!title || !description || !code || !library) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (!isLibrary(library)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidLibraryError()
+            });
+        }
+
+        const version = resolveEngineVersion(library, req.body.version);
+        if (!version) {
+            return res.status(400).json({
+                success: false,
+                error: invalidVersionError(library)
+            });
+        }
+
+        if (!REVISION_SOURCES.includes(source)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid source. Must be one of: ${REVISION_SOURCES.join(', ')}`
+            });
+        }
+
+        if (promptVersion !== null && !isPromptVersion(promptVersion)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown prompt version'
+            });
+        }
+
+        const { game: newGame, revision } = await createGame({ userId, title, description, code, library, version, promptVersion, guide, source });
+
+        console.log(`💾 Game saved to MongoDB: "${title}" for user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            game: formatGame(newGame),
+            revision: formatRevision(revision)
+        });
+
+    } catch (error) {
+        console.error('❌ Error saving game:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/my-games
+ * Retrieve all games created by the authenticated user
+ * Requires authentication
+ * 
+ * @returns {Array<Object>} Array of user's saved games, sorted by creation date
+ */
+app.get('/api/my-games', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        // Fetch games from MongoDB, sorted by most recent first
+        const games = await Game.find({ userId })
+            .sort({ createdAt: -1 })
+            .lean(); // Convert to plain JavaScript objects for better performance
+
+        console.log(`📂 Fetching ${games.length} games from MongoDB for user ${req.user.name}`);
+
+        // Transform MongoDB _id to id for frontend consistency
+        const gamesFormatted = games.map(formatGame);
+
+        res.json({
+            success: true,
+            games: gamesFormatted
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching games:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/games
+ * List the authenticated user's games, metadata only (code omitted)
+ * Cursor-paginated: pass the returned nextCursor to get the following page
+ * Requires authentication
+ * 
+ * @param {string} [req.query.q] - Case-insensitive search over title, description and tags
+ * @param {string} [req.query.library] - Only games for this library (see LIBRARIES in engines.js)
+ * @param {string} [req.query.folder] - Only games in this folder ID, or 'none' for unfiled games
+ * @param {string} [req.query.tag] - Only games with this tag
+ * @param {string} [req.query.sort='newest'] - 'newest', 'oldest', 'updated' or 'title'
+ * @param {string} [req.query.cursor] - nextCursor from the previous page
+ * @param {number} [req.query.limit=20] - Games per page (max 100)
+ * @returns {Object} Game metadata, nextCursor (null on the last page), and total (first page only)
+ */
+app.get('/api/games', requireAuth, async (req, res) => {
+    try {
+        const { q, library, folder, tag, cursor, sort: sortName = 'newest' } = req.query;
+        const limit = Math.min(GAME_LIST_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || GAME_LIST_PAGE_SIZE));
+        const sort = GAME_LIST_SORTS[sortName];
+
+        if (!sort) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid sort. Must be one of: ${Object.keys(GAME_LIST_SORTS).join(', ')}`
+            });
+        }
+
+        if (library && !isLibrary(library)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidLibraryError()
+            });
+        }
+
+        if (folder && folder !== 'none' && !mongoose.isValidObjectId(folder)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid folder'
+            });
+        }
+
+        const filter = { userId: req.user.id };
+        if (library) {
+            filter.library = library;
+        }
+        if (folder) {
+            filter.folderId = folder === 'none' ? null : folder;
+        }
+        if (typeof tag === 'string' && tag.trim()) {
+            filter.tags = tag.trim().toLowerCase();
+        }
+        if (typeof q === 'string' && q.trim()) {
+            const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+            filter.$or = [{ title: pattern }, { description: pattern }, { tags: pattern }];
+        }
+
+        let query = filter;
+        if (cursor) {
+            const after = decodeCursor(cursor, sort);
+            if (!after) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid cursor'
+                });
+            }
+            query = { $and: [filter, after] };
+        }
+
+        // Fetch one extra game to know whether there is another page
+        let find = Game.find(query)
+            .select('-code -guide')
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .limit(limit + 1);
+        if (sort.field === 'title') {
+            find = find.collation(TITLE_COLLATION);
+        }
+
+        const [games, total] = await Promise.all([
+            find.lean(),
+            cursor ? null : Game.countDocuments(filter)
+        ]);
+
+        const hasMore = games.length > limit;
+        const page = hasMore ? games.slice(0, limit) : games;
+
+        res.json({
+            success: true,
+            games: page.map(formatGameSummary),
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+            total
+        });
+
+    } catch (error) {
+        console.error('❌ Error listing games:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/games/:gameId
+ * Get one of the authenticated user's games, with code
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game
+ * @returns {Object} Game object
+ */
+app.get('/api/games/:gameId', requireAuth, async (req, res) => {
+    try {
+        const game = await findUserGame(req.params.gameId, req.user.id);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to view it'
+            });
+        }
+
+        res.json({
+            success: true,
+            game: formatGame(game)
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching game:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -433,39 +1864,2224 @@ app.get('/api/my-games', requireAuth, async (req, res) => {
 
 /**
  * DELETE /api/games/:gameId
- * Delete a specific game from user's account
+ * Delete a specific game from user's account, with its revisions and assignment submissions
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game to delete
+ * @returns {Object} Success confirmation
+ */
+app.delete('/api/games/:gameId', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { gameId } = req.params;
+
+        // Find and delete game only if it belongs to the authenticated user
+        const deletedGame = await Game.findOneAndDelete({
+            _id: gameId,
+            userId: userId
+        });
+
+        if (!deletedGame) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to delete it'
+            });
+        }
+
+        // Remove the game's revision history with it, and hand-ins of it (their teacher could no longer open them)
+        await GameRevision.deleteMany({ gameId: deletedGame._id });
+        await Submission.deleteMany({ gameId: deletedGame._id });
+
+        console.log(`🗑️ Game deleted from MongoDB: "${deletedGame.title}" by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            message: 'Game deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting game:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/games/:gameId
+ * Update a saved game in place and append a revision to its history
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game to update
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - New game code
+ * @param {string} [req.body.source='manual'] - What produced this code ('generated', 'manual', 'assistant' or 'refined')
+ * @param {string} [req.body.note] - Change request that produced the code (kept for 'refined' revisions)
+ * @param {string} [req.body.title] - New title
+ * @param {string} [req.body.description] - New description
+ * @param {Object} [req.body.guide] - New game guide (e.g. from a 'refined' revision)
+ * @returns {Object} Updated game and the new revision (null if the code didn't change)
+ */
+app.put('/api/games/:gameId', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { gameId } = req.params;
+        const { code, title, description, source = 'manual', note } = req.body;
+        const guide = req.body.guide ? normalizeGuide(req.body.guide) : null;
+
+        if (typeof code !== 'string' || !code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Code is required'
+            });
+        }
+
+        const { details, error } = validateGameDetails({ title, description });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        if (req.body.guide && !guide) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid game guide'
+            });
+        }
+
+        if (!REVISION_SOURCES.includes(source)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid source. Must be one of: ${REVISION_SOURCES.join(', ')}`
+            });
+        }
+
+        const game = await findUserGame(gameId, userId);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to edit it'
+            });
+        }
+
+        // Only record a revision when the code actually changed
+        let revision = null;
+        if (game.code !== code) {
+            revision = await GameRevision.create({
+                gameId: game._id,
+                userId,
+                code,
+                source,
+                note: source === 'refined' && typeof note === 'string' ? note.trim().slice(0, MAX_CHANGE_REQUEST_LENGTH) || null : null
+            });
+        }
+
+        game.code = code;
+        Object.assign(game, details);
+        if (guide) game.guide = guide;
+        game.updatedAt = new Date();
+        await game.save();
+
+        console.log(`✏️ Game updated: "${game.title}" (${source}) by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            game: formatGame(game),
+            revision: revision ? formatRevision(revision) : null
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating game:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/games/:gameId
+ * Edit a game's metadata without touching its code or history
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game
+ * @param {Object} req.body - Fields to change (all optional)
+ * @param {string} [req.body.title] - New title
+ * @param {string} [req.body.description] - New description
+ * @param {Array<string>} [req.body.tags] - New tags (replaces the old list)
+ * @param {string|null} [req.body.folderId] - Folder to file the game in (null for none)
+ * @returns {Object} Updated game
+ */
+app.patch('/api/games/:gameId', requireAuth, async (req, res) => {
+    try {
+        const { title, description, tags, folderId } = req.body;
+        const game = await findUserGame(req.params.gameId, req.user.id);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to edit it'
+            });
+        }
+
+        const { details, error } = validateGameDetails({ title, description });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+        Object.assign(game, details);
+
+        if (tags !== undefined) {
+            const normalized = normalizeTags(tags);
+            if (!normalized) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Tags must be a list of at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters`
+                });
+            }
+            game.tags = normalized;
+        }
+
+        if (folderId !== undefined) {
+            const folder = await resolveFolderId(folderId, req.user.id);
+            if (!folder.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+            game.folderId = folder.folderId;
+        }
+
+        game.updatedAt = new Date();
+        await game.save();
+
+        console.log(`🏷️ Game details updated: "${game.title}" by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            game: formatGame(game)
+        });
+
+    } catch (error) {
+        console.error('❌ Error editing game details:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/games/bulk-move
+ * Move several games into a folder (or out of all folders)
+ * Requires authentication; games the user doesn't own are skipped
+ * 
+ * @param {Array<string>} req.body.gameIds - Games to move (at most 200)
+ * @param {string|null} req.body.folderId - Destination folder (null for none)
+ * @returns {Object} Number of games moved
+ */
+app.post('/api/games/bulk-move', requireAuth, async (req, res) => {
+    try {
+        const { gameIds, folderId = null } = req.body;
+
+        if (!isValidGameIdList(gameIds)) {
+            return res.status(400).json({
+                success: false,
+                error: `gameIds must be a list of 1 to ${MAX_BULK_GAMES} game IDs`
+            });
+        }
+
+        const folder = await resolveFolderId(folderId, req.user.id);
+        if (!folder.valid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Folder not found'
+            });
+        }
+
+        const result = await Game.updateMany(
+            { _id: { $in: gameIds }, userId: req.user.id },
+            { $set: { folderId: folder.folderId } }
+        );
+
+        console.log(`📁 Moved ${result.modifiedCount} games for user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            moved: result.modifiedCount
+        });
+
+    } catch (error) {
+        console.error('❌ Error moving games:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/games/bulk-delete
+ * Delete several games with their revision histories and assignment submissions
+ * Requires authentication; games the user doesn't own are skipped
+ * 
+ * @param {Array<string>} req.body.gameIds - Games to delete (at most 200)
+ * @returns {Object} Number of games deleted
+ */
+app.post('/api/games/bulk-delete', requireAuth, async (req, res) => {
+    try {
+        const { gameIds } = req.body;
+
+        if (!isValidGameIdList(gameIds)) {
+            return res.status(400).json({
+                success: false,
+                error: `gameIds must be a list of 1 to ${MAX_BULK_GAMES} game IDs`
+            });
+        }
+
+        // Only delete what the user owns, and only those games' revisions and submissions
+        const owned = await Game.find({ _id: { $in: gameIds }, userId: req.user.id }).select('_id').lean();
+        const ownedIds = owned.map(game => game._id);
+
+        await Game.deleteMany({ _id: { $in: ownedIds } });
+        await GameRevision.deleteMany({ gameId: { $in: ownedIds } });
+        await Submission.deleteMany({ gameId: { $in: ownedIds } });
+
+        console.log(`🗑️ Deleted ${ownedIds.length} games for user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            deleted: ownedIds.length
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting games:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/games/:gameId/revisions
+ * List a game's revision history, newest first (code omitted)
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game
+ * @returns {Array<Object>} Revision metadata
+ */
+app.get('/api/games/:gameId/revisions', requireAuth, async (req, res) => {
+    try {
+        const game = await findUserGame(req.params.gameId, req.user.id);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to view it'
+            });
+        }
+
+        const revisions = await GameRevision.find({ gameId: game._id })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            revisions: revisions.map(formatRevision)
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching revisions:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/games/:gameId/revisions/diff
+ * Line diff between two revisions of a game
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game
+ * @param {string} req.query.from - Older revision ID
+ * @param {string} req.query.to - Newer revision ID
+ * @returns {Object} Diff with added/removed counts and per-line changes
+ */
+app.get('/api/games/:gameId/revisions/diff', requireAuth, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Both "from" and "to" revision IDs are required'
+            });
+        }
+
+        const game = await findUserGame(req.params.gameId, req.user.id);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to view it'
+            });
+        }
+
+        const result = await diffRevisions(game._id, from, to);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('❌ Error diffing revisions:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/games/:gameId/revisions/:revisionId/restore
+ * Restore an earlier revision as the game's current code
+ * The restore is appended to the history, so it can itself be undone
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game
+ * @param {string} req.params.revisionId - Revision to restore
+ * @returns {Object} Updated game and the new 'restored' revision
+ */
+app.post('/api/games/:gameId/revisions/:revisionId/restore', requireAuth, async (req, res) => {
+    try {
+        const { gameId, revisionId } = req.params;
+        const userId = req.user.id;
+
+        const game = await findUserGame(gameId, userId);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to edit it'
+            });
+        }
+
+        const target = mongoose.isValidObjectId(revisionId)
+            ? await GameRevision.findOne({ _id: revisionId, gameId: game._id })
+            : null;
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        const revision = await GameRevision.create({
+            gameId: game._id,
+            userId,
+            code: target.code,
+            source: 'restored',
+            restoredFrom: target._id
+        });
+
+        game.code = target.code;
+        game.updatedAt = new Date();
+        await game.save();
+
+        console.log(`⏪ Game restored: "${game.title}" to revision ${revisionId} by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            game: formatGame(game),
+            revision: formatRevision(revision)
+        });
+
+    } catch (error) {
+        console.error('❌ Error restoring revision:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/generate
+ * Generate game code using AI
+ * Public endpoint - no authentication required, rate limited (see rateLimit)
+ * Waits for a free slot in the generation queue, like the streaming endpoints
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.description - Natural language game description
+ * @param {string} req.body.library - Game library (see LIBRARIES in engines.js)
+ * @param {string} [req.body.version] - Engine version to target (defaults to the latest)
+ * @returns {Object} Generated game code, its runtime manifest, prompt version and game guide (send the last two to /api/save-game)
+ */
+app.post('/api/generate', rateLimit('generate'), async (req, res) => {
+    const leftQueue = new AbortController();
+
+    try {
+        const { description, library } = req.body;
+
+        // Validate description
+        if (!description) {
+            return res.status(400).json({
+                success: false,
+                error: 'Description is required. Please describe the game you want to create.'
+            });
+        }
+
+        if (description.trim().length < 5) {
+            return res.status(400).json({
+                success: false,
+                error: 'Description is too short. Please provide more details.'
+            });
+        }
+
+        // Validate library
+        if (!library) {
+            return res.status(400).json({
+                success: false,
+                error: `Library is required. Choose one of: ${LIBRARIES.map(library => `"${library}"`).join(', ')}.`
+            });
+        }
+
+        const normalizedLibrary = library.toLowerCase();
+        if (!isLibrary(normalizedLibrary)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidLibraryError()
+            });
+        }
+
+        const version = resolveEngineVersion(normalizedLibrary, req.body.version);
+        if (!version) {
+            return res.status(400).json({
+                success: false,
+                error: invalidVersionError(normalizedLibrary)
+            });
+        }
+
+        console.log(`🎮 Request: Generate ${normalizedLibrary} ${version} game: "${description}"`);
+
+        // Generate game code using AI, once a generation slot is free
+        // (a client that disconnects while waiting gives up its place in line)
+        res.on('close', () => leftQueue.abort());
+        const startTime = performance.now();
+        const { code: gameCode, promptVersion, guide } = await generationQueue.run(
+            () => generateGame(description, normalizedLibrary, res.locals.recordUsage, version),
+            { signal: leftQueue.signal }
+        );
+        const endTime = performance.now();
+
+        console.log('✅ Game generated successfully!');
+        console.log(`⏱️ Generation time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+
+        res.json({
+            success: true,
+            code: gameCode,
+            library: normalizedLibrary,
+            runtime: { library: normalizedLibrary, version },
+            promptVersion,
+            guide
+        });
+
+    } catch (error) {
+        if (leftQueue.signal.aborted) {
+            console.log('🛑 Generation request left the queue: client disconnected');
+            return;
+        }
+
+        console.error('❌ Server Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/generate-stream
+ * Generate game code with real-time streaming
+ * Uses Server-Sent Events (SSE) to stream code as it's generated
+ * Public endpoint - no authentication required, rate limited (see rateLimit)
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.description - Natural language game description
+ * @param {string} req.body.library - Game library (see LIBRARIES in engines.js)
+ * @param {string} [req.body.version] - Engine version to target (defaults to the latest)
+ * @returns {Stream} SSE stream of code chunks, resumable (see streamGenerationJob); the 'complete' event carries the runtime manifest
+ */
+app.post('/api/generate-stream', rateLimit('generate'), async (req, res) => {
+    try {
+        // Validate input
+        const request = parseGenerationRequest(req.body);
+        if (request.error) {
+            return res.status(400).json({
+                success: false,
+                error: request.error
+            });
+        }
+
+        const { description, library, version } = request;
+        console.log(`⚡ Streaming request: ${library} ${version} - "${description}"`);
+
+        // Stream game generation with callback for each chunk
+        streamGenerationJob(res, (onChunk, signal) =>
+            generateGameStreaming(description, library, onChunk, res.locals.recordUsage, version, signal));
+
+    } catch (error) {
+        console.error('❌ Streaming Server Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/refine-stream
+ * Revise an existing game from a plain-language change request
+ * Sends the game's full code to the model and streams back a complete revised
+ * game with the same SSE events as /api/generate-stream. Nothing is saved; the
+ * client shows a diff and saves the result as a 'refined' revision if accepted.
+ * Public endpoint - no authentication required, rate limited like generation
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Current game code
+ * @param {string} req.body.changeRequest - What to change (e.g. "add a second level")
+ * @param {string} req.body.library - Game library the code uses (see LIBRARIES in engines.js)
+ * @param {string} [req.body.version] - Engine version the game runs on (defaults to the latest)
+ * @returns {Stream} SSE stream of code chunks; the 'complete' event carries the revised code
+ */
+app.post('/api/refine-stream', rateLimit('generate'), async (req, res) => {
+    try {
+        const { code, changeRequest, library } = req.body;
+
+        if (typeof code !== 'string' || !code.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Code is required'
+            });
+        }
+
+        if (code.length > MAX_REFINE_CODE_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Code must be at most ${MAX_REFINE_CODE_LENGTH} characters`
+            });
+        }
+
+        if (typeof changeRequest !== 'string' || changeRequest.trim().length < MIN_CHANGE_REQUEST_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Change request is required and must be at least ${MIN_CHANGE_REQUEST_LENGTH} characters.`
+            });
+        }
+
+        if (changeRequest.length > MAX_CHANGE_REQUEST_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Change request must be at most ${MAX_CHANGE_REQUEST_LENGTH} characters`
+            });
+        }
+
+        const normalizedLibrary = (library || 'p5js').toLowerCase();
+        if (!isLibrary(normalizedLibrary)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidLibraryError()
+            });
+        }
+
+        const version = resolveEngineVersion(normalizedLibrary, req.body.version);
+        if (!version) {
+            return res.status(400).json({
+                success: false,
+                error: invalidVersionError(normalizedLibrary)
+            });
+        }
+
+        console.log(`🔁 Refine request: ${normalizedLibrary} ${version} - "${changeRequest.trim()}"`);
+
+        streamGenerationJob(res, (onChunk, signal) =>
+            refineGameStreaming(code, changeRequest, normalizedLibrary, onChunk, res.locals.recordUsage, version, signal));
+
+    } catch (error) {
+        console.error('❌ Refine Server Error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========== GENERATION JOBS ==========
+
+// Running and recently finished generation streams, for reconnects, cancellation and status
+const generationStreams = createStreamRegistry({
+    resumeGraceMs: STREAM_RESUME_GRACE_MS,
+    retainMs: 2 * 60 * 1000
+});
+
+// Every generation waits here for a free slot, so a full class can't open dozens of model requests at once
+const generationQueue = createJobQueue({ concurrency: GENERATION_CONCURRENCY || Infinity });
+
+// How long a finished background job's status and result stay available
+const BACKGROUND_JOB_RETAIN_MS = 60 * 60 * 1000;
+
+/**
+ * Set the Server-Sent Events headers on a streaming response
+ * 
+ * @param {Object} res - Express response
+ */
+function startEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');  // Disable nginx buffering
+}
+
+/**
+ * Queue a generation as a stream job
+ * 
+ * The job's first event is { type: 'job', jobId }. While it waits for a free
+ * slot it sends { type: 'queued', position } whenever its place in line
+ * changes, then { type: 'started' } followed by the generator's own events.
+ * Clients can reconnect (GET /api/streams/:jobId) or cancel
+ * (POST /api/streams/:jobId/cancel) with the job ID.
+ * 
+ * @param {Function} generate - Called as generate(onChunk, signal) when the job's turn comes; resolves when the generation ends
+ * @param {Object} [options] - Job options (see createStreamRegistry's create())
+ * @returns {Object} The job (see StreamJob in stream-jobs.js)
+ */
+function startGenerationJob(generate, options) {
+    const job = generationStreams.create(options);
+    job.push({ type: 'job', jobId: job.id });
+
+    generationQueue.run(() => {
+        job.push({ type: 'started' });
+        return generate(job.push, job.signal);
+    }, {
+        signal: job.signal,
+        onPosition: (position) => job.push({ type: 'queued', position })
+    }).catch((error) => {
+        // The generator has already sent an 'error' or 'cancelled' event
+        if (!job.signal.aborted) {
+            console.error('❌ Streaming Server Error:', error.message);
+        }
+    }).finally(() => job.finish());
+
+    return job;
+}
+
+/**
+ * Run a generation as a resumable stream job on this response
+ * The generation keeps running if the response closes, until the job's
+ * reconnect grace period runs out.
+ * 
+ * @param {Object} res - Express response the stream starts on
+ * @param {Function} generate - Called as generate(onChunk, signal); resolves when the generation ends
+ */
+function streamGenerationJob(res, generate) {
+    startEventStream(res);
+    startGenerationJob(generate).subscribe(res);
+}
+
+/**
+ * Check the fields of a game generation request
+ * 
+ * @param {Object} body - Request body with description, library and optional version
+ * @returns {{error: string}|{description: string, library: string, version: string}} Error, or the normalized request
+ */
+function parseGenerationRequest(body) {
+    const { description, library } = body;
+
+    if (typeof description !== 'string' || description.trim().length < 5) {
+        return { error: 'Description is required and must be at least 5 characters.' };
+    }
+
+    const normalizedLibrary = (library || 'p5js').toLowerCase();
+    if (!isLibrary(normalizedLibrary)) {
+        return { error: invalidLibraryError() };
+    }
+
+    const version = resolveEngineVersion(normalizedLibrary, body.version);
+    if (!version) {
+        return { error: invalidVersionError(normalizedLibrary) };
+    }
+
+    return { description, library: normalizedLibrary, version };
+}
+
+/**
+ * Convert a generation job to the API response shape
+ * 
+ * @param {Object} job - Job from generationStreams (see StreamJob in stream-jobs.js)
+ * @returns {Object} Job status, with the generated code once complete
+ */
+function formatJob(job) {
+    const result = job.result;
+
+    return {
+        id: job.id,
+        status: job.status,
+        position: job.position,
+        error: job.error,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        gameId: result ? result.gameId || null : null,
+        result: result ? {
+            code: result.code,
+            runtime: result.runtime,
+            validation: result.validation,
+            totalTime: result.totalTime,
+            tokens: result.tokens
+        } : null
+    };
+}
+
+/**
+ * POST /api/jobs
+ * Queue a game generation and return at once
+ * Follow it with GET /api/jobs/:jobId/events (SSE, same events as
+ * /api/generate-stream) or poll GET /api/jobs/:jobId. For signed-in users the
+ * job runs to the end even with nobody connected, and the finished game is
+ * saved to their games (its ID is on the 'complete' event as gameId). Jobs of
+ * anonymous users are cancelled like streams when nobody is connected.
+ * Public endpoint - no authentication required, rate limited like generation
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.description - Natural language game description
+ * @param {string} req.body.library - Game library (see LIBRARIES in engines.js)
+ * @param {string} [req.body.version] - Engine version to target (defaults to the latest)
+ * @returns {Object} The queued job (202 Accepted)
+ */
+app.post('/api/jobs', rateLimit('generate'), (req, res) => {
+    const request = parseGenerationRequest(req.body);
+
+    if (request.error) {
+        return res.status(400).json({
+            success: false,
+            error: request.error
+        });
+    }
+
+    const { description, library, version } = request;
+    const user = req.user || null;
+    const recordUsage = res.locals.recordUsage;
+
+    const job = startGenerationJob(async (onChunk, signal) => {
+        let completed = null;
+
+        // Hold back the 'complete' event until the game is saved, so it can carry the game's ID
+        await generateGameStreaming(description, library, (data) => {
+            if (data.type === 'complete' && user) {
+                completed = data;
+            } else {
+                onChunk(data);
+            }
+        }, recordUsage, version, signal);
+
+        if (!completed) return;
+
+        try {
+            const { game } = await createGame({
+                userId: user.id,
+                title: completed.guide ? completed.guide.title : titleFromDescription(description),
+                description,
+                code: completed.code,
+                library,
+                version,
+                promptVersion: completed.promptVersion,
+                guide: completed.guide,
+                source: 'generated'
+            });
+            completed.gameId = game._id.toString();
+            console.log(`💾 Job ${job.id} saved as "${game.title}" for user ${user.name}`);
+        } catch (error) {
+            console.error('❌ Error saving generated game:', error);
+            completed.saveError = 'The game was generated but could not be saved.';
+        }
+        onChunk(completed);
+    }, {
+        background: Boolean(user),
+        retainMs: BACKGROUND_JOB_RETAIN_MS
+    });
+
+    console.log(`📥 Job ${job.id} queued: ${library} ${version} - "${description}"`);
+
+    res.status(202).json({
+        success: true,
+        job: formatJob(job)
+    });
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Status of a generation job, with the code and saved game ID once complete
+ * Public endpoint - the job ID is only known to the client that started it
+ * 
+ * @param {string} req.params.jobId - Job ID from POST /api/jobs
+ * @returns {Object} Job status and the queue's current load
+ */
+app.get('/api/jobs/:jobId', (req, res) => {
+    const job = generationStreams.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found. Finished jobs are kept for an hour.'
+        });
+    }
+
+    res.json({
+        success: true,
+        job: formatJob(job),
+        queue: generationQueue.stats()
+    });
+});
+
+/**
+ * GET /api/streams/:jobId (also GET /api/jobs/:jobId/events)
+ * Connect or reconnect to a generation stream
+ * Replays the events after Last-Event-ID (header, or ?lastEventId=) and
+ * continues with live ones. Chunks carry the full text so far, so only the
+ * latest missed chunk is replayed.
+ * Public endpoint - the job ID is only known to the client that started it
+ * 
+ * @param {string} req.params.jobId - Job ID from the stream's 'job' event
+ * @returns {Stream} SSE stream continuing the generation
+ */
+app.get(['/api/streams/:jobId', '/api/jobs/:jobId/events'], (req, res) => {
+    const job = generationStreams.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Stream not found. It may have finished too long ago or been cancelled.'
+        });
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+    console.log(lastEventId
+        ? `🔌 Stream ${job.id} resumed after event ${lastEventId}`
+        : `🔌 Stream ${job.id} connected`);
+
+    startEventStream(res);
+    job.subscribe(res, lastEventId);
+});
+
+/**
+ * POST /api/streams/:jobId/cancel (also POST /api/jobs/:jobId/cancel)
+ * Stop a generation stream and the model request behind it, or take it out of the queue
+ * Public endpoint - the job ID is only known to the client that started it
+ * 
+ * @param {string} req.params.jobId - Job ID from the stream's 'job' event
+ * @returns {Object} Whether a running generation was cancelled
+ */
+app.post(['/api/streams/:jobId/cancel', '/api/jobs/:jobId/cancel'], (req, res) => {
+    const job = generationStreams.get(req.params.jobId);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Stream not found'
+        });
+    }
+
+    const cancelled = job.cancel();
+    if (cancelled) {
+        console.log(`🛑 Stream ${job.id} cancelled by the client`);
+    }
+
+    res.json({ success: true, cancelled });
+});
+
+// ========== FOLDERS ==========
+
+/**
+ * Validate a folder name from the client
+ * 
+ * @param {*} name - Value from the request body
+ * @returns {string|null} Trimmed name, or null if invalid
+ */
+function validateFolderName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim();
+    return trimmed && trimmed.length <= MAX_FOLDER_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * GET /api/folders
+ * List the authenticated user's folders with game counts, alphabetically
+ * Requires authentication
+ * 
+ * @returns {Object} Folders and the number of unfiled games
+ */
+app.get('/api/folders', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const [folders, counts] = await Promise.all([
+            Folder.find({ userId }).collation(TITLE_COLLATION).sort({ name: 1 }).lean(),
+            Game.aggregate([
+                { $match: { userId } },
+                { $group: { _id: '$folderId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        // Keyed by folder ID; games without a folder are grouped under 'null'
+        const countsByFolder = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+        res.json({
+            success: true,
+            folders: folders.map(folder => formatFolder(folder, countsByFolder.get(folder._id.toString()) || 0)),
+            unfiledCount: countsByFolder.get('null') || 0
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching folders:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/folders
+ * Create a folder
+ * Requires authentication
+ * 
+ * @param {string} req.body.name - Folder name (unique per user)
+ * @returns {Object} New folder
+ */
+app.post('/api/folders', requireAuth, async (req, res) => {
+    try {
+        const name = validateFolderName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                error: `Folder name is required and must be at most ${MAX_FOLDER_NAME_LENGTH} characters`
+            });
+        }
+
+        if (await Folder.countDocuments({ userId: req.user.id }) >= MAX_FOLDERS) {
+            return res.status(400).json({
+                success: false,
+                error: `You can have at most ${MAX_FOLDERS} folders`
+            });
+        }
+
+        const folder = await Folder.create({ userId: req.user.id, name });
+
+        console.log(`📁 Folder created: "${name}" by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            folder: formatFolder(folder)
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'You already have a folder with that name'
+            });
+        }
+        console.error('❌ Error creating folder:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/folders/:folderId
+ * Rename a folder
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.folderId - MongoDB ObjectId of the folder
+ * @param {string} req.body.name - New folder name
+ * @returns {Object} Renamed folder
+ */
+app.put('/api/folders/:folderId', requireAuth, async (req, res) => {
+    try {
+        const name = validateFolderName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                error: `Folder name is required and must be at most ${MAX_FOLDER_NAME_LENGTH} characters`
+            });
+        }
+
+        const folder = mongoose.isValidObjectId(req.params.folderId)
+            ? await Folder.findOneAndUpdate(
+                { _id: req.params.folderId, userId: req.user.id },
+                { name },
+                { new: true }
+            )
+            : null;
+
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                error: 'Folder not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            folder: formatFolder(folder)
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'You already have a folder with that name'
+            });
+        }
+        console.error('❌ Error renaming folder:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/folders/:folderId
+ * Delete a folder; its games are kept and become unfiled
+ * Requires authentication and ownership verification
+ * 
+ * @param {string} req.params.folderId - MongoDB ObjectId of the folder
+ * @returns {Object} Number of games that were in the folder
+ */
+app.delete('/api/folders/:folderId', requireAuth, async (req, res) => {
+    try {
+        const folder = mongoose.isValidObjectId(req.params.folderId)
+            ? await Folder.findOneAndDelete({ _id: req.params.folderId, userId: req.user.id })
+            : null;
+
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                error: 'Folder not found'
+            });
+        }
+
+        const result = await Game.updateMany(
+            { userId: req.user.id, folderId: folder._id },
+            { $set: { folderId: null } }
+        );
+
+        console.log(`📁 Folder deleted: "${folder.name}" by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            unfiled: result.modifiedCount
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting folder:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========== CLASSROOMS ==========
+
+// Class role middleware and the submission lookup students and teachers share (see class-access.js)
+const { requireClassRole, findClassSubmission } = createClassAccess({
+    Classroom,
+    Submission,
+    isValidId: id => mongoose.isValidObjectId(id)
+});
+
+/**
+ * Generate a random class join code
+ * 
+ * @returns {string} JOIN_CODE_LENGTH characters from JOIN_CODE_ALPHABET
+ */
+function generateJoinCode() {
+    const bytes = randomBytes(JOIN_CODE_LENGTH);
+    let code = '';
+    for (const byte of bytes) {
+        code += JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+/**
+ * Give a class a new join code and save it
+ * Retries with another code in the unlikely case of a collision
+ * 
+ * @param {Object} classroom - Classroom document (saved by this function)
+ * @returns {Promise<Object>} The saved class
+ */
+async function assignJoinCode(classroom) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        classroom.joinCode = generateJoinCode();
+        try {
+            return await classroom.save();
+        } catch (error) {
+            if (error.code !== 11000) throw error; // Only retry duplicate key errors
+        }
+    }
+    throw new Error('Could not generate a unique join code');
+}
+
+/**
+ * Convert a class document to the API response shape
+ * The join code and roster are only included for the teacher
+ * 
+ * @param {Object} classroom - Classroom document or lean object
+ * @param {string} role - Requester's role in the class ('teacher' or 'student')
+ * @returns {Object} Class with string ID
+ */
+function formatClassroom(classroom, role) {
+    const formatted = {
+        id: classroom._id.toString(),
+        name: classroom.name,
+        teacherName: classroom.teacherName || null,
+        role,
+        studentCount: classroom.students.length,
+        createdAt: classroom.createdAt
+    };
+
+    if (role === 'teacher') {
+        formatted.joinCode = classroom.joinCode;
+        formatted.students = classroom.students.map(student => ({
+            id: student.userId,
+            name: student.name,
+            avatar: student.avatar || null,
+            joinedAt: student.joinedAt
+        }));
+    }
+    return formatted;
+}
+
+/**
+ * Convert an assignment document to the API response shape
+ * 
+ * @param {Object} assignment - Assignment document or lean object
+ * @returns {Object} Assignment with string IDs
+ */
+function formatAssignment(assignment) {
+    return {
+        id: assignment._id.toString(),
+        classId: assignment.classId.toString(),
+        title: assignment.title,
+        instructions: assignment.instructions,
+        library: assignment.library,
+        starterPrompt: assignment.starterPrompt,
+        starterCode: assignment.starterCode,
+        dueAt: assignment.dueAt,
+        createdAt: assignment.createdAt
+    };
+}
+
+/**
+ * Convert a submission to the API response shape
+ * 
+ * @param {Object} submission - Submission document or lean object
+ * @param {Object|null} game - The submitted game (null if the student deleted it)
+ * @param {number} [revisionCount=0] - Number of revisions the game has
+ * @returns {Object} Submission with string IDs and a summary of the game
+ */
+function formatSubmission(submission, game, revisionCount = 0) {
+    return {
+        id: submission._id.toString(),
+        assignmentId: submission.assignmentId.toString(),
+        studentId: submission.studentId,
+        gameId: submission.gameId.toString(),
+        gameTitle: game ? game.title : null,
+        gameAvailable: Boolean(game),
+        revisionId: submission.revisionId ? submission.revisionId.toString() : null,
+        revisionCount,
+        editedSinceSubmission: Boolean(game && game.updatedAt > submission.submittedAt),
+        submittedAt: submission.submittedAt
+    };
+}
+
+/**
+ * Find an assignment of the class loaded by requireClassRole
+ * 
+ * @param {Request} req - Express request (req.classroom and req.params.assignmentId)
+ * @returns {Promise<Object|null>} Assignment document or null if not found
+ */
+async function findClassAssignment(req) {
+    if (!mongoose.isValidObjectId(req.params.assignmentId)) {
+        return null;
+    }
+    return Assignment.findOne({ _id: req.params.assignmentId, classId: req.classroom._id });
+}
+
+/**
+ * Validate an optional string field of a class or assignment
+ * 
+ * @param {*} value - Value from the request body
+ * @param {number} maxLength - Maximum length after trimming
+ * @returns {string|null} Trimmed value ('' if missing), or null if invalid
+ */
+function validateOptionalText(value, maxLength) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    return trimmed.length <= maxLength ? trimmed : null;
+}
+
+/**
+ * POST /api/classes
+ * Create a class; the creator becomes its teacher
+ * Requires authentication
+ * 
+ * @param {string} req.body.name - Class name
+ * @returns {Object} New class, including its join code
+ */
+app.post('/api/classes', requireAuth, async (req, res) => {
+    try {
+        const name = validateOptionalText(req.body.name, MAX_CLASS_NAME_LENGTH);
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                error: `Class name is required and must be at most ${MAX_CLASS_NAME_LENGTH} characters`
+            });
+        }
+
+        const classroom = await assignJoinCode(new Classroom({
+            teacherId: req.user.id,
+            teacherName: req.user.name,
+            name
+        }));
+
+        console.log(`🏫 Class created: "${name}" by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            class: formatClassroom(classroom, 'teacher')
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating class:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/classes
+ * List the classes the authenticated user teaches and attends
+ * Requires authentication
+ * 
+ * @returns {Object} { teaching, enrolled } arrays of classes
+ */
+app.get('/api/classes', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const [teaching, enrolled] = await Promise.all([
+            Classroom.find({ teacherId: userId }).sort({ createdAt: -1 }).lean(),
+            Classroom.find({ 'students.userId': userId }).sort({ createdAt: -1 }).lean()
+        ]);
+
+        res.json({
+            success: true,
+            teaching: teaching.map(classroom => formatClassroom(classroom, 'teacher')),
+            enrolled: enrolled.map(classroom => formatClassroom(classroom, 'student'))
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching classes:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/classes/join
+ * Join a class as a student
+ * Requires authentication
+ * 
+ * @param {string} req.body.joinCode - Code shared by the teacher (case-insensitive)
+ * @returns {Object} The joined class
+ */
+app.post('/api/classes/join', requireAuth, async (req, res) => {
+    try {
+        const { joinCode } = req.body;
+        const user = req.user;
+
+        if (typeof joinCode !== 'string' || !joinCode.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Join code is required'
+            });
+        }
+
+        const classroom = await Classroom.findOne({ joinCode: joinCode.trim().toUpperCase() });
+
+        if (!classroom) {
+            return res.status(404).json({
+                success: false,
+                error: 'No class has that join code'
+            });
+        }
+
+        if (classroom.teacherId === user.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'You teach this class'
+            });
+        }
+
+        if (!classroom.students.some(student => student.userId === user.id)) {
+            if (classroom.students.length >= MAX_CLASS_SIZE) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This class is full'
+                });
+            }
+
+            classroom.students.push({ userId: user.id, name: user.name, avatar: user.avatar });
+            await classroom.save();
+
+            console.log(`🎒 ${user.name} joined class "${classroom.name}"`);
+        }
+
+        res.json({
+            success: true,
+            class: formatClassroom(classroom, 'student')
+        });
+
+    } catch (error) {
+        console.error('❌ Error joining class:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/classes/:classId
+ * Get one class (teachers also get the join code and roster)
+ * Requires authentication and class membership
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @returns {Object} Class
+ */
+app.get('/api/classes/:classId', requireAuth, requireClassRole('teacher', 'student'), (req, res) => {
+    res.json({
+        success: true,
+        class: formatClassroom(req.classroom, req.classRole)
+    });
+});
+
+/**
+ * POST /api/classes/:classId/join-code
+ * Replace the class's join code (the old one stops working)
+ * Requires authentication and the teacher role
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @returns {Object} Class with its new join code
+ */
+app.post('/api/classes/:classId/join-code', requireAuth, requireClassRole('teacher'), async (req, res) => {
+    try {
+        const classroom = await assignJoinCode(req.classroom);
+
+        res.json({
+            success: true,
+            class: formatClassroom(classroom, 'teacher')
+        });
+
+    } catch (error) {
+        console.error('❌ Error changing join code:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/classes/:classId/students/:studentId
+ * Remove a student from a class (teachers), or leave it (students, with their own ID)
+ * The student's submissions are kept
+ * Requires authentication and class membership
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.params.studentId - User ID of the student
+ */
+app.delete('/api/classes/:classId/students/:studentId', requireAuth, requireClassRole('teacher', 'student'), async (req, res) => {
+    try {
+        const { studentId } = req.params;
+        const classroom = req.classroom;
+
+        if (req.classRole === 'student' && studentId !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only the class teacher can remove other students'
+            });
+        }
+
+        const index = classroom.students.findIndex(student => student.userId === studentId);
+        if (index === -1) {
+            return res.status(404).json({
+                success: false,
+                error: 'Student not found in this class'
+            });
+        }
+
+        classroom.students.splice(index, 1);
+        await classroom.save();
+
+        console.log(`🎒 Student ${studentId} left class "${classroom.name}"`);
+
+        res.json({
+            success: true,
+            message: 'Student removed from class'
+        });
+
+    } catch (error) {
+        console.error('❌ Error removing student:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/classes/:classId
+ * Delete a class with its assignments and submissions
+ * Students keep their games
+ * Requires authentication and the teacher role
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ */
+app.delete('/api/classes/:classId', requireAuth, requireClassRole('teacher'), async (req, res) => {
+    try {
+        const classId = req.classroom._id;
+
+        await Submission.deleteMany({ classId });
+        await Assignment.deleteMany({ classId });
+        await Classroom.deleteOne({ _id: classId });
+
+        console.log(`🏫 Class deleted: "${req.classroom.name}" by user ${req.user.name}`);
+
+        res.json({
+            success: true,
+            message: 'Class deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting class:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/classes/:classId/assignments
+ * List a class's assignments, newest first
+ * Teachers also get submission counts; students get their own submission
+ * Requires authentication and class membership
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @returns {Array<Object>} Assignments
+ */
+app.get('/api/classes/:classId/assignments', requireAuth, requireClassRole('teacher', 'student'), async (req, res) => {
+    try {
+        const classId = req.classroom._id;
+        const assignments = await Assignment.find({ classId }).sort({ createdAt: -1 }).lean();
+
+        let formatted;
+        if (req.classRole === 'teacher') {
+            const counts = await Submission.aggregate([
+                { $match: { classId } },
+                { $group: { _id: '$assignmentId', count: { $sum: 1 } } }
+            ]);
+            const countsByAssignment = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+            formatted = assignments.map(assignment => ({
+                ...formatAssignment(assignment),
+                submissionCount: countsByAssignment.get(assignment._id.toString()) || 0
+            }));
+        } else {
+            const submissions = await Submission.find({ classId, studentId: req.user.id }).lean();
+            const games = await Game.find({ _id: { $in: submissions.map(s => s.gameId) } })
+                .select('title updatedAt')
+                .lean();
+            const gamesById = new Map(games.map(game => [game._id.toString(), game]));
+            const byAssignment = new Map(submissions.map(s => [s.assignmentId.toString(), s]));
+
+            formatted = assignments.map(assignment => {
+                const submission = byAssignment.get(assignment._id.toString());
+                return {
+                    ...formatAssignment(assignment),
+                    submission: submission
+                        ? formatSubmission(submission, gamesById.get(submission.gameId.toString()) || null)
+                        : null
+                };
+            });
+        }
+
+        res.json({
+            success: true,
+            assignments: formatted
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching assignments:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/classes/:classId/assignments
+ * Post an assignment to a class
+ * Requires authentication and the teacher role
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.body.title - Assignment title
+ * @param {string} req.body.library - Library students must use (see LIBRARIES in engines.js)
+ * @param {string} [req.body.instructions] - What students should do
+ * @param {string} [req.body.starterPrompt] - Game description to start generating from
+ * @param {string} [req.body.starterCode] - Code to start editing from
+ * @param {string} [req.body.dueAt] - Due date (ISO 8601)
+ * @returns {Object} New assignment
+ */
+app.post('/api/classes/:classId/assignments', requireAuth, requireClassRole('teacher'), async (req, res) => {
+    try {
+        const { library, dueAt } = req.body;
+        const title = validateOptionalText(req.body.title, MAX_ASSIGNMENT_TITLE_LENGTH);
+        const instructions = validateOptionalText(req.body.instructions, MAX_INSTRUCTIONS_LENGTH);
+        const starterPrompt = validateOptionalText(req.body.starterPrompt, MAX_STARTER_PROMPT_LENGTH);
+        // Starter code keeps its indentation, so it isn't trimmed
+        const starterCode = req.body.starterCode ?? '';
+
+        if (!title) {
+            return res.status(400).json({
+                success: false,
+                error: `Title is required and must be at most ${MAX_ASSIGNMENT_TITLE_LENGTH} characters`
+            });
+        }
+
+        if (!isLibrary(library)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidLibraryError()
+            });
+        }
+
+        if (instructions === null || starterPrompt === null
+            || typeof starterCode !== 'string' || starterCode.length > MAX_STARTER_CODE_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: 'Instructions, starter prompt or starter code is too long'
+            });
+        }
+
+        const due = dueAt ? new Date(dueAt) : null;
+        if (due && Number.isNaN(due.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid due date'
+            });
+        }
+
+        const assignment = await Assignment.create({
+            classId: req.classroom._id,
+            title,
+            instructions,
+            library,
+            starterPrompt,
+            starterCode: starterCode.trim() ? starterCode : '',
+            dueAt: due
+        });
+
+        console.log(`📝 Assignment posted: "${title}" in class "${req.classroom.name}"`);
+
+        res.json({
+            success: true,
+            assignment: formatAssignment(assignment)
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating assignment:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/classes/:classId/assignments/:assignmentId
+ * Delete an assignment and its submissions (students keep their games)
+ * Requires authentication and the teacher role
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.params.assignmentId - MongoDB ObjectId of the assignment
+ */
+app.delete('/api/classes/:classId/assignments/:assignmentId', requireAuth, requireClassRole('teacher'), async (req, res) => {
+    try {
+        const assignment = await findClassAssignment(req);
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assignment not found'
+            });
+        }
+
+        await Submission.deleteMany({ assignmentId: assignment._id });
+        await Assignment.deleteOne({ _id: assignment._id });
+
+        console.log(`📝 Assignment deleted: "${assignment.title}"`);
+
+        res.json({
+            success: true,
+            message: 'Assignment deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting assignment:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/classes/:classId/assignments/:assignmentId/submit
+ * Submit one of the student's saved games to an assignment
+ * Submitting again replaces the earlier submission
+ * Requires authentication and the student role
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.params.assignmentId - MongoDB ObjectId of the assignment
+ * @param {string} req.body.gameId - The student's saved game
+ * @returns {Object} The submission
+ */
+app.post('/api/classes/:classId/assignments/:assignmentId/submit', requireAuth, requireClassRole('student'), async (req, res) => {
+    try {
+        const assignment = await findClassAssignment(req);
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assignment not found'
+            });
+        }
+
+        const game = await findUserGame(req.body.gameId, req.user.id);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to submit it'
+            });
+        }
+
+        if (game.library !== assignment.library) {
+            return res.status(400).json({
+                success: false,
+                error: `This assignment needs a ${getEngine(assignment.library).name} game`
+            });
+        }
+
+        // Pin the version being handed in; the student may keep editing afterwards
+        const latestRevision = await GameRevision.findOne({ gameId: game._id })
+            .sort({ createdAt: -1 })
+            .select('_id')
+            .lean();
+
+        const submission = await Submission.findOneAndUpdate(
+            { assignmentId: assignment._id, studentId: req.user.id },
+            {
+                classId: req.classroom._id,
+                gameId: game._id,
+                revisionId: latestRevision ? latestRevision._id : null,
+                submittedAt: new Date()
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean();
+
+        console.log(`📥 Submission: "${game.title}" for "${assignment.title}" by ${req.user.name}`);
+
+        res.json({
+            success: true,
+            submission: formatSubmission(submission, game)
+        });
+
+    } catch (error) {
+        console.error('❌ Error submitting game:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/classes/:classId/assignments/:assignmentId/submissions
+ * Submission roster: every student in the class with their submission (or null)
+ * Requires authentication and the teacher role
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.params.assignmentId - MongoDB ObjectId of the assignment
+ * @returns {Object} Assignment and roster
+ */
+app.get('/api/classes/:classId/assignments/:assignmentId/submissions', requireAuth, requireClassRole('teacher'), async (req, res) => {
+    try {
+        const assignment = await findClassAssignment(req);
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assignment not found'
+            });
+        }
+
+        const submissions = await Submission.find({ assignmentId: assignment._id }).lean();
+        const gameIds = submissions.map(submission => submission.gameId);
+
+        const [games, revisionCounts] = await Promise.all([
+            Game.find({ _id: { $in: gameIds } }).select('title updatedAt').lean(),
+            GameRevision.aggregate([
+                { $match: { gameId: { $in: gameIds } } },
+                { $group: { _id: '$gameId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const gamesById = new Map(games.map(game => [game._id.toString(), game]));
+        const countsByGame = new Map(revisionCounts.map(entry => [entry._id.toString(), entry.count]));
+        const byStudent = new Map(submissions.map(submission => [submission.studentId, submission]));
+
+        const roster = req.classroom.students.map(student => {
+            const submission = byStudent.get(student.userId);
+            const gameId = submission && submission.gameId.toString();
+
+            return {
+                student: { id: student.userId, name: student.name, avatar: student.avatar || null },
+                submission: submission
+                    ? formatSubmission(submission, gamesById.get(gameId) || null, countsByGame.get(gameId) || 0)
+                    : null
+            };
+        });
+
+        res.json({
+            success: true,
+            assignment: formatAssignment(assignment),
+            roster
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching submissions:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/classes/:classId/submissions/:submissionId
+ * Open a submitted game read-only, with the code as it was submitted
+ * Requires authentication; teachers see any submission, students their own
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.params.submissionId - MongoDB ObjectId of the submission
+ * @returns {Object} Submission, assignment, student and game (with code)
+ */
+app.get('/api/classes/:classId/submissions/:submissionId', requireAuth, requireClassRole('teacher', 'student'), async (req, res) => {
+    try {
+        const submission = await findClassSubmission(req);
+
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                error: 'Submission not found'
+            });
+        }
+
+        const [game, assignment, submittedRevision] = await Promise.all([
+            Game.findById(submission.gameId).lean(),
+            Assignment.findById(submission.assignmentId).lean(),
+            submission.revisionId ? GameRevision.findById(submission.revisionId).lean() : null
+        ]);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'The submitted game has been deleted by its owner'
+            });
+        }
+
+        const student = req.classroom.students.find(s => s.userId === submission.studentId);
+
+        res.json({
+            success: true,
+            submission: formatSubmission(submission, game),
+            assignment: assignment ? { id: assignment._id.toString(), title: assignment.title } : null,
+            student: { id: submission.studentId, name: student ? student.name : 'Former student' },
+            game: {
+                ...formatGame(game),
+                code: submittedRevision ? submittedRevision.code : game.code
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching submission:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/classes/:classId/submissions/:submissionId/revisions
+ * Revision history of a submitted game, newest first (code omitted)
+ * Requires authentication; teachers see any submission, students their own
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.params.submissionId - MongoDB ObjectId of the submission
+ * @returns {Array<Object>} Revision metadata
+ */
+app.get('/api/classes/:classId/submissions/:submissionId/revisions', requireAuth, requireClassRole('teacher', 'student'), async (req, res) => {
+    try {
+        const submission = await findClassSubmission(req);
+
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                error: 'Submission not found'
+            });
+        }
+
+        const revisions = await GameRevision.find({ gameId: submission.gameId })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            revisions: revisions.map(formatRevision),
+            submittedRevisionId: submission.revisionId ? submission.revisionId.toString() : null
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching submission revisions:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/classes/:classId/submissions/:submissionId/revisions/diff
+ * Line diff between two revisions of a submitted game
+ * Requires authentication; teachers see any submission, students their own
+ * 
+ * @param {string} req.params.classId - MongoDB ObjectId of the class
+ * @param {string} req.params.submissionId - MongoDB ObjectId of the submission
+ * @param {string} req.query.from - Older revision ID
+ * @param {string} req.query.to - Newer revision ID
+ * @returns {Object} Diff with added/removed counts and per-line changes
+ */
+app.get('/api/classes/:classId/submissions/:submissionId/revisions/diff', requireAuth, requireClassRole('teacher', 'student'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+
+        if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Both "from" and "to" revision IDs are required'
+            });
+        }
+
+        const submission = await findClassSubmission(req);
+
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                error: 'Submission not found'
+            });
+        }
+
+        const result = await diffRevisions(submission.gameId, from, to);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('❌ Error diffing submission revisions:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========== SHARING & GALLERY ==========
+
+/**
+ * PUT /api/games/:gameId/visibility
+ * Change who can open a game; sharing assigns a short share slug
  * Requires authentication and ownership verification
  * 
- * @param {string} req.params.gameId - MongoDB ObjectId of the game to delete
- * @returns {Object} Success confirmation
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game
+ * @param {string} req.body.visibility - 'private', 'unlisted' or 'public'
+ * @returns {Object} Updated game (with slug) and its share path
+ */
+app.put('/api/games/:gameId/visibility', requireAuth, async (req, res) => {
+    try {
+        const { visibility } = req.body;
+
+        if (!VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid visibility. Must be one of: ${VISIBILITIES.join(', ')}`
+            });
+        }
+
+        const game = await findUserGame(req.params.gameId, req.user.id);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'Game not found or you do not have permission to edit it'
+            });
+        }
+
+        game.visibility = visibility;
+
+        // The slug is kept when a game is made private, so re-sharing restores the same link
+        if (visibility === 'private') {
+            await game.save();
+        } else {
+            await assignSlug(game);
+        }
+
+        console.log(`🔗 Game "${game.title}" is now ${visibility} (by user ${req.user.name})`);
+
+        res.json({
+            success: true,
+            game: formatGame(game),
+            sharePath: game.slug ? `/play.html?share=${game.slug}` : null
+        });
+
+    } catch (error) {
+        console.error('❌ Error changing visibility:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/games/:idOrSlug/public
+ * Get a game shared as unlisted or public, by share slug or ID
+ * Public endpoint - owners can also open their private games here
+ * 
+ * @param {string} req.params.idOrSlug - Share slug or MongoDB ObjectId
+ * @returns {Object} Public game with code, author name and fork origin
+ */
+app.get('/api/games/:idOrSlug/public', async (req, res) => {
+    try {
+        const game = await findSharedGame(req.params.idOrSlug, req);
+
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'This game does not exist or is not shared'
+            });
+        }
+
+        const [author, original] = await Promise.all([
+            User.findOne({ userId: game.userId }).lean(),
+            game.forkedFrom
+                ? Game.findOne({ _id: game.forkedFrom, visibility: { $in: ['unlisted', 'public'] } }).lean()
+                : null
+        ]);
+
+        res.json({
+            success: true,
+            game: formatPublicGame(game, author, {
+                original,
+                isOwner: req.isAuthenticated() && game.userId === req.user.id
+            })
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching shared game:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/gallery
+ * Browse public games, newest first (code omitted)
+ * Public endpoint - no authentication required
+ * 
+ * @param {number} [req.query.page=1] - 1-based page number
+ * @param {number} [req.query.limit=24] - Games per page (max 60)
+ * @param {string} [req.query.library] - Only games for this library (see LIBRARIES in engines.js)
+ * @returns {Object} Page of games with author names, and pagination info
  */
-app.delete('/api/games/:gameId', requireAuth, async (req, res) => {
+app.get('/api/gallery', async (req, res) => {
     try {
-        const userId = req.user.id;
-        const { gameId } = req.params;
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(GALLERY_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || GALLERY_PAGE_SIZE));
+        const { library } = req.query;
 
-        // Find and delete game only if it belongs to the authenticated user
-        const deletedGame = await Game.findOneAndDelete({
-            _id: gameId,
-            userId: userId
+        const filter = { visibility: 'public' };
+        if (library) {
+            if (!isLibrary(library)) {
+                return res.status(400).json({
+                    success: false,
+                    error: invalidLibraryError()
+                });
+            }
+            filter.library = library;
+        }
+
+        const [games, total] = await Promise.all([
+            Game.find(filter)
+                .select('-code -guide')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Game.countDocuments(filter)
+        ]);
+
+        // Look up all authors on the page at once
+        const authors = await User.find({ userId: { $in: [...new Set(games.map(game => game.userId))] } }).lean();
+        const authorsById = new Map(authors.map(author => [author.userId, author]));
+
+        res.json({
+            success: true,
+            games: games.map(game => formatPublicGame(game, authorsById.get(game.userId), { includeCode: false })),
+            page,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+            total
         });
 
-        if (!deletedGame) {
+    } catch (error) {
+        console.error('❌ Error fetching gallery:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/games/:idOrSlug/fork
+ * Copy a shared game into the current user's games
+ * The copy starts private, keeps a link to the original, and gets its own history
+ * Requires authentication
+ * 
+ * @param {string} req.params.idOrSlug - Share slug or MongoDB ObjectId of the game to fork
+ * @returns {Object} The new game and its first revision
+ */
+app.post('/api/games/:idOrSlug/fork', requireAuth, async (req, res) => {
+    try {
+        const original = await findSharedGame(req.params.idOrSlug, req);
+
+        if (!original) {
             return res.status(404).json({
                 success: false,
-                error: 'Game not found or you do not have permission to delete it'
+                error: 'This game does not exist or is not shared'
             });
         }
 
-        console.log(`🗑️ Game deleted from MongoDB: "${deletedGame.title}" by user ${req.user.name}`);
+        const userId = req.user.id;
+
+        const fork = await Game.create({
+            userId,
+            title: original.title,
+            description: original.description,
+            code: original.code,
+            library: original.library,
+            runtime: getRuntime(original),
+            promptVersion: original.promptVersion || null,
+            guide: original.guide ? normalizeGuide(original.guide) : null,
+            forkedFrom: original._id
+        });
+
+        const revision = await GameRevision.create({
+            gameId: fork._id,
+            userId,
+            code: fork.code,
+            source: 'forked'
+        });
+
+        await Game.updateOne({ _id: original._id }, { $inc: { forks: 1 } });
+
+        console.log(`⑂ Game forked: "${original.title}" by user ${req.user.name}`);
 
         res.json({
             success: true,
-            message: 'Game deleted successfully'
+            game: formatGame(fork),
+            revision: formatRevision(revision)
         });
 
     } catch (error) {
-        console.error('❌ Error deleting game:', error);
+        console.error('❌ Error forking game:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -473,69 +4089,223 @@ app.delete('/api/games/:gameId', requireAuth, async (req, res) => {
     }
 });
 
+// ========== ENGINE VERSIONS ==========
+
 /**
- * POST /api/generate
- * Generate game code using AI
- * Public endpoint - no authentication required
- * 
+ * GET /api/engines
+ * List the engine versions games can run on
+ * Public endpoint
+ *
+ * @returns {Object} Engines with their versions (oldest first) and the latest version
+ */
+app.get('/api/engines', (req, res) => {
+    res.json({
+        success: true,
+        engines: listEngines()
+    });
+});
+
+/**
+ * POST /api/engines/check
+ * Check code for APIs that an engine version deprecated or removed
+ * Public endpoint - also used for unsaved games before switching versions
+ *
  * @param {Object} req.body - Request body
- * @param {string} req.body.description - Natural language game description
- * @param {string} req.body.library - Game library ('p5js' or 'phaser')
- * @returns {Object} Generated game code and metadata
+ * @param {string} req.body.code - Game code
+ * @param {string} req.body.library - Library used (see LIBRARIES in engines.js)
+ * @param {string} req.body.version - Version to check against
+ * @param {string} [req.body.fromVersion] - Version the code runs on now (marks issues the switch introduces)
+ * @returns {Object} Issues (errors first) and whether any of them stop the game from running
+ */
+app.post('/api/engines/check', (req, res) => {
+    const { code, library, version, fromVersion } = req.body;
+
+    if (typeof code !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required field: code'
+        });
+    }
+
+    if (!isLibrary(library)) {
+        return res.status(400).json({
+            success: false,
+            error: invalidLibraryError()
+        });
+    }
+
+    if (!isAvailableVersion(library, version) || (fromVersion && !isAvailableVersion(library, fromVersion))) {
+        return res.status(400).json({
+            success: false,
+            error: invalidVersionError(library)
+        });
+    }
+
+    res.json({
+        success: true,
+        ...checkUpgrade(code, { library, version: fromVersion || version }, version)
+    });
+});
+
+/**
+ * PUT /api/games/:gameId/runtime
+ * Move a saved game to another engine version
+ * Refused when the game uses an API the new version removed, unless forced
+ * Requires authentication and ownership
+ *
+ * @param {string} req.params.gameId - MongoDB ObjectId of the game
+ * @param {string} req.body.version - Engine version to run the game on
+ * @param {boolean} [req.body.force=false] - Switch even if the check finds removed APIs
+ * @returns {Object} Updated game and the check result
  */
-app.post('/api/generate', async (req, res) => {
+app.put('/api/games/:gameId/runtime', requireAuth, async (req, res) => {
     try {
-        const { description, library } = req.body;
+        const { version, force = false } = req.body;
+        const game = await findUserGame(req.params.gameId, req.user.id);
 
-        // Validate description
-        if (!description) {
-            return res.status(400).json({
+        if (!game) {
+            return res.status(404).json({
                 success: false,
-                error: 'Description is required. Please describe the game you want to create.'
+                error: 'Game not found or you do not have permission to edit it'
             });
         }
 
-        if (description.trim().length < 5) {
+        if (!isAvailableVersion(game.library, version)) {
             return res.status(400).json({
                 success: false,
-                error: 'Description is too short. Please provide more details.'
+                error: invalidVersionError(game.library)
             });
         }
 
-        // Validate library
-        if (!library) {
-            return res.status(400).json({
+        const current = getRuntime(game);
+        const check = checkUpgrade(game.code, current, version);
+
+        if (check.blocking && force !== true) {
+            return res.status(409).json({
                 success: false,
-                error: 'Library is required. Choose either "p5js" or "phaser".'
+                error: `This game uses APIs that don't exist in ${version}`,
+                ...check
             });
         }
 
-        const normalizedLibrary = library.toLowerCase();
-        if (!['p5js', 'phaser'].includes(normalizedLibrary)) {
+        game.runtime = { library: game.library, version };
+        game.updatedAt = new Date();
+        await game.save();
+
+        console.log(`📌 Game "${game.title}" moved from ${current.library} ${current.version} to ${version}`);
+
+        res.json({
+            success: true,
+            game: formatGame(game),
+            ...check
+        });
+
+    } catch (error) {
+        console.error('❌ Error changing engine version:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========== EXPORT ==========
+
+const EXPORT_FORMATS = ['html', 'zip'];
+
+/**
+ * Read export options from a query string or request body
+ *
+ * @param {Object} source - req.query or req.body
+ * @returns {{format: string, minify: boolean}} Export options (format may be invalid)
+ */
+function parseExportOptions(source) {
+    const { format = 'html', minify } = source;
+    return {
+        format,
+        minify: minify === true || minify === 'true' || minify === '1'
+    };
+}
+
+/**
+ * Metadata for exporting a saved game: title, prompt, author and share link
+ *
+ * @param {Object} game - Game document
+ * @returns {Promise<Object>} Export metadata
+ */
+async function getExportMetadata(game) {
+    const author = await User.findOne({ userId: game.userId }).lean();
+    const isShared = game.slug && (game.visibility === 'unlisted' || game.visibility === 'public');
+
+    return {
+        title: game.title,
+        description: game.description,
+        author: author ? author.name : null,
+        createdAt: game.createdAt,
+        updatedAt: game.updatedAt,
+        sourceUrl: isShared ? `${PUBLIC_BASE_URL}/play.html?share=${game.slug}` : null,
+        siteUrl: PUBLIC_BASE_URL
+    };
+}
+
+/**
+ * Build an export and send it as a download
+ *
+ * @param {Response} res - Express response object
+ * @param {string} code - Game code
+ * @param {{library: string, version: string}} runtime - Library and exact engine version
+ * @param {Object} meta - Export metadata
+ * @param {{format: string, minify: boolean}} options - Export options
+ */
+async function sendExport(res, code, runtime, meta, { format, minify }) {
+    const fileName = exportFileName(meta.title, runtime.library) + (minify ? '.min' : '');
+
+    if (format === 'zip') {
+        const zip = await buildExportZip(code, runtime, meta, { minify });
+        res.attachment(`${fileName}.zip`);
+        return res.send(zip);
+    }
+
+    const html = await buildStandaloneHTML(code, runtime, meta, { minify });
+    res.attachment(`${fileName}.html`);
+    res.send(html);
+}
+
+/**
+ * GET /api/games/:idOrSlug/export
+ * Download a saved game that plays offline, with the engine version from its runtime manifest inlined
+ * Works for the owner's games and for unlisted/public games
+ *
+ * @param {string} req.params.idOrSlug - Share slug or MongoDB ObjectId
+ * @param {string} [req.query.format='html'] - 'html' (one file) or 'zip' (index.html, game.js, LICENSE)
+ * @param {boolean} [req.query.minify=false] - Strip comments and whitespace from the game code
+ * @returns {File} HTML or zip attachment
+ */
+app.get('/api/games/:idOrSlug/export', async (req, res) => {
+    try {
+        const options = parseExportOptions(req.query);
+
+        if (!EXPORT_FORMATS.includes(options.format)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid library. Must be either "p5js" or "phaser".'
+                error: 'Invalid format. Must be either "html" or "zip".'
             });
         }
 
-        console.log(`🎮 Request: Generate ${normalizedLibrary} game: "${description}"`);
-
-        // Generate game code using AI
-        const startTime = performance.now();
-        const gameCode = await generateGame(description, normalizedLibrary);
-        const endTime = performance.now();
+        const game = await findSharedGame(req.params.idOrSlug, req);
 
-        console.log('✅ Game generated successfully!');
-        console.log(`⏱️ Generation time: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+        if (!game) {
+            return res.status(404).json({
+                success: false,
+                error: 'This game does not exist or is not shared'
+            });
+        }
 
-        res.json({
-            success: true,
-            code: gameCode,
-            library: normalizedLibrary
-        });
+        await sendExport(res, game.code, getRuntime(game), await getExportMetadata(game), options);
+        console.log(`📦 Exported game ${game._id} as ${options.format}${options.minify ? ' (minified)' : ''}`);
 
     } catch (error) {
-        console.error('❌ Server Error:', error.message);
+        console.error('❌ Error exporting game:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -544,75 +4314,150 @@ app.post('/api/generate', async (req, res) => {
 });
 
 /**
- * POST /api/generate-stream
- * Generate game code with real-time streaming
- * Uses Server-Sent Events (SSE) to stream code as it's generated
- * Public endpoint - no authentication required
- * 
+ * POST /api/export
+ * Export code from the editor, including games that were never saved
+ * If a saved game is given, its title, prompt and author are used as metadata
+ *
  * @param {Object} req.body - Request body
- * @param {string} req.body.description - Natural language game description
- * @param {string} req.body.library - Game library ('p5js' or 'phaser')
- * @returns {Stream} SSE stream of code chunks
+ * @param {string} req.body.code - Game code to export
+ * @param {string} req.body.library - Library used (see LIBRARIES in engines.js)
+ * @param {string} [req.body.version] - Engine version (defaults to the game's, or the latest for unsaved code)
+ * @param {string} [req.body.gameId] - Saved or shared game the code belongs to
+ * @param {string} [req.body.title] - Title for unsaved games
+ * @param {string} [req.body.format='html'] - 'html' or 'zip'
+ * @param {boolean} [req.body.minify=false] - Strip comments and whitespace from the game code
+ * @returns {File} HTML or zip attachment
  */
-app.post('/api/generate-stream', async (req, res) => {
+app.post('/api/export', async (req, res) => {
     try {
-        const { description, library } = req.body;
+        const { code, library, version, gameId, title } = req.body;
+        const options = parseExportOptions(req.body);
 
-        // Validate input
-        if (!description || description.trim().length < 5) {
+        if (typeof code !== 'string' || !code.trim()) {
             return res.status(400).json({
                 success: false,
-                error: 'Description is required and must be at least 5 characters.'
+                error: 'Missing required field: code'
             });
         }
 
-        const normalizedLibrary = (library || 'p5js').toLowerCase();
-        if (!['p5js', 'phaser'].includes(normalizedLibrary)) {
+        if (!isLibrary(library)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidLibraryError()
+            });
+        }
+
+        if (!EXPORT_FORMATS.includes(options.format)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid library. Must be either "p5js" or "phaser".'
+                error: 'Invalid format. Must be either "html" or "zip".'
             });
         }
 
-        console.log(`⚡ Streaming request: ${normalizedLibrary} - "${description}"`);
+        if (version && !isAvailableVersion(library, version)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidVersionError(library)
+            });
+        }
 
-        // Set up Server-Sent Events headers
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        res.setHeader('X-Accel-Buffering', 'no');  // Disable nginx buffering
+        let meta = {
+            title: typeof title === 'string' && title.trim() ? title.trim().slice(0, MAX_TITLE_LENGTH) : null,
+            siteUrl: PUBLIC_BASE_URL
+        };
+        let runtime = { library, version: version || latestVersion(library) };
 
-        // Stream game generation with callback for each chunk
-        await generateGameStreaming(description, normalizedLibrary, (data) => {
-            res.write(`data: ${JSON.stringify(data)}\n\n`);
-        });
+        if (gameId) {
+            const game = await findSharedGame(String(gameId), req);
+
+            if (!game) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'This game does not exist or is not shared'
+                });
+            }
+            meta = await getExportMetadata(game);
+            if (!version && game.library === library) runtime = getRuntime(game);
+        }
 
-        res.end();
+        await sendExport(res, code, runtime, meta, options);
+        console.log(`📦 Exported ${library} ${runtime.version} code as ${options.format}${options.minify ? ' (minified)' : ''}`);
 
     } catch (error) {
-        console.error('❌ Streaming Server Error:', error.message);
-        res.write(`data: ${JSON.stringify({
-            type: 'error',
+        console.error('❌ Error exporting code:', error);
+        res.status(500).json({
+            success: false,
             error: error.message
-        })}\n\n`);
-        res.end();
+        });
     }
 });
 
+// ========== CODE ASSISTANT CONVERSATIONS ==========
+
+// Assistant history is kept in the user's session, one conversation per game
+const MAX_CHAT_MESSAGES = 20;       // Messages replayed to the model (10 exchanges)
+const MAX_CHAT_CONVERSATIONS = 10;  // Games remembered per session
+
+/**
+ * Look up the assistant conversation for a game in the current session
+ * Creates it on first use and evicts the least recently used conversation
+ * once the session holds more than MAX_CHAT_CONVERSATIONS
+ * 
+ * @param {Request} req - Express request object (uses req.session)
+ * @param {string} conversationId - Client-generated ID identifying the game being edited
+ * @returns {{library: string, messages: Array<{role: string, content: string}>, updatedAt: number}} Conversation state
+ */
+function getConversation(req, conversationId) {
+    if (!req.session.conversations) {
+        req.session.conversations = {};
+    }
+
+    const conversations = req.session.conversations;
+
+    if (!conversations[conversationId]) {
+        conversations[conversationId] = { library: null, messages: [], updatedAt: Date.now() };
+
+        const ids = Object.keys(conversations);
+        if (ids.length > MAX_CHAT_CONVERSATIONS) {
+            const oldestId = ids.reduce((oldest, id) =>
+                conversations[id].updatedAt < conversations[oldest].updatedAt ? id : oldest
+            );
+            delete conversations[oldestId];
+        }
+    }
+
+    return conversations[conversationId];
+}
+
+/**
+ * Validate a client-supplied conversation ID
+ * 
+ * @param {*} conversationId - Value from the request
+ * @returns {boolean} True if the ID is a short string of word characters and dashes
+ */
+function isValidConversationId(conversationId) {
+    return typeof conversationId === 'string' && /^[\w-]{1,64}$/.test(conversationId);
+}
+
 /**
  * POST /api/chat
  * Interactive code assistant for modifying generated games
- * Public endpoint - no authentication required
+ * Public endpoint - no authentication required, rate limited (see rateLimit)
+ * 
+ * When a conversationId is supplied, previous turns for that game are replayed
+ * to the model so follow-up requests ("now make it faster") keep their context.
  * 
  * @param {Object} req.body - Request body
  * @param {string} req.body.message - User's question or request
  * @param {string} req.body.gameCode - Current game code for context
  * @param {string} req.body.library - Game library being used
+ * @param {string} [req.body.version] - Engine version the game runs on (defaults to the latest)
+ * @param {string} [req.body.conversationId] - ID of the game's conversation in this session
  * @returns {Object} AI assistant's response
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', rateLimit('chat'), async (req, res) => {
     try {
-        const { message, gameCode, library } = req.body;
+        const { message, gameCode, library, version, conversationId } = req.body;
 
         // Validate message
         if (!message || message.trim().length === 0) {
@@ -630,14 +4475,57 @@ app.post('/api/chat', async (req, res) => {
             });
         }
 
-        console.log(`💬 Chat request for ${library} game`);
+        if (!isLibrary(library)) {
+            return res.status(400).json({
+                success: false,
+                error: invalidLibraryError()
+            });
+        }
+
+        const engineVersion = resolveEngineVersion(library, version);
+        if (!engineVersion) {
+            return res.status(400).json({
+                success: false,
+                error: invalidVersionError(library)
+            });
+        }
+
+        if (conversationId !== undefined && !isValidConversationId(conversationId)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid conversation ID."
+            });
+        }
+
+        const conversation = conversationId ? getConversation(req, conversationId) : null;
+
+        // Switching engines mid-conversation makes earlier advice misleading
+        if (conversation && conversation.library && conversation.library !== library) {
+            conversation.messages = [];
+        }
+
+        const history = conversation ? conversation.messages : [];
+
+        console.log(`💬 Chat request for ${library} game (${history.length} messages of history)`);
 
         // Get AI response
-        const reply = await chatWithCodeAssistant(message, gameCode, library);
+        const reply = await chatWithCodeAssistant(message, gameCode, library, history, res.locals.recordUsage, engineVersion);
+
+        // Remember this exchange, keeping only the most recent messages
+        if (conversation) {
+            conversation.library = library;
+            conversation.messages = [
+                ...history,
+                { role: 'user', content: message },
+                { role: 'assistant', content: reply }
+            ].slice(-MAX_CHAT_MESSAGES);
+            conversation.updatedAt = Date.now();
+        }
 
         res.json({
             success: true,
-            reply
+            reply,
+            conversationId: conversationId || null
         });
 
     } catch (error) {
@@ -649,6 +4537,74 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/chat/:conversationId
+ * Retrieve the assistant conversation for a game in the current session
+ * Used by the play page to restore the chat after a reload
+ * 
+ * @param {string} req.params.conversationId - ID of the game's conversation
+ * @returns {Object} Conversation messages, oldest first (empty if unknown)
+ */
+app.get('/api/chat/:conversationId', (req, res) => {
+    const { conversationId } = req.params;
+
+    if (!isValidConversationId(conversationId)) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid conversation ID."
+        });
+    }
+
+    const conversation = req.session.conversations && req.session.conversations[conversationId];
+
+    res.json({
+        success: true,
+        messages: conversation ? conversation.messages : []
+    });
+});
+
+// ========== USAGE ==========
+
+/**
+ * GET /api/usage
+ * Today's AI usage and remaining limits for the current requester
+ * Counted per account when logged in, per IP address otherwise
+ * 
+ * @returns {Object} Token budget (null fields when disabled) and remaining requests per endpoint
+ */
+app.get('/api/usage', async (req, res) => {
+    try {
+        const requester = getRequester(req);
+        const budget = DAILY_TOKEN_BUDGETS[requester.type];
+        const tokensUsed = await getTokensUsedToday(requester.key);
+
+        const limits = {};
+        for (const endpoint of Object.keys(rateLimiters)) {
+            const limiter = rateLimiters[endpoint][requester.type];
+            limits[endpoint] = limiter ? limiter.peek(requester.key) : null;
+        }
+
+        res.json({
+            success: true,
+            usage: {
+                requester: requester.type,
+                tokensUsed,
+                tokenBudget: budget > 0 ? budget : null,
+                tokensRemaining: budget > 0 ? Math.max(0, budget - tokensUsed) : null,
+                resetsAt: nextBudgetReset(),
+                limits
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching usage:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // ========== STATIC FILE SERVING ==========
 
 /**
@@ -657,6 +4613,12 @@ app.post('/api/chat', async (req, res) => {
  */
 app.use(express.static(path.join(__dirname, '../../front-end/public')));
 
+/**
+ * Serve the vendored engines (/engines/<library>/<version>/<file>)
+ * Files never change for a version, so browsers may cache them for good
+ */
+app.use('/engines', express.static(path.join(__dirname, '../vendor'), { immutable: true, maxAge: '1y' }));
+
 // ========== START SERVER ==========
 
 /**
@@ -665,6 +4627,9 @@ app.use(express.static(path.join(__dirname, '../../front-end/public')));
  */
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
+    if (PUBLIC_BASE_URL !== `http://localhost:${PORT}`) {
+        console.log(`🌍 Public URL: ${PUBLIC_BASE_URL}`);
+    }
     console.log(`📝 Ready to generate games!`);
     console.log(`🔐 Google OAuth configured: ${isOAuthConfigured ? '✅' : '❌'}`);
     console.log(`🗄️  MongoDB URI: ✅`);
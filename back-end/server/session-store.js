@@ -0,0 +1,98 @@
+/**
+ * games.random - MongoDB Session Store
+ *
+ * An express-session store that keeps sessions in MongoDB through the app's
+ * existing Mongoose connection, so signed-in users stay signed in across
+ * restarts and across several server processes. Expired sessions are removed
+ * by a TTL index on the model (see sessionSchema in server.js).
+ *
+ * The model and express-session's Store class are passed in, so the store
+ * can be tested without a database.
+ *
+ * @module session-store
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // ms, for sessions whose cookie has no expiry
+
+/**
+ * When a session should expire
+ * @param {Object} sess - Session data (with its cookie)
+ * @returns {Date} Expiry date
+ */
+function expiryOf(sess) {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL);
+}
+
+/**
+ * Create an express-session store class backed by a Mongoose model
+ *
+ * @param {Function} Store - express-session's Store base class
+ * @param {mongoose.Model} StoredSession - Sessions model: {_id: session ID, session: JSON data, expires: Date}
+ * @returns {Function} Store class (MongooseSessionStore)
+ *
+ * @example
+ * const MongooseSessionStore = createSessionStore(session.Store, StoredSession);
+ * app.use(session({ store: new MongooseSessionStore(), secret, resave: false, saveUninitialized: false }));
+ */
+export function createSessionStore(Store, StoredSession) {
+    return class MongooseSessionStore extends Store {
+        /**
+         * Fetch a session
+         * @param {string} sid - Session ID
+         * @param {function(Error, Object=): void} callback - Receives the session, or nothing if missing/expired
+         */
+        get(sid, callback) {
+            StoredSession.findById(sid).lean()
+                .then(doc => {
+                    // The TTL monitor only runs once a minute, so check expiry here too
+                    if (!doc || doc.expires <= new Date()) {
+                        return callback(null, null);
+                    }
+                    callback(null, JSON.parse(doc.session));
+                })
+                .catch(callback);
+        }
+
+        /**
+         * Create or replace a session
+         * @param {string} sid - Session ID
+         * @param {Object} sess - Session data
+         * @param {function(Error=): void} [callback] - Called when saved
+         */
+        set(sid, sess, callback = () => { }) {
+            StoredSession.updateOne(
+                { _id: sid },
+                { session: JSON.stringify(sess), expires: expiryOf(sess) },
+                { upsert: true }
+            )
+                .then(() => callback())
+                .catch(callback);
+        }
+
+        /**
+         * Extend a session's expiry without rewriting its data (rolling sessions)
+         * @param {string} sid - Session ID
+         * @param {Object} sess - Session data (with the refreshed cookie)
+         * @param {function(Error=): void} [callback] - Called when updated
+         */
+        touch(sid, sess, callback = () => { }) {
+            StoredSession.updateOne({ _id: sid }, { expires: expiryOf(sess) })
+                .then(() => callback())
+                .catch(callback);
+        }
+
+        /**
+         * Delete a session (logout)
+         * @param {string} sid - Session ID
+         * @param {function(Error=): void} [callback] - Called when deleted
+         */
+        destroy(sid, callback = () => { }) {
+            StoredSession.deleteOne({ _id: sid })
+                .then(() => callback())
+                .catch(callback);
+        }
+    };
+}
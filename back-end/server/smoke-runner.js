@@ -0,0 +1,740 @@
+/**
+ * games.random - Headless Smoke Test Runner
+ *
+ * Runs generated game code against stub p5.js / Phaser / Canvas 2D environments
+ * for a few frames, to catch games that crash on load or in their first frames.
+ *
+ * Runs as a separate process started by validator.js, with Node's permission
+ * model enabled so the game code can't read or write files or spawn processes.
+ * Reads { code, library, frames, timeout } as JSON on stdin and writes the
+ * result { valid, stage, error, line } as JSON on stdout.
+ *
+ * @module smoke-runner
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import vm from 'vm';
+
+const GAME_FILENAME = 'game.js';
+
+// ========== STUB VALUES ==========
+
+/**
+ * Create a stand-in for any engine object
+ *
+ * Every property read returns another stub (cached, so assignments stick), calls
+ * and `new` return stubs, and stubs convert to 0 / '' in arithmetic and strings.
+ * This lets code like `this.add.text(0, 0, 'Hi').setOrigin(0.5)` run without
+ * modelling the whole engine.
+ *
+ * Game classes extending a stub (e.g. `class Player extends Phaser.GameObjects.Sprite`)
+ * get instances that are stubs too, but with the subclass methods in place.
+ *
+ * @param {Object} [values={}] - Real values for specific properties
+ * @param {Object} [proto] - Prototype whose properties take precedence over stub values
+ * @returns {Function} Stub proxy
+ */
+function createStub(values = {}, proto = null) {
+    const target = function () { };
+
+    const stub = new Proxy(target, {
+        get(_, prop, receiver) {
+            if (Object.prototype.hasOwnProperty.call(values, prop)) return values[prop];
+            if (proto && prop in proto) return Reflect.get(proto, prop, receiver);
+
+            if (prop === Symbol.toPrimitive) return hint => (hint === 'string' ? '' : 0);
+            if (prop === Symbol.iterator) return function* () { };
+            if (typeof prop === 'symbol') return undefined;
+            if (prop === 'then') return undefined; // Not a promise, so `await stub` resolves
+            if (prop === 'length') return 0;
+            if (prop === 'toString') return () => '';
+            if (prop === 'valueOf') return () => 0;
+
+            values[prop] = createStub();
+            return values[prop];
+        },
+        set(_, prop, value) {
+            values[prop] = value;
+            return true;
+        },
+        has() {
+            return true;
+        },
+        apply() {
+            return createStub();
+        },
+        construct(_, args, newTarget) {
+            return newTarget === stub ? createStub() : createStub({}, newTarget.prototype);
+        }
+    });
+
+    return stub;
+}
+
+/**
+ * Minimal in-memory Storage (localStorage) implementation
+ *
+ * @returns {Object} Storage-like object
+ */
+function createStorage() {
+    const items = {};
+    return {
+        getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; },
+        clear: () => Object.keys(items).forEach(key => delete items[key])
+    };
+}
+
+/**
+ * Browser globals shared by every engine
+ * Timers are accepted but never fire; only the frame loop is simulated
+ *
+ * @returns {Object} Properties to define on the game's global object
+ */
+function createBrowserGlobals() {
+    let nextTimerId = 1;
+    const timer = () => nextTimerId++;
+    const noop = () => { };
+
+    return {
+        console: { log: noop, info: noop, warn: noop, error: noop, debug: noop, table: noop },
+        document: createStub(),
+        navigator: createStub({ userAgent: 'games.random smoke test' }),
+        location: createStub({ href: 'about:blank', search: '', hash: '' }),
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        innerWidth: 1280,
+        innerHeight: 720,
+        devicePixelRatio: 1,
+        setTimeout: timer,
+        setInterval: timer,
+        clearTimeout: noop,
+        clearInterval: noop,
+        requestAnimationFrame: timer,
+        cancelAnimationFrame: noop,
+        addEventListener: noop,
+        removeEventListener: noop,
+        alert: noop,
+        Image: createStub(),
+        Audio: createStub(),
+        AudioContext: createStub(),
+        performance: { now: () => Date.now() }
+    };
+}
+
+// ========== P5.JS STUB ==========
+
+/**
+ * Simplified p5.Vector with the methods games commonly use
+ */
+class Vector {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x = 0, y = 0, z = 0) {
+        if (typeof x === 'object') return this.set(x.x, x.y, x.z);
+        this.x = x; this.y = y; this.z = z;
+        return this;
+    }
+
+    copy() { return new Vector(this.x, this.y, this.z); }
+    add(x, y = 0, z = 0) { if (typeof x === 'object') return this.add(x.x, x.y, x.z || 0); this.x += x; this.y += y; this.z += z; return this; }
+    sub(x, y = 0, z = 0) { if (typeof x === 'object') return this.sub(x.x, x.y, x.z || 0); this.x -= x; this.y -= y; this.z -= z; return this; }
+    mult(n) { this.x *= n; this.y *= n; this.z *= n; return this; }
+    div(n) { if (n !== 0) { this.x /= n; this.y /= n; this.z /= n; } return this; }
+    mag() { return Math.hypot(this.x, this.y, this.z); }
+    magSq() { return this.x * this.x + this.y * this.y + this.z * this.z; }
+    setMag(n) { return this.normalize().mult(n); }
+    normalize() { const m = this.mag(); return m === 0 ? this : this.div(m); }
+    limit(max) { return this.mag() > max ? this.setMag(max) : this; }
+    heading() { return Math.atan2(this.y, this.x); }
+    setHeading(a) { const m = this.mag(); this.x = Math.cos(a) * m; this.y = Math.sin(a) * m; return this; }
+    rotate(a) { return this.setHeading(this.heading() + a); }
+    dist(v) { return Math.hypot(v.x - this.x, v.y - this.y, (v.z || 0) - this.z); }
+    dot(v) { return this.x * v.x + this.y * v.y + this.z * (v.z || 0); }
+    lerp(v, amt) { this.x += (v.x - this.x) * amt; this.y += (v.y - this.y) * amt; return this; }
+    array() { return [this.x, this.y, this.z]; }
+    toString() { return `[${this.x}, ${this.y}, ${this.z}]`; }
+
+    static add(a, b) { return a.copy().add(b); }
+    static sub(a, b) { return a.copy().sub(b); }
+    static mult(v, n) { return v.copy().mult(n); }
+    static div(v, n) { return v.copy().div(n); }
+    static dist(a, b) { return a.dist(b); }
+    static fromAngle(a, len = 1) { return new Vector(Math.cos(a) * len, Math.sin(a) * len); }
+    static random2D() { return Vector.fromAngle(Math.random() * Math.PI * 2); }
+    static lerp(a, b, amt) { return a.copy().lerp(b, amt); }
+}
+
+// p5 functions that only draw or configure rendering
+const P5_DRAWING_FUNCTIONS = [
+    'noCanvas', 'background', 'clear', 'fill', 'noFill', 'stroke', 'noStroke', 'strokeWeight',
+    'strokeCap', 'strokeJoin', 'erase', 'noErase', 'rect', 'square', 'ellipse', 'circle', 'arc',
+    'line', 'point', 'quad', 'triangle', 'beginShape', 'endShape', 'vertex', 'curveVertex',
+    'bezierVertex', 'quadraticVertex', 'beginContour', 'endContour', 'bezier', 'curve', 'text',
+    'textSize', 'textAlign', 'textFont', 'textStyle', 'textLeading', 'textWrap', 'image',
+    'imageMode', 'tint', 'noTint', 'rectMode', 'ellipseMode', 'angleMode', 'colorMode', 'push',
+    'pop', 'translate', 'rotate', 'scale', 'shearX', 'shearY', 'resetMatrix', 'applyMatrix',
+    'smooth', 'noSmooth', 'blendMode', 'cursor', 'noCursor', 'loop', 'noLoop', 'redraw',
+    'loadPixels', 'updatePixels', 'filter', 'describe', 'saveCanvas', 'print', 'set',
+    'fullscreen', 'randomSeed', 'noiseSeed', 'noiseDetail', 'storeItem', 'removeItem',
+    'clearStorage', 'userStartAudio', 'soundFormats', 'outputVolume', 'save', 'copy', 'blend'
+];
+
+// p5 functions that return engine objects (images, sounds, fonts, DOM elements...)
+const P5_OBJECT_FUNCTIONS = [
+    'loadImage', 'loadSound', 'loadFont', 'loadJSON', 'loadStrings', 'loadTable', 'createGraphics',
+    'createImage', 'createButton', 'createDiv', 'createP', 'createSpan', 'createSlider',
+    'createInput', 'createSelect', 'createCheckbox', 'createElement', 'createImg', 'createAudio',
+    'select', 'selectAll', 'get', 'getAudioContext', 'lerpColor', 'drawingContext'
+];
+
+const P5_CONSTANTS = {
+    PI: Math.PI, TWO_PI: Math.PI * 2, HALF_PI: Math.PI / 2, QUARTER_PI: Math.PI / 4, TAU: Math.PI * 2,
+    DEGREES: 'degrees', RADIANS: 'radians', CENTER: 'center', LEFT: 'left', RIGHT: 'right',
+    TOP: 'top', BOTTOM: 'bottom', BASELINE: 'alphabetic', CORNER: 'corner', CORNERS: 'corners',
+    RADIUS: 'radius', CLOSE: 'close', OPEN: 'open', CHORD: 'chord', PIE: 'pie', POINTS: 0x0000,
+    LINES: 0x0001, TRIANGLES: 0x0004, TRIANGLE_FAN: 0x0006, TRIANGLE_STRIP: 0x0005,
+    QUADS: 'quads', QUAD_STRIP: 'quad_strip', RGB: 'rgb', HSB: 'hsb', HSL: 'hsl', BOLD: 'bold',
+    ITALIC: 'italic', NORMAL: 'normal', BOLDITALIC: 'bold italic', WORD: 'WORD', CHAR: 'CHAR',
+    ROUND: 'round', SQUARE: 'butt', PROJECT: 'square', MITER: 'miter', BEVEL: 'bevel',
+    BLEND: 'source-over', ADD: 'lighter', MULTIPLY: 'multiply', SCREEN: 'screen',
+    DIFFERENCE: 'difference', EXCLUSION: 'exclusion', REPLACE: 'copy', OVERLAY: 'overlay',
+    LIGHTEST: 'lighten', DARKEST: 'darken', REMOVE: 'destination-out', HAND: 'pointer',
+    ARROW: 'default', CROSS: 'crosshair', MOVE: 'move', TEXT: 'text', WAIT: 'wait', P2D: 'p2d',
+    WEBGL: 'webgl', THRESHOLD: 'threshold', GRAY: 'gray', INVERT: 'invert', BLUR: 'blur',
+    ERODE: 'erode', DILATE: 'dilate', POSTERIZE: 'posterize', OPAQUE: 'opaque', AUTO: 'auto',
+    BACKSPACE: 8, DELETE: 46, ENTER: 13, RETURN: 13, TAB: 9, ESCAPE: 27, SHIFT: 16,
+    CONTROL: 17, OPTION: 18, ALT: 18, UP_ARROW: 38, DOWN_ARROW: 40, LEFT_ARROW: 37, RIGHT_ARROW: 39
+};
+
+/**
+ * Build the global scope p5.js provides in global mode
+ *
+ * @param {Object} g - The game's global object (p5 state such as width lives here)
+ * @returns {Object} p5 globals
+ */
+function createP5Globals(g) {
+    const noop = () => { };
+    const globals = { ...P5_CONSTANTS };
+
+    P5_DRAWING_FUNCTIONS.forEach(name => { globals[name] = noop; });
+    P5_OBJECT_FUNCTIONS.forEach(name => { globals[name] = () => createStub(); });
+
+    // Random with p5's overloads: random(), random(max), random(min, max), random(array)
+    const random = (min, max) => {
+        if (Array.isArray(min)) return min[Math.floor(Math.random() * min.length)];
+        if (min === undefined) return Math.random();
+        if (max === undefined) return Math.random() * min;
+        return min + Math.random() * (max - min);
+    };
+
+    const nf = (num, left = 0, right) => {
+        const fixed = right === undefined ? String(num) : Number(num).toFixed(right);
+        const [whole, fraction] = fixed.split('.');
+        return whole.padStart(left, '0') + (fraction !== undefined ? '.' + fraction : '');
+    };
+
+    const color = (...args) => createStub({ levels: [Number(args[0]) || 0, Number(args[1]) || 0, Number(args[2]) || 0, 255] });
+
+    Object.assign(globals, {
+        // State (updated by createCanvas and the frame loop)
+        width: 100, height: 100, windowWidth: 1280, windowHeight: 720,
+        displayWidth: 1920, displayHeight: 1080, mouseX: 0, mouseY: 0, pmouseX: 0, pmouseY: 0,
+        winMouseX: 0, winMouseY: 0, movedX: 0, movedY: 0, mouseIsPressed: false, mouseButton: 'left',
+        key: '', keyCode: 0, keyIsPressed: false, frameCount: 0, deltaTime: 1000 / 60,
+        focused: true, touches: [],
+
+        // Canvas & environment
+        createCanvas: (w = 100, h = 100) => { g.width = w; g.height = h; return createStub(); },
+        resizeCanvas: (w, h) => { g.width = w; g.height = h; },
+        frameRate: fps => (fps === undefined ? 60 : undefined),
+        pixelDensity: () => 1,
+        displayDensity: () => 1,
+        isLooping: () => true,
+        millis: () => g.frameCount * (1000 / 60),
+        second: () => new Date().getSeconds(),
+        minute: () => new Date().getMinutes(),
+        hour: () => new Date().getHours(),
+        day: () => new Date().getDate(),
+        month: () => new Date().getMonth() + 1,
+        year: () => new Date().getFullYear(),
+        keyIsDown: () => false,
+        getItem: () => null,
+        textWidth: text => String(text).length * 6,
+        textAscent: () => 10,
+        textDescent: () => 3,
+
+        // Color
+        color,
+        red: () => 0, green: () => 0, blue: () => 0, alpha: () => 255,
+        hue: () => 0, saturation: () => 0, brightness: () => 0, lightness: () => 0,
+
+        // Math
+        random,
+        randomGaussian: (mean = 0, sd = 1) => mean + sd * (Math.random() * 2 - 1),
+        noise: () => 0.5,
+        constrain: (n, low, high) => Math.max(Math.min(n, high), low),
+        dist: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1),
+        map: (n, start1, stop1, start2, stop2) => start2 + ((n - start1) / (stop1 - start1)) * (stop2 - start2),
+        lerp: (start, stop, amt) => start + (stop - start) * amt,
+        mag: (x, y) => Math.hypot(x, y),
+        norm: (n, start, stop) => (n - start) / (stop - start),
+        sq: n => n * n,
+        sqrt: Math.sqrt, pow: Math.pow, abs: Math.abs, floor: Math.floor, ceil: Math.ceil,
+        round: (n, decimals = 0) => Math.round(n * 10 ** decimals) / 10 ** decimals,
+        min: (...args) => Math.min(...args.flat()),
+        max: (...args) => Math.max(...args.flat()),
+        exp: Math.exp, log: Math.log, sin: Math.sin, cos: Math.cos, tan: Math.tan,
+        asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+        degrees: r => (r * 180) / Math.PI,
+        radians: d => (d * Math.PI) / 180,
+        fract: n => n - Math.floor(n),
+        createVector: (x, y, z) => new Vector(x, y, z),
+
+        // Data
+        int: n => parseInt(n, 10),
+        float: n => parseFloat(n),
+        str: n => String(n),
+        boolean: n => Boolean(n),
+        nf, nfc: n => Number(n).toLocaleString('en-US'), nfs: nf, nfp: nf,
+        join: (list, separator) => list.join(separator),
+        split: (value, delim) => value.split(delim),
+        splitTokens: (value, delim = ' ') => value.split(new RegExp(`[${delim}]+`)).filter(Boolean),
+        trim: value => value.trim(),
+        append: (list, value) => { list.push(value); return list; },
+        shuffle: list => [...list].sort(() => Math.random() - 0.5),
+        sort: list => [...list].sort(),
+        reverse: list => list.reverse(),
+        concat: (a, b) => a.concat(b),
+        subset: (list, start, count) => list.slice(start, count === undefined ? undefined : start + count),
+        shorten: list => { list.pop(); return list; },
+        match: (value, regexp) => value.match(regexp),
+        hex: n => Number(n).toString(16).toUpperCase(),
+        unhex: n => parseInt(n, 16),
+        char: n => String.fromCharCode(n),
+        unchar: c => c.charCodeAt(0),
+
+        // p5 namespace (p5.Vector, p5.sound classes...)
+        p5: createStub({ Vector })
+    });
+
+    return globals;
+}
+
+/**
+ * Run a p5.js global-mode game: setup(), then draw() for a few frames,
+ * a SPACE key press and a click (to leave the start screen), then more frames
+ *
+ * @param {Object} g - The game's global object
+ * @param {number} frames - Number of frames to run before and after input
+ * @returns {Object|null} Entry point failure, or null if the game ran
+ */
+function runP5(g, frames) {
+    const missing = ['setup', 'draw'].filter(name => typeof g[name] !== 'function');
+    if (missing.length > 0) {
+        return {
+            stage: 'entry-points',
+            error: `Missing required p5.js function${missing.length > 1 ? 's' : ''}: ${missing.map(name => `${name}()`).join(', ')}`
+        };
+    }
+
+    const frame = () => {
+        g.frameCount++;
+        g.draw();
+    };
+
+    if (typeof g.preload === 'function') g.preload();
+    g.setup();
+
+    for (let i = 0; i < frames; i++) frame();
+
+    // Simulate starting the game from its start screen
+    g.key = ' ';
+    g.keyCode = 32;
+    g.keyIsPressed = true;
+    if (typeof g.keyPressed === 'function') g.keyPressed();
+    g.keyIsPressed = false;
+    if (typeof g.keyReleased === 'function') g.keyReleased();
+
+    g.mouseX = g.width / 2;
+    g.mouseY = g.height / 2;
+    if (typeof g.mousePressed === 'function') g.mousePressed();
+    if (typeof g.mouseClicked === 'function') g.mouseClicked();
+
+    for (let i = 0; i < frames; i++) frame();
+
+    return null;
+}
+
+// ========== PHASER STUB ==========
+
+// Systems Phaser injects into every scene
+const PHASER_SCENE_SYSTEMS = [
+    'sys', 'game', 'add', 'make', 'physics', 'matter', 'input', 'cameras', 'time', 'tweens',
+    'sound', 'load', 'scene', 'anims', 'children', 'registry', 'data', 'events', 'scale',
+    'textures', 'lights', 'plugins', 'renderer'
+];
+
+/**
+ * Build the Phaser namespace
+ * Phaser.Game records the configs it was created with; everything not
+ * modelled explicitly is a stub
+ *
+ * @param {Array<Object>} games - Receives each config passed to new Phaser.Game()
+ * @returns {Object} Phaser globals
+ */
+function createPhaserGlobals(games) {
+    class Scene {
+        constructor(config) {
+            PHASER_SCENE_SYSTEMS.forEach(name => { this[name] = createStub(); });
+            this.scene = createStub({ key: typeof config === 'string' ? config : (config && config.key) || 'default' });
+        }
+    }
+
+    class Game {
+        constructor(config) {
+            games.push(config);
+            this.config = config;
+            PHASER_SCENE_SYSTEMS.forEach(name => { this[name] = createStub(); });
+        }
+    }
+
+    const between = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+    const distance = (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1);
+    const angle = (x1, y1, x2, y2) => Math.atan2(y2 - y1, x2 - x1);
+
+    const PhaserMath = createStub({
+        Between: between,
+        FloatBetween: (min, max) => min + Math.random() * (max - min),
+        Clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+        Linear: (p0, p1, t) => p0 + (p1 - p0) * t,
+        DegToRad: d => (d * Math.PI) / 180,
+        RadToDeg: r => (r * 180) / Math.PI,
+        Wrap: (value, min, max) => { const range = max - min; return min + ((((value - min) % range) + range) % range); },
+        Distance: createStub({ Between: distance }),
+        Angle: createStub({ Between: angle }),
+        RND: createStub({
+            between,
+            integerInRange: between,
+            realInRange: (min, max) => min + Math.random() * (max - min),
+            pick: list => list[Math.floor(Math.random() * list.length)],
+            frac: () => Math.random()
+        }),
+        Vector2: Vector
+    });
+
+    return {
+        Phaser: createStub({
+            Game,
+            Scene,
+            AUTO: 0,
+            CANVAS: 1,
+            WEBGL: 2,
+            HEADLESS: 3,
+            Math: PhaserMath
+        })
+    };
+}
+
+/**
+ * Run the first scene of the first Phaser game: init(), preload(), create(),
+ * then update() for a few frames
+ *
+ * @param {Object} g - The game's global object
+ * @param {Array<Object>} games - Configs passed to new Phaser.Game()
+ * @param {number} frames - Number of update() frames to run
+ * @returns {Object|null} Entry point failure, or null if the game ran
+ */
+function runPhaser(g, games, frames) {
+    if (games.length === 0) {
+        return { stage: 'entry-points', error: 'No Phaser game was created. Create one with new Phaser.Game(config).' };
+    }
+
+    const config = games[0];
+    const sceneConfig = config && (Array.isArray(config.scene) ? config.scene[0] : config.scene);
+    if (!sceneConfig) {
+        return { stage: 'entry-points', error: 'The Phaser game config has no scene.' };
+    }
+
+    // Scenes are either classes extending Phaser.Scene or { preload, create, update } objects
+    let scene;
+    let methods;
+    if (typeof sceneConfig === 'function') {
+        scene = new sceneConfig();
+        methods = scene;
+    } else {
+        scene = new g.Phaser.Scene(sceneConfig.key);
+        methods = sceneConfig;
+    }
+
+    if (typeof methods.create !== 'function') {
+        return { stage: 'entry-points', error: 'The Phaser scene has no create() method.' };
+    }
+
+    if (typeof methods.init === 'function') methods.init.call(scene, {});
+    if (typeof methods.preload === 'function') methods.preload.call(scene);
+    methods.create.call(scene);
+
+    if (typeof methods.update === 'function') {
+        for (let i = 0; i < frames; i++) {
+            methods.update.call(scene, i * (1000 / 60), 1000 / 60);
+        }
+    }
+
+    return null;
+}
+
+// ========== CANVAS 2D STUB ==========
+
+/**
+ * Build the page a plain Canvas 2D game runs in: the #gameCanvas element, with
+ * event listeners and animation frame callbacks recorded so the runner can drive them
+ *
+ * @param {{listeners: Object<string, Function[]>, frames: Function[]}} page - Receives listeners by event type and pending frame callbacks
+ * @returns {Object} Canvas globals (overriding the shared browser globals)
+ */
+function createCanvasGlobals(page) {
+    const addEventListener = (type, handler) => {
+        if (typeof handler === 'function') (page.listeners[type] = page.listeners[type] || []).push(handler);
+    };
+    const removeEventListener = () => { };
+
+    const rect = { left: 0, top: 0, x: 0, y: 0, right: 800, bottom: 600, width: 800, height: 600 };
+    const context = createStub({ measureText: text => createStub({ width: String(text).length * 8 }) });
+    const canvas = createStub({
+        width: 800,
+        height: 600,
+        getContext: () => context,
+        getBoundingClientRect: () => rect,
+        addEventListener,
+        removeEventListener
+    });
+    context.canvas = canvas;
+
+    const findElement = selector => (/^#?gameCanvas$|^canvas$/.test(selector) ? canvas : createStub());
+
+    return {
+        document: createStub({
+            getElementById: findElement,
+            querySelector: findElement,
+            addEventListener,
+            removeEventListener
+        }),
+        addEventListener,
+        removeEventListener,
+        requestAnimationFrame: callback => page.frames.push(callback)
+    };
+}
+
+/**
+ * Call the listeners registered for an event
+ *
+ * @param {Object} page - Page from createCanvasGlobals()
+ * @param {string} type - Event type
+ * @param {Object} [props={}] - Event properties
+ */
+function dispatchEvent(page, type, props = {}) {
+    const event = { type, preventDefault: () => { }, stopPropagation: () => { }, repeat: false, ...props };
+    (page.listeners[type] || []).forEach(handler => handler(event));
+}
+
+/**
+ * Run a plain Canvas 2D game: the animation frames it requested for a few
+ * frames, a SPACE key press and a click (to leave the start screen), then more frames
+ *
+ * @param {Object} page - Page from createCanvasGlobals()
+ * @param {number} frames - Number of frames to run before and after input
+ * @returns {Object|null} Entry point failure, or null if the game ran
+ */
+function runCanvas(page, frames) {
+    if (page.frames.length === 0) {
+        return {
+            stage: 'entry-points',
+            error: 'The game never started its loop. Call requestAnimationFrame(gameLoop) from init(), and call init() at the end of the code.'
+        };
+    }
+
+    let time = 0;
+    const frame = () => {
+        time += 1000 / 60;
+        page.frames.splice(0).forEach(callback => callback(time));
+    };
+
+    for (let i = 0; i < frames; i++) frame();
+
+    // Simulate starting the game from its start screen
+    const space = { key: ' ', code: 'Space', keyCode: 32 };
+    dispatchEvent(page, 'keydown', space);
+    dispatchEvent(page, 'keyup', space);
+
+    const click = { clientX: 400, clientY: 300, offsetX: 400, offsetY: 300, button: 0 };
+    ['mousedown', 'mouseup', 'click', 'pointerdown'].forEach(type => dispatchEvent(page, type, click));
+
+    for (let i = 0; i < frames; i++) frame();
+
+    return null;
+}
+
+// ========== RUNNER ==========
+
+/**
+ * Stub environment of each library
+ * Each entry adds the library's globals to the game's global object and
+ * returns the function that drives the loaded game for a number of frames
+ */
+const RUNTIMES = {
+    p5js: g => {
+        Object.assign(g, createP5Globals(g));
+        return frames => runP5(g, frames);
+    },
+    phaser: g => {
+        const games = [];
+        Object.assign(g, createPhaserGlobals(games));
+        return frames => runPhaser(g, games, frames);
+    },
+    canvas: g => {
+        const page = { listeners: {}, frames: [] };
+        Object.assign(g, createCanvasGlobals(page));
+        return frames => runCanvas(page, frames);
+    }
+};
+
+/**
+ * Find the game code line an error was thrown from
+ *
+ * @param {Object} error - Error thrown inside the VM
+ * @returns {number|null} 1-based line in the game code
+ */
+function errorLine(error) {
+    const match = String(error && error.stack).match(new RegExp(`${GAME_FILENAME.replace('.', '\\.')}:(\\d+)`));
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Describe an error thrown by game code
+ *
+ * @param {Object} error - Thrown value
+ * @param {number} timeout - Time limit that applied (ms)
+ * @returns {string} Readable message
+ */
+function errorMessage(error, timeout) {
+    if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        return `The game code did not finish running within ${timeout}ms (possible infinite loop).`;
+    }
+    if (error && error.name && error.message !== undefined) {
+        return `${error.name}: ${error.message}`;
+    }
+    return `Uncaught ${String(error)}`;
+}
+
+// ========== SANDBOX ==========
+
+/**
+ * Source of the stub environment, evaluated inside the game's context
+ *
+ * Every stub, Proxy, timer and engine global is created by this code running in
+ * the context, so each function the game can reach belongs to the context's
+ * realm. A function made by the runner would hand the game the runner's realm:
+ * `setTimeout.constructor('return process')()` on it returns the real `process`.
+ *
+ * The functions above are written as ordinary module code and copied in by
+ * source, so they must only use each other and the constants listed here.
+ * The context exposes `__smokeTest` with install(), run() and describe(), which
+ * all return JSON strings so nothing but primitives crosses back to the runner.
+ */
+const ENVIRONMENT_SOURCE = `(() => {
+    const stringify = JSON.stringify;
+    const GAME_FILENAME = ${JSON.stringify(GAME_FILENAME)};
+    const P5_DRAWING_FUNCTIONS = ${JSON.stringify(P5_DRAWING_FUNCTIONS)};
+    const P5_OBJECT_FUNCTIONS = ${JSON.stringify(P5_OBJECT_FUNCTIONS)};
+    const P5_CONSTANTS = ${JSON.stringify(P5_CONSTANTS)};
+    const PHASER_SCENE_SYSTEMS = ${JSON.stringify(PHASER_SCENE_SYSTEMS)};
+
+    ${[
+        createStub, createStorage, createBrowserGlobals, Vector, createP5Globals, runP5,
+        createPhaserGlobals, runPhaser, createCanvasGlobals, dispatchEvent, runCanvas,
+        errorLine, errorMessage
+    ].join('\n\n')}
+
+    const RUNTIMES = { ${Object.entries(RUNTIMES).map(([name, install]) => `${name}: ${install}`).join(', ')} };
+    let run = null;
+
+    Object.defineProperty(globalThis, '__smokeTest', {
+        value: Object.freeze({
+            install(library) {
+                Object.assign(globalThis, createBrowserGlobals());
+                globalThis.window = globalThis;
+                globalThis.self = globalThis;
+                run = RUNTIMES[library](globalThis);
+            },
+            run: frames => stringify(run(frames)),
+            describe(error, timeout) {
+                try {
+                    return stringify({ valid: false, stage: 'smoke-run', error: errorMessage(error, timeout), line: errorLine(error) });
+                } catch (describeError) {
+                    return stringify({ valid: false, stage: 'smoke-run', error: 'The game threw a value that could not be read.', line: null });
+                }
+            }
+        })
+    });
+})();`;
+
+/**
+ * Load the game into a fresh stub environment and run it for a few frames
+ *
+ * @param {string} code - Game code
+ * @param {string} library - Library name (a RUNTIMES key)
+ * @param {number} frames - Frames to simulate
+ * @param {number} timeout - Time limit for loading and for the frame loop (ms)
+ * @returns {{valid: boolean, stage?: string, error?: string, line?: number|null}} Result
+ */
+function smokeTest(code, library, frames, timeout) {
+    if (!Object.hasOwn(RUNTIMES, library)) {
+        return { valid: false, stage: 'smoke-run', error: `No smoke test environment for library "${library}".`, line: null };
+    }
+
+    // A null-prototype global, so `this.constructor` doesn't lead back to the runner's realm either
+    const context = vm.createContext(Object.create(null));
+    vm.runInContext(ENVIRONMENT_SOURCE, context, { filename: 'smoke-environment.js' });
+    vm.runInContext(`__smokeTest.install(${JSON.stringify(library)})`, context);
+
+    try {
+        vm.runInContext(code, context, { filename: GAME_FILENAME, timeout });
+
+        // Frames run through the VM too, so the timeout covers infinite loops in draw()/update()
+        const failure = JSON.parse(vm.runInContext(`__smokeTest.run(${JSON.stringify(frames)})`, context, { filename: 'smoke-test.js', timeout }));
+
+        if (failure) {
+            return { valid: false, stage: failure.stage, error: failure.error, line: null };
+        }
+
+        return { valid: true };
+
+    } catch (error) {
+        // Errors belong to the game's realm (even the VM's timeout error), so they're read there too
+        context.__smokeError = error;
+        return JSON.parse(vm.runInContext(`__smokeTest.describe(__smokeError, ${JSON.stringify(timeout)})`, context, { timeout }));
+    }
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+    let result;
+
+    try {
+        const { code, library, frames = 5, timeout = 2000 } = JSON.parse(input);
+        result = smokeTest(code, library, frames, timeout);
+    } catch (error) {
+        result = { valid: false, stage: 'smoke-run', error: `Smoke test failed to start: ${error.message}`, line: null };
+    }
+
+    process.stdout.write(JSON.stringify(result));
+});
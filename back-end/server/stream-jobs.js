@@ -0,0 +1,217 @@
+/**
+ * games.random - Resumable Generation Streams
+ *
+ * Keeps a streaming generation separate from the HTTP response that started
+ * it. Each generation is a job with an ID whose Server-Sent Events are
+ * numbered and buffered, so a client that loses its connection can reconnect
+ * with Last-Event-ID and continue from the last chunk it saw.
+ *
+ * A job nobody is listening to is cancelled after a grace period, which aborts
+ * the model request so a closed tab stops spending tokens, unless it was
+ * started as a background job. Finished jobs are kept for a while so a client
+ * that missed the end can still fetch it. Each job also tracks its status
+ * ('queued', 'running', 'complete', 'error' or 'cancelled') from its events.
+ *
+ * Jobs live in this process only, like the rate limiter's buckets.
+ *
+ * @module stream-jobs
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { randomUUID } from 'crypto';
+
+// Events after which no more events are sent
+const FINAL_EVENTS = ['complete', 'error', 'cancelled'];
+
+/**
+ * A running or recently finished generation
+ *
+ * @typedef {Object} StreamJob
+ * @property {string} id - Job ID, sent to the client in the first ('job') event
+ * @property {AbortSignal} signal - Aborted when the job is cancelled; pass it to the model request
+ * @property {string} status - 'queued', 'running', 'complete', 'error' or 'cancelled'
+ * @property {number} position - Place in the generation queue while queued (0 otherwise)
+ * @property {Object|null} result - The 'complete' event, once there is one
+ * @property {string|null} error - Error message of a failed job
+ * @property {Date} createdAt - When the job was created
+ * @property {Date|null} finishedAt - When the job finished
+ * @property {function(Object): void} push - Number, buffer and send an event to every listener
+ * @property {function(Object, number=): void} subscribe - Send buffered events after an event ID to a response, then live ones
+ * @property {function(): boolean} cancel - Abort the job; false if it had already finished
+ * @property {function(): void} finish - Mark the job done and close every listener
+ */
+
+/**
+ * Write one numbered event to an SSE response
+ * @param {Object} res - HTTP response with SSE headers set
+ * @param {{id: number, data: Object}} event - Buffered event
+ */
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * Create a registry of resumable streams
+ *
+ * @param {Object} options - Registry options
+ * @param {number} options.resumeGraceMs - How long a job with no listeners waits for a reconnect before it is cancelled
+ * @param {number} options.retainMs - How long a finished job stays available for reconnects
+ * @returns {{create: function(Object=): StreamJob, get: function(string): (StreamJob|null)}} Registry
+ *
+ * @example
+ * const streams = createStreamRegistry({ resumeGraceMs: 20000, retainMs: 120000 });
+ * const job = streams.create();
+ * job.subscribe(res);
+ * job.push({ type: 'job', jobId: job.id });
+ * await generateGameStreaming(description, library, job.push, onUsage, version, job.signal).catch(() => {});
+ * job.finish();
+ */
+export function createStreamRegistry({ resumeGraceMs, retainMs }) {
+    const jobs = new Map();
+
+    function create({ background = false, retainMs: keepFor = retainMs } = {}) {
+        const controller = new AbortController();
+        const listeners = new Set();
+        let events = [];        // Every event except superseded chunks
+        let lastEventId = 0;
+        let finished = false;
+        let graceTimer = null;
+
+        // Cancel the job if nobody reconnects in time (background jobs run to the end regardless)
+        function startGraceTimer() {
+            if (background) return;
+            clearTimeout(graceTimer);
+            graceTimer = setTimeout(() => {
+                if (!listeners.size && job.cancel()) {
+                    console.log(`🔌 Stream ${job.id} abandoned; cancelled generation`);
+                }
+            }, resumeGraceMs);
+            graceTimer.unref();
+        }
+
+        // Number, buffer and send an event
+        function record(data) {
+            const event = { id: ++lastEventId, data };
+
+            // Each chunk carries the full text so far, so only the latest one is worth replaying
+            if (data.type === 'chunk') {
+                events = events.filter(buffered => buffered.data.type !== 'chunk');
+            }
+            events.push(event);
+
+            if (data.type === 'queued') {
+                job.position = data.position;
+            } else if (data.type !== 'job') {
+                job.position = 0;
+
+                if (data.type === 'complete') {
+                    job.status = 'complete';
+                    job.result = data;
+                } else if (data.type === 'error' || data.type === 'cancelled') {
+                    job.status = data.type;
+                    job.error = data.error || null;
+                } else {
+                    job.status = 'running';
+                }
+            }
+
+            for (const res of listeners) {
+                writeEvent(res, event);
+            }
+        }
+
+        const job = {
+            id: randomUUID(),
+            signal: controller.signal,
+            status: 'queued',
+            position: 0,
+            result: null,
+            error: null,
+            createdAt: new Date(),
+            finishedAt: null,
+
+            push(data) {
+                if (!finished) {
+                    record(data);
+                }
+            },
+
+            subscribe(res, afterEventId = 0) {
+                for (const event of events) {
+                    if (event.id > afterEventId) {
+                        writeEvent(res, event);
+                    }
+                }
+
+                if (finished) {
+                    res.end();
+                    return;
+                }
+
+                clearTimeout(graceTimer);
+                listeners.add(res);
+                res.on('close', () => {
+                    listeners.delete(res);
+                    if (!listeners.size && !finished) {
+                        startGraceTimer();
+                    }
+                });
+            },
+
+            cancel() {
+                if (finished || controller.signal.aborted) return false;
+                controller.abort();
+                return true;
+            },
+
+            finish() {
+                if (finished) return;
+                finished = true;
+                job.finishedAt = new Date();
+                clearTimeout(graceTimer);
+
+                // Generation code normally ends with a final event; make sure listeners always get one
+                const last = events[events.length - 1];
+                if (!last || !FINAL_EVENTS.includes(last.data.type)) {
+                    record(controller.signal.aborted
+                        ? { type: 'cancelled' }
+                        : { type: 'error', error: 'Generation ended unexpectedly' });
+                }
+
+                for (const res of listeners) {
+                    res.end();
+                }
+                listeners.clear();
+
+                setTimeout(() => jobs.delete(job.id), keepFor).unref();
+            }
+        };
+
+        jobs.set(job.id, job);
+
+        // Nobody may ever connect, so the reconnect grace period starts now
+        startGraceTimer();
+        return job;
+    }
+
+    return {
+        /**
+         * Start a new job
+         * @param {Object} [options] - Job options
+         * @param {boolean} [options.background=false] - Keep running with nobody connected
+         * @param {number} [options.retainMs] - How long to keep the job once finished (defaults to the registry's)
+         * @returns {StreamJob} Job with a fresh ID
+         */
+        create,
+
+        /**
+         * Find a running or recently finished job
+         * @param {string} id - Job ID
+         * @returns {StreamJob|null} Job, or null if unknown or expired
+         */
+        get(id) {
+            return jobs.get(id) || null;
+        }
+    };
+}
@@ -0,0 +1,122 @@
+/**
+ * games.random - Class Access Tests
+ *
+ * Runs the checks against in-memory classes and submissions.
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClassAccess } from '../class-access.js';
+
+const CLASS_A = 'a'.repeat(24);
+const CLASS_B = 'b'.repeat(24);
+
+const classrooms = [
+    { _id: CLASS_A, teacherId: 'teacher-a', students: [{ userId: 'ann' }, { userId: 'bob' }] },
+    { _id: CLASS_B, teacherId: 'teacher-b', students: [{ userId: 'ann' }] }
+];
+
+const submissions = [
+    { _id: '1'.repeat(24), classId: CLASS_A, studentId: 'ann', gameId: 'ann-game' },
+    { _id: '2'.repeat(24), classId: CLASS_A, studentId: 'bob', gameId: 'bob-game' },
+    { _id: '3'.repeat(24), classId: CLASS_B, studentId: 'ann', gameId: 'ann-other-game' }
+];
+
+const { requireClassRole, findClassSubmission } = createClassAccess({
+    Classroom: {
+        findById: async id => classrooms.find(classroom => classroom._id === id) || null
+    },
+    Submission: {
+        findOne: query => ({
+            lean: async () => submissions.find(submission =>
+                Object.entries(query).every(([field, value]) => submission[field] === value)) || null
+        })
+    },
+    isValidId: id => /^[0-9a-f]{24}$/.test(id)
+});
+
+/**
+ * Run the role middleware for a user and class
+ *
+ * @param {Array<string>} roles - Roles the route allows
+ * @param {string} userId - Signed-in user
+ * @param {string} classId - Class in the URL
+ * @returns {Promise<{req: Object, status: number, body: Object}>} Request (with classroom/classRole when allowed) and response
+ */
+async function checkRole(roles, userId, classId) {
+    const req = { user: { id: userId }, params: { classId } };
+    const result = { req, status: null, body: null };
+    const res = {
+        status(code) { result.status = code; return this; },
+        json(body) { result.body = body; return this; }
+    };
+
+    await requireClassRole(...roles)(req, res, () => { result.status = 'next'; });
+    return result;
+}
+
+/**
+ * Look up a submission as a user would through a class URL
+ *
+ * @param {string} userId - Signed-in user
+ * @param {string} classId - Class in the URL
+ * @param {string} submissionId - Submission in the URL
+ * @returns {Promise<Object|null>} Submission, or null when the role check or lookup refuses
+ */
+async function openSubmission(userId, classId, submissionId) {
+    const { req, status } = await checkRole(['teacher', 'student'], userId, classId);
+    if (status !== 'next') return null;
+
+    req.params.submissionId = submissionId;
+    return findClassSubmission(req);
+}
+
+test('members get their role for the route', async () => {
+    const teacher = await checkRole(['teacher'], 'teacher-a', CLASS_A);
+    assert.equal(teacher.status, 'next');
+    assert.equal(teacher.req.classRole, 'teacher');
+    assert.equal(teacher.req.classroom._id, CLASS_A);
+
+    const student = await checkRole(['teacher', 'student'], 'bob', CLASS_A);
+    assert.equal(student.status, 'next');
+    assert.equal(student.req.classRole, 'student');
+});
+
+test('outsiders get a 404 whether or not the class exists', async () => {
+    for (const classId of [CLASS_B, 'c'.repeat(24), 'not-an-id']) {
+        const { status, body, req } = await checkRole(['teacher', 'student'], 'bob', classId);
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Class not found');
+        assert.equal(req.classroom, undefined);
+    }
+
+    // Teaching one class gives nothing in another
+    assert.equal((await checkRole(['teacher'], 'teacher-a', CLASS_B)).status, 404);
+});
+
+test('members without an allowed role get a 403', async () => {
+    const { status, body } = await checkRole(['teacher'], 'ann', CLASS_A);
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Only the class teacher can do this');
+    assert.equal((await checkRole(['student'], 'teacher-a', CLASS_A)).status, 403);
+});
+
+test('students only see their own submissions', async () => {
+    assert.equal((await openSubmission('ann', CLASS_A, '1'.repeat(24))).gameId, 'ann-game');
+    assert.equal(await openSubmission('ann', CLASS_A, '2'.repeat(24)), null);
+    assert.equal(await openSubmission('bob', CLASS_A, '1'.repeat(24)), null);
+});
+
+test('teachers see every submission in their class and none in others', async () => {
+    assert.equal((await openSubmission('teacher-a', CLASS_A, '1'.repeat(24))).gameId, 'ann-game');
+    assert.equal((await openSubmission('teacher-a', CLASS_A, '2'.repeat(24))).gameId, 'bob-game');
+
+    // Another class's submission, through this class's URL or the other class's
+    assert.equal(await openSubmission('teacher-a', CLASS_A, '3'.repeat(24)), null);
+    assert.equal(await openSubmission('teacher-a', CLASS_B, '3'.repeat(24)), null);
+    assert.equal(await openSubmission('teacher-a', CLASS_A, 'not-an-id'), null);
+});
@@ -0,0 +1,34 @@
+/**
+ * games.random - CORS Policy Tests
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCorsPolicy } from '../cors-policy.js';
+
+const SITE = 'https://games.example.org';
+
+test('the site and listed origins get credentials, others are refused', () => {
+    const corsPolicy = createCorsPolicy(SITE, ['https://lms.example.org']);
+
+    assert.deepEqual(corsPolicy(SITE), { origin: true, credentials: true });
+    assert.deepEqual(corsPolicy('https://lms.example.org'), { origin: true, credentials: true });
+    assert.deepEqual(corsPolicy('https://evil.example.com'), { origin: false, credentials: false });
+    assert.deepEqual(corsPolicy('https://lms.example.org.evil.example.com'), { origin: false, credentials: false });
+});
+
+test('requests without an Origin header pass through', () => {
+    assert.deepEqual(createCorsPolicy(SITE, [])(undefined), { origin: true, credentials: true });
+});
+
+test("'*' lets any site call the API, but never with credentials", () => {
+    const corsPolicy = createCorsPolicy(SITE, ['*', 'https://lms.example.org']);
+
+    assert.deepEqual(corsPolicy('https://evil.example.com'), { origin: '*', credentials: false });
+    assert.deepEqual(corsPolicy('null'), { origin: '*', credentials: false });
+    assert.deepEqual(corsPolicy('https://lms.example.org'), { origin: true, credentials: true });
+    assert.deepEqual(corsPolicy(SITE), { origin: true, credentials: true });
+});
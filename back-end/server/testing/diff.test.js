@@ -0,0 +1,71 @@
+/**
+ * games.random - Line Diff Tests
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines } from '../diff.js';
+
+/**
+ * Rebuild both texts from a diff
+ *
+ * @param {Array<Object>} lines - Diff lines
+ * @returns {{oldText: string, newText: string}} Texts on each side of the diff
+ */
+function sides(lines) {
+    return {
+        oldText: lines.filter(line => line.type !== 'insert').map(line => line.text).join('\n'),
+        newText: lines.filter(line => line.type !== 'delete').map(line => line.text).join('\n')
+    };
+}
+
+test('identical texts have only equal lines', () => {
+    const diff = diffLines('a\nb\nc', 'a\nb\nc');
+
+    assert.equal(diff.added, 0);
+    assert.equal(diff.removed, 0);
+    assert.deepEqual(diff.lines.map(line => line.type), ['equal', 'equal', 'equal']);
+});
+
+test('changed lines keep their line numbers on both sides', () => {
+    const diff = diffLines('let x = 0;\nfunction draw() {\n    x++;\n}', 'let x = 0;\nlet y = 0;\nfunction draw() {\n    y++;\n}');
+
+    assert.equal(diff.added, 2);
+    assert.equal(diff.removed, 1);
+    assert.deepEqual(diff.lines, [
+        { type: 'equal', text: 'let x = 0;', oldLine: 1, newLine: 1 },
+        { type: 'insert', text: 'let y = 0;', oldLine: null, newLine: 2 },
+        { type: 'equal', text: 'function draw() {', oldLine: 2, newLine: 3 },
+        { type: 'delete', text: '    x++;', oldLine: 3, newLine: null },
+        { type: 'insert', text: '    y++;', oldLine: null, newLine: 4 },
+        { type: 'equal', text: '}', oldLine: 4, newLine: 5 }
+    ]);
+});
+
+test('diffs are minimal and rebuild both texts', () => {
+    const cases = [
+        ['a\nb\nc\na\nb\nb\na', 'c\nb\na\nb\na\nc', 5],     // Myers' paper example: ABCABBA -> CBABAC
+        ['', 'a\nb', 3],                                    // '' splits into one empty line
+        ['a\nb', '', 3],
+        ['x\ny\nz', 'p\nq', 5]
+    ];
+
+    cases.forEach(([oldText, newText, edits]) => {
+        const diff = diffLines(oldText, newText);
+        assert.equal(diff.added + diff.removed, edits, `${JSON.stringify(oldText)} -> ${JSON.stringify(newText)}`);
+        assert.deepEqual(sides(diff.lines), { oldText, newText });
+    });
+});
+
+test('large rewrites diff without running out of memory', () => {
+    const oldText = Array.from({ length: 5000 }, (_, i) => `old line ${i}`).join('\n');
+    const newText = Array.from({ length: 5000 }, (_, i) => `new line ${i}`).join('\n');
+    const diff = diffLines(oldText, newText);
+
+    assert.equal(diff.added, 5000);
+    assert.equal(diff.removed, 5000);
+    assert.deepEqual(sides(diff.lines), { oldText, newText });
+});
@@ -0,0 +1,121 @@
+/**
+ * games.random - Code Instrumenter Tests
+ *
+ * instrument.js is a browser script, so it's loaded into a VM context with
+ * acorn as a global, the same way play.html loads it.
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import vm from 'vm';
+
+const require = createRequire(import.meta.url);
+const INSTRUMENTER_PATH = new URL('../../../front-end/public/instrument.js', import.meta.url);
+
+const window = { acorn: require('acorn') };
+vm.runInNewContext(readFileSync(INSTRUMENTER_PATH, 'utf8'), { window });
+const { Instrumenter } = window;
+
+/**
+ * Instrument code and run it with a tracker recording every hook call
+ *
+ * @param {string} code - Code whose last expression is the value to return
+ * @returns {{result: *, calls: Array<string>, instrumented: string}} Run results
+ */
+function runInstrumented(code) {
+    const { code: instrumented, error } = Instrumenter.instrument(code);
+    assert.equal(error, null);
+
+    const calls = [];
+    const __gameTrace = {
+        enter: (name, line) => calls.push(`enter ${name}:${line}`),
+        exit: name => calls.push(`exit ${name}`)
+    };
+    const result = vm.runInNewContext(instrumented, { __gameTrace });
+    return { result, calls, instrumented };
+}
+
+test('block bodies are wrapped without changing line numbers', () => {
+    const code = 'function add(a, b) {\n    return a + b;\n}\nadd(1, 2);';
+    const { result, calls, instrumented } = runInstrumented(code);
+
+    assert.equal(result, 3);
+    assert.deepEqual(calls, ['enter add:1', 'exit add']);
+    assert.equal(instrumented.split('\n').length, code.split('\n').length);
+});
+
+test('arrow expression bodies keep their value', () => {
+    const { result, calls } = runInstrumented('const point = (x, y) => ({ x, y });\npoint(1, 2);');
+
+    assert.deepEqual({ ...result }, { x: 1, y: 2 });
+    assert.deepEqual(calls, ['enter point:1', 'exit point']);
+});
+
+test('async arrow expression bodies compile and resolve to their value', async () => {
+    const { result, calls } = runInstrumented('const load = async (value) => await value * 2;\nload(21);');
+
+    assert.equal(await result, 42);
+    assert.deepEqual(calls, ['enter load:1', 'exit load']);
+});
+
+test('async and generator block bodies record an instantaneous call', async () => {
+    const code = 'async function wait() { "use strict"; return 1; }\nfunction* count() { yield 1; }\n[wait(), [...count()]];';
+    const { result, calls } = runInstrumented(code);
+
+    assert.equal(await result[0], 1);
+    assert.deepEqual([...result[1]], [1]);
+    assert.deepEqual(calls, ['enter wait:1', 'exit wait', 'enter count:2', 'exit count']);
+});
+
+test('code that does not parse is returned unchanged with the error line', () => {
+    const code = 'function broken() {\n    return (;\n}';
+    const { code: instrumented, error } = Instrumenter.instrument(code);
+
+    assert.equal(instrumented, code);
+    assert.equal(error.line, 2);
+});
+
+test('replacing an arrow function leaves the function after it alone', () => {
+    const code = 'const speed = x => x * 2;\nfunction draw() {\n    text("score", 0, 0);\n}\n';
+    const { code: patched, line } = Instrumenter.replaceFunction(code, 'speed', 'function speed(x) {\n    return x * 3;\n}');
+
+    assert.equal(patched, 'const speed = (x) => {\n    return x * 3;\n};\nfunction draw() {\n    text("score", 0, 0);\n}\n');
+    assert.equal(line, 1);
+});
+
+test('braces inside strings do not end the replaced function early', () => {
+    const code = 'function draw() {\n    text("}", 0, 0);\n}\nfunction update() {}\n';
+    const { code: patched } = Instrumenter.replaceFunction(code, 'draw', 'function draw() {\n    text("{", 10, 10);\n}');
+
+    assert.equal(patched, 'function draw() {\n    text("{", 10, 10);\n}\nfunction update() {}\n');
+});
+
+test('class methods stay methods and keep the class indentation', () => {
+    const code = 'class Play extends Phaser.Scene {\n    update() {\n        this.tick();\n    }\n}\n';
+    const expected = 'class Play extends Phaser.Scene {\n    update(time) {\n        this.tick(time);\n    }\n}\n';
+
+    assert.equal(Instrumenter.replaceFunction(code, 'update', 'function update(time) {\n    this.tick(time);\n}').code, expected);
+    assert.equal(Instrumenter.replaceFunction(code, 'update', 'update(time) {\n    this.tick(time);\n}').code, expected);
+});
+
+test('object methods written as properties keep their form', () => {
+    const code = 'const game = {\n    reset: function() {\n        score = 0;\n    }\n};\n';
+    const { code: patched, line } = Instrumenter.replaceFunction(code, 'reset', 'function reset() {\n    score = 10;\n}');
+
+    assert.equal(patched, 'const game = {\n    reset: function() {\n        score = 10;\n    }\n};\n');
+    assert.equal(line, 2);
+});
+
+test('patches that would not parse are refused', () => {
+    const code = 'function draw() {}\n';
+
+    assert.throws(() => Instrumenter.replaceFunction(code, 'draw', 'function draw() {\n    text("}";\n}'), /doesn't parse/);
+    assert.throws(() => Instrumenter.replaceFunction(code, 'draw', 'function draw() {}\nfunction extra() {}'), /only define draw/);
+    assert.throws(() => Instrumenter.replaceFunction('function draw() {', 'draw', 'function draw() {}'), /line 1/);
+    assert.equal(Instrumenter.replaceFunction(code, 'missing', 'function missing() {}'), null);
+});
@@ -0,0 +1,101 @@
+/**
+ * games.random - Generation Queue Tests
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue } from '../job-queue.js';
+
+/**
+ * A task that runs until finish() is called
+ *
+ * @param {string} name - Value the task resolves with
+ * @param {Array<string>} started - Receives the name when the task starts
+ * @returns {{task: Function, finish: Function}} Task and its finish switch
+ */
+function controlledTask(name, started) {
+    let finish;
+    const done = new Promise(resolve => { finish = () => resolve(name); });
+    return {
+        task: () => {
+            started.push(name);
+            return done;
+        },
+        finish: () => finish()
+    };
+}
+
+test('runs at most `concurrency` tasks at once, in order', async () => {
+    const queue = createJobQueue({ concurrency: 2 });
+    const started = [];
+    const tasks = ['a', 'b', 'c', 'd'].map(name => controlledTask(name, started));
+    const results = tasks.map(({ task }) => queue.run(task));
+
+    await Promise.resolve();
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(queue.stats(), { running: 2, waiting: 2, concurrency: 2 });
+
+    tasks[1].finish();
+    assert.equal(await results[1], 'b');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    tasks.forEach(({ finish }) => finish());
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(queue.stats(), { running: 0, waiting: 0, concurrency: 2 });
+});
+
+test('tells waiting tasks their place in line as it changes', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const started = [];
+    const first = controlledTask('first', started);
+    const positions = [];
+
+    const running = queue.run(first.task);
+    const waiting = queue.run(() => 'second', { onPosition: position => positions.push(position) });
+    assert.deepEqual(positions, [1]);
+
+    first.finish();
+    await running;
+    assert.equal(await waiting, 'second');
+});
+
+test('aborting a waiting task removes it from the queue', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const started = [];
+    const first = controlledTask('first', started);
+    const controller = new AbortController();
+    const positions = [];
+
+    const running = queue.run(first.task);
+    const cancelled = queue.run(controlledTask('cancelled', started).task, { signal: controller.signal });
+    const last = queue.run(() => 'last', { onPosition: position => positions.push(position) });
+    assert.deepEqual(positions, [2]);
+
+    controller.abort(new Error('client left'));
+    await assert.rejects(cancelled, /client left/);
+    assert.deepEqual(positions, [2, 1]);
+
+    first.finish();
+    assert.equal(await running, 'first');
+    assert.equal(await last, 'last');
+    assert.deepEqual(started, ['first']);
+});
+
+test('rejects straight away with an already aborted signal', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    await assert.rejects(queue.run(() => 'never', { signal: AbortSignal.abort(new Error('gone')) }), /gone/);
+    assert.deepEqual(queue.stats(), { running: 0, waiting: 0, concurrency: 1 });
+});
+
+test('a failing task frees its slot', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const failing = queue.run(() => { throw new Error('model error'); });
+    const next = queue.run(() => 'next');
+
+    await assert.rejects(failing, /model error/);
+    assert.equal(await next, 'next');
+});
@@ -0,0 +1,58 @@
+/**
+ * games.random - Password Hashing Tests
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scryptSync } from 'crypto';
+import { hashPassword, verifyPassword } from '../passwords.js';
+
+test('a hash verifies its own password only', async () => {
+    const stored = await hashPassword('correct horse battery');
+
+    assert.match(stored, /^scrypt\$16384\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    assert.equal(await verifyPassword('correct horse battery', stored), true);
+    assert.equal(await verifyPassword('correct horse battery ', stored), false);
+    assert.equal(await verifyPassword('', stored), false);
+});
+
+test('the same password gets a different salt each time', async () => {
+    const [first, second] = await Promise.all([hashPassword('password123'), hashPassword('password123')]);
+
+    assert.notEqual(first, second);
+    assert.equal(await verifyPassword('password123', first), true);
+    assert.equal(await verifyPassword('password123', second), true);
+});
+
+test('hashes made with another cost still verify', async () => {
+    const stored = await hashPassword('password123');
+    const [, , salt] = stored.split('$');
+    const cheaper = `scrypt$1024$${salt}$${scryptSync('password123', Buffer.from(salt, 'base64'), 64, { N: 1024 }).toString('base64')}`;
+
+    assert.equal(await verifyPassword('password123', cheaper), true);
+    assert.equal(await verifyPassword('password124', cheaper), false);
+});
+
+test('malformed hashes never match', async () => {
+    const stored = await hashPassword('password123');
+    const [, cost, salt, hash] = stored.split('$');
+    const malformed = [
+        null,
+        undefined,
+        '',
+        'password123',
+        `bcrypt$${cost}$${salt}$${hash}`,
+        `scrypt$${cost}$$${hash}`,
+        `scrypt$${cost}$${salt}$`,
+        `scrypt$${cost}$${salt}$${hash.slice(0, 20)}`,
+        `scrypt$abc$${salt}$${hash}`,
+        `scrypt$1000$${salt}$${hash}`       // Not a power of two, so scrypt rejects it
+    ];
+
+    for (const value of malformed) {
+        assert.equal(await verifyPassword('password123', value), false, String(value));
+    }
+});
@@ -0,0 +1,59 @@
+/**
+ * games.random - Prompt Registry Tests
+ *
+ * Loads the real templates in back-end/prompts.
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPrompts, hasPrompt, activeVersion, renderTemplate, renderPrompt, listPrompts } from '../prompts.js';
+
+before(() => loadPrompts());
+
+afterEach(() => {
+    delete process.env.PROMPT_VERSIONS;
+});
+
+test('every prompt the server renders is loaded', () => {
+    const names = listPrompts().map(prompt => prompt.name);
+
+    ['game-p5js', 'game-phaser', 'game-canvas', 'repair', 'refine', 'assistant', 'guide'].forEach(name => {
+        assert.ok(names.includes(name), name);
+        assert.ok(hasPrompt(name, 'v1'), `${name}@v1`);
+    });
+    assert.equal(hasPrompt('game-p5js', 'v999'), false);
+    assert.equal(hasPrompt('missing'), false);
+});
+
+test('the highest version is active unless PROMPT_VERSIONS pins one', () => {
+    const { versions } = listPrompts().find(prompt => prompt.name === 'repair');
+    assert.equal(activeVersion('repair'), versions[versions.length - 1]);
+
+    process.env.PROMPT_VERSIONS = 'repair=v1, guide = v1';
+    assert.equal(activeVersion('repair'), 'v1');
+    assert.throws(() => activeVersion('missing'), /Unknown prompt "missing"/);
+});
+
+test('pinning a version that does not exist fails at load time', async () => {
+    process.env.PROMPT_VERSIONS = 'repair=v999';
+    await assert.rejects(loadPrompts(), /PROMPT_VERSIONS pins repair@v999/);
+});
+
+test('templates fill placeholders literally and reject missing values', () => {
+    assert.equal(renderTemplate('Fix this {{STAGE}} error', { STAGE: 'syntax' }), 'Fix this syntax error');
+    assert.equal(renderTemplate('{{CODE}}', { CODE: "s.replace(/a/, '$&$1')" }), "s.replace(/a/, '$&$1')");
+    assert.equal(renderTemplate('{{COUNT}} lives', { COUNT: 0 }), '0 lives');
+    assert.throws(() => renderTemplate('{{MISSING}}', {}, 'Prompt test@v1'), /Prompt test@v1 uses {{MISSING}} but no value was given/);
+});
+
+test('rendered prompts report the version they came from', () => {
+    const { text, promptVersion } = renderPrompt('guide', { LIBRARY: 'p5.js 1.11.1' }, 'v1');
+
+    assert.equal(promptVersion, 'guide@v1');
+    assert.ok(text.includes('p5.js 1.11.1'));
+    assert.ok(!text.includes('{{'));
+    assert.throws(() => renderPrompt('guide', { LIBRARY: 'p5.js' }, 'v999'), /Unknown prompt version guide@v999/);
+});
@@ -0,0 +1,155 @@
+/**
+ * games.random - Rate Limiter Tests
+ *
+ * Date.now() and the sweep timer are mocked, so buckets refill without waiting
+ * and the clock starts at midnight UTC (1970-01-01).
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, createRateLimitMiddleware } from '../rate-limit.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date', 'setInterval'], now: 0 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('a full bucket allows a burst of `limit` requests', () => {
+    const limiter = createRateLimiter({ limit: 3, windowMs: 3 * MINUTE });
+
+    assert.deepEqual([1, 2, 3].map(() => limiter.take('ip').remaining), [2, 1, 0]);
+
+    const blocked = limiter.take('ip');
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.remaining, 0);
+    assert.equal(blocked.retryAfter, 60);
+});
+
+test('buckets refill continuously', () => {
+    const limiter = createRateLimiter({ limit: 3, windowMs: 3 * MINUTE });
+    [1, 2, 3].forEach(() => limiter.take('ip'));
+
+    mock.timers.tick(30 * 1000);
+    assert.equal(limiter.peek('ip').allowed, false);
+    assert.equal(limiter.peek('ip').retryAfter, 30);
+
+    mock.timers.tick(30 * 1000);
+    assert.equal(limiter.take('ip').allowed, true);
+    assert.equal(limiter.take('ip').allowed, false);
+
+    mock.timers.tick(10 * MINUTE);
+    assert.equal(limiter.peek('ip').remaining, 3);
+});
+
+test('keys have separate buckets', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: MINUTE });
+
+    assert.equal(limiter.take('user:a').allowed, true);
+    assert.equal(limiter.take('user:a').allowed, false);
+    assert.equal(limiter.take('user:b').allowed, true);
+});
+
+test('peek does not use a request', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: MINUTE });
+
+    assert.equal(limiter.peek('ip').allowed, true);
+    assert.equal(limiter.peek('ip').allowed, true);
+    assert.equal(limiter.take('ip').allowed, true);
+    assert.equal(limiter.peek('ip').allowed, false);
+});
+
+test('refilled buckets are swept without changing what a key is allowed', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: MINUTE });
+    limiter.take('ip');
+
+    mock.timers.tick(10 * MINUTE);     // The sweep runs and drops the (now full) bucket
+    assert.deepEqual(limiter.peek('ip'), { allowed: true, limit: 2, remaining: 2, retryAfter: 0 });
+});
+
+/**
+ * Run the middleware for one request with fake usage storage
+ *
+ * @param {Object} options
+ * @param {Object} [options.limiter] - Limiter for anonymous requests to 'generate' (null disables)
+ * @param {number} [options.budget=1000] - Daily budget for anonymous requests
+ * @param {number} [options.tokensUsed=0] - Tokens the requester has used today
+ * @returns {Promise<{res: Object, nextCalled: boolean, recorded: Array}>} Response, whether the route ran, and recorded usage
+ */
+async function runMiddleware({ limiter = null, budget = 1000, tokensUsed = 0 } = {}) {
+    const recorded = [];
+    const rateLimit = createRateLimitMiddleware({
+        limiters: { generate: { anonymous: limiter } },
+        budgets: { anonymous: budget },
+        getRequester: req => ({ type: 'anonymous', key: `ip:${req.ip}` }),
+        getTokensUsedToday: async key => (key === 'ip:1.2.3.4' ? tokensUsed : 0),
+        recordUsage: (key, outputTokens) => recorded.push([key, outputTokens])
+    });
+
+    const res = {
+        headers: {},
+        locals: {},
+        statusCode: 200,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let nextCalled = false;
+    await rateLimit('generate')({ ip: '1.2.3.4' }, res, () => { nextCalled = true; });
+
+    return { res, nextCalled, recorded };
+}
+
+test('a spent daily budget is refused until midnight UTC without using the bucket', async () => {
+    mock.timers.tick(22 * HOUR + 30 * MINUTE);
+    const limiter = createRateLimiter({ limit: 2, windowMs: HOUR });
+    const { res, nextCalled } = await runMiddleware({ limiter, budget: 1000, tokensUsed: 1000 });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], String(90 * 60));
+    assert.equal(res.body.reason, 'daily-budget');
+    assert.equal(res.body.retryAfter, 90 * 60);
+    assert.match(res.body.error, /resets in 1h 30m\. Sign in/);
+    assert.equal(limiter.peek('ip:1.2.3.4').remaining, 2);
+});
+
+test('an empty bucket is refused with the wait until the next request', async () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: HOUR });
+    limiter.take('ip:1.2.3.4');
+    limiter.take('ip:1.2.3.4');
+    const { res, nextCalled } = await runMiddleware({ limiter, tokensUsed: 999 });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 429);
+    assert.deepEqual(res.headers, { 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '0', 'Retry-After': '1800' });
+    assert.equal(res.body.reason, 'rate-limit');
+    assert.match(res.body.error, /try again in 30 minutes/);
+});
+
+test('allowed requests reach the route and can record their usage', async () => {
+    const limiter = createRateLimiter({ limit: 3, windowMs: HOUR });
+    const { res, nextCalled, recorded } = await runMiddleware({ limiter });
+
+    assert.equal(nextCalled, true);
+    assert.equal(res.headers['X-RateLimit-Remaining'], '2');
+    assert.equal(res.headers['Retry-After'], undefined);
+
+    res.locals.recordUsage(250);
+    assert.deepEqual(recorded, [['ip:1.2.3.4', 250]]);
+});
+
+test('a zero budget and a missing limiter disable the checks', async () => {
+    const { res, nextCalled } = await runMiddleware({ limiter: null, budget: 0, tokensUsed: 1e9 });
+
+    assert.equal(nextCalled, true);
+    assert.deepEqual(res.headers, {});
+});
@@ -0,0 +1,92 @@
+/**
+ * games.random - MongoDB Session Store Tests
+ *
+ * The store runs against an in-memory stand-in for the Mongoose model, with
+ * EventEmitter in place of express-session's Store base class (which is one).
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { promisify } from 'util';
+import { createSessionStore } from '../session-store.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Create a store over an in-memory sessions collection
+ *
+ * @returns {{docs: Map<string, Object>, call: function(string, ...*): Promise}} The documents, and the store's methods as promises
+ */
+function createStore() {
+    const docs = new Map();
+    const StoredSession = {
+        findById: id => ({ lean: async () => (docs.has(id) ? { _id: id, ...docs.get(id) } : null) }),
+        updateOne: async ({ _id }, update, options = {}) => {
+            if (!docs.has(_id) && !options.upsert) return { matchedCount: 0 };
+            docs.set(_id, { ...docs.get(_id), ...update });
+            return { matchedCount: 1 };
+        },
+        deleteOne: async ({ _id }) => ({ deletedCount: docs.delete(_id) ? 1 : 0 })
+    };
+
+    const MongooseSessionStore = createSessionStore(EventEmitter, StoredSession);
+    const store = new MongooseSessionStore();
+    const call = (method, ...args) => promisify(store[method].bind(store))(...args);
+    return { docs, call };
+}
+
+test('a saved session reads back until its cookie expires', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { call, docs } = createStore();
+    const sess = { cookie: { expires: new Date(HOUR).toISOString() }, passport: { user: 'u1' } };
+
+    await call('set', 'sid', sess);
+    assert.deepEqual(await call('get', 'sid'), sess);
+    assert.equal(docs.get('sid').expires.getTime(), HOUR);
+
+    // Expired but not yet removed by the TTL monitor
+    t.mock.timers.tick(HOUR);
+    assert.equal(await call('get', 'sid'), null);
+    assert.equal(await call('get', 'missing'), null);
+});
+
+test('sessions without a cookie expiry last a day', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { call, docs } = createStore();
+
+    await call('set', 'sid', { cookie: {}, views: 1 });
+    assert.equal(docs.get('sid').expires.getTime(), 24 * HOUR);
+});
+
+test('touch extends the expiry without rewriting the data', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { call, docs } = createStore();
+
+    await call('set', 'sid', { cookie: { expires: new Date(HOUR) }, views: 1 });
+    await call('touch', 'sid', { cookie: { expires: new Date(3 * HOUR) }, views: 2 });
+
+    t.mock.timers.tick(2 * HOUR);
+    assert.deepEqual(await call('get', 'sid'), { cookie: { expires: new Date(HOUR).toISOString() }, views: 1 });
+    assert.equal(docs.get('sid').expires.getTime(), 3 * HOUR);
+
+    // Touching a session that is already gone doesn't bring it back
+    await call('touch', 'gone', { cookie: { expires: new Date(3 * HOUR) } });
+    assert.equal(docs.has('gone'), false);
+});
+
+test('destroy removes the session and database errors reach the callback', async () => {
+    const { call } = createStore();
+
+    await call('set', 'sid', { cookie: {} });
+    await call('destroy', 'sid');
+    assert.equal(await call('get', 'sid'), null);
+
+    const failure = new Error('connection lost');
+    const failing = { findById: () => ({ lean: () => Promise.reject(failure) }) };
+    const BrokenStore = createSessionStore(EventEmitter, failing);
+    await assert.rejects(promisify((sid, callback) => new BrokenStore().get(sid, callback))('sid'), failure);
+});
@@ -0,0 +1,55 @@
+/**
+ * games.random - Smoke Runner Tests
+ *
+ * Runs games through validateGame(), so each case goes through a real smoke
+ * runner process with the permission model enabled.
+ *
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGame } from '../validator.js';
+
+const P5_GAME = `
+let score = 0;
+function setup() { createCanvas(400, 400); }
+function draw() { background(0); score += random(1); createVector(1, 2).add(3, 4); }
+`;
+
+test('a working game passes', async () => {
+    assert.deepEqual(await validateGame(P5_GAME, 'p5js'), { valid: true });
+});
+
+test('game code cannot reach the runner process through engine functions', async () => {
+    const escapes = [
+        "setTimeout.constructor('return process')()",
+        "createVector.constructor('return process')()",
+        "console.log.constructor('return process')()",
+        "this.constructor.constructor('return process')()"
+    ];
+
+    for (const escape of escapes) {
+        const result = await validateGame(`const host = ${escape};\n${P5_GAME}`, 'p5js');
+        assert.equal(result.valid, false, escape);
+        assert.equal(result.error, 'ReferenceError: process is not defined', escape);
+    }
+});
+
+test('errors report the game code line', async () => {
+    const result = await validateGame('function setup() { }\nfunction draw() {\n    undefinedFunction();\n}', 'p5js');
+    assert.equal(result.stage, 'smoke-run');
+    assert.equal(result.line, 3);
+});
+
+test('infinite loops time out', async () => {
+    const result = await validateGame('function setup() { }\nfunction draw() { while (true) { } }', 'p5js');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /did not finish running/);
+});
+
+test('missing entry points are reported', async () => {
+    const result = await validateGame('let x = 0;', 'p5js');
+    assert.equal(result.stage, 'entry-points');
+});
@@ -0,0 +1,163 @@
+/**
+ * games.random - Generated Game Validator
+ *
+ * Checks AI-generated game code before it reaches the player:
+ * 1. Syntax - the code must compile
+ * 2. Entry points - setup()/draw() for p5.js, a Phaser game config with a scene,
+ *    a requestAnimationFrame loop for plain Canvas 2D
+ * 3. Smoke run - the game runs a few frames against stub engines without throwing
+ *
+ * Steps 2 and 3 execute the generated code, so they run in a separate Node
+ * process (smoke-runner.js) with the permission model enabled: no file system
+ * writes, no reads outside the runner, no child processes, limited memory.
+ *
+ * @module validator
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import vm from 'vm';
+import { spawn } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const RUNNER_PATH = join(__dirname, 'smoke-runner.js');
+const PACKAGE_JSON_PATH = join(__dirname, '../../package.json'); // Needed to load the runner as an ES module
+
+const SMOKE_TEST_FRAMES = 10;        // Frames simulated before and after the start input
+const SMOKE_TEST_TIMEOUT = 2000;     // ms allowed for loading the game, and for the frame loop
+const RUNNER_TIMEOUT = 10000;        // ms before the runner process is killed
+const RUNNER_MEMORY_MB = 128;
+
+/**
+ * Result of validating a game
+ *
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - True if every check passed
+ * @property {string} [stage] - Failed check: 'syntax', 'entry-points' or 'smoke-run'
+ * @property {string} [error] - What went wrong
+ * @property {number|null} [line] - 1-based line in the game code, when known
+ * @property {boolean} [skipped] - True if the smoke run couldn't be started on this server
+ */
+
+/**
+ * Check that game code compiles, without running it
+ *
+ * @param {string} code - Game code
+ * @returns {ValidationResult} Syntax check result
+ */
+export function checkSyntax(code) {
+    try {
+        new vm.Script(code, { filename: 'game.js' });
+        return { valid: true };
+    } catch (error) {
+        const match = String(error.stack).match(/game\.js:(\d+)/);
+        return {
+            valid: false,
+            stage: 'syntax',
+            error: `${error.name}: ${error.message}`,
+            line: match ? parseInt(match[1], 10) : null
+        };
+    }
+}
+
+/**
+ * Environment of the smoke runner process
+ * Only NODE_ENV is passed on, so API keys and database URLs never reach the game code
+ *
+ * @returns {Object<string, string>} Environment variables
+ */
+function runnerEnv() {
+    return process.env.NODE_ENV ? { NODE_ENV: process.env.NODE_ENV } : {};
+}
+
+/**
+ * Run the game headlessly in the sandboxed smoke runner process
+ *
+ * @param {string} code - Game code (already syntax-checked)
+ * @param {string} library - Library name (see LIBRARIES in engines.js)
+ * @param {number} frames - Frames to simulate before and after the start input
+ * @returns {Promise<ValidationResult>} Entry point and smoke run result
+ */
+function runSmokeTest(code, library, frames) {
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, [
+            '--experimental-permission',
+            `--allow-fs-read=${RUNNER_PATH}`,
+            `--allow-fs-read=${PACKAGE_JSON_PATH}`,
+            `--max-old-space-size=${RUNNER_MEMORY_MB}`,
+            '--no-warnings',
+            RUNNER_PATH
+        ], { stdio: ['pipe', 'pipe', 'pipe'], env: runnerEnv() });
+
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+        }, RUNNER_TIMEOUT);
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            console.warn(`⚠️  Smoke test skipped: ${error.message}`);
+            resolve({ valid: true, skipped: true });
+        });
+
+        child.on('close', exitCode => {
+            clearTimeout(timer);
+
+            if (timedOut) {
+                resolve({ valid: false, stage: 'smoke-run', error: 'The game never finished loading (possible infinite loop).', line: null });
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(stdout));
+            } catch (parseError) {
+                // Exit code 9 is "invalid argument": this Node version has no permission model
+                if (exitCode === 9) {
+                    console.warn('⚠️  Smoke test skipped: Node.js permission model not available');
+                    resolve({ valid: true, skipped: true });
+                    return;
+                }
+
+                const lastLine = stderr.trim().split('\n').pop() || `exit code ${exitCode}`;
+                resolve({ valid: false, stage: 'smoke-run', error: `The game crashed the smoke test: ${lastLine}`, line: null });
+            }
+        });
+
+        child.stdin.end(JSON.stringify({ code, library, frames, timeout: SMOKE_TEST_TIMEOUT }));
+    });
+}
+
+/**
+ * Validate generated game code: syntax, entry points, then a headless smoke run
+ *
+ * @param {string} code - Clean game code
+ * @param {string} library - Game library (see LIBRARIES in engines.js)
+ * @param {Object} [options] - Validation options
+ * @param {number} [options.frames=10] - Frames to smoke-run before and after the start input
+ * @returns {Promise<ValidationResult>} First failed check, or { valid: true }
+ *
+ * @example
+ * const result = await validateGame(code, 'p5js');
+ * if (!result.valid) console.log(`${result.stage} failed: ${result.error}`);
+ */
+export async function validateGame(code, library, { frames = SMOKE_TEST_FRAMES } = {}) {
+    if (!code || !code.trim()) {
+        return { valid: false, stage: 'syntax', error: 'The response contained no code.', line: null };
+    }
+
+    const syntax = checkSyntax(code);
+    if (!syntax.valid) return syntax;
+
+    return runSmokeTest(code, library, frames);
+}
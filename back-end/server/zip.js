@@ -0,0 +1,129 @@
+/**
+ * games.random - Zip Writer
+ *
+ * Builds small zip archives in memory for game exports. Only what exports
+ * need is supported: a flat list of files, deflate compression, UTF-8 names.
+ * Uses Node's zlib, so no extra packages are needed.
+ *
+ * @module zip
+ * @author Shayan Mazahir
+ * @license GPL-3.0-or-later
+ */
+
+import { deflateRawSync } from 'zlib';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const VERSION = 20;           // 2.0 - deflate
+const FLAG_UTF8_NAMES = 0x0800;
+const METHOD_DEFLATE = 8;
+
+// CRC-32 lookup table (IEEE polynomial, as required by the zip format)
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * CRC-32 checksum of a buffer
+ * @param {Buffer} data - Bytes to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date in MS-DOS format (local time, 2-second precision)
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}} DOS time and date fields
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * A file to put in a zip
+ *
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive (forward slashes)
+ * @property {string|Buffer} content - File contents (strings are written as UTF-8)
+ */
+
+/**
+ * Build a zip archive
+ *
+ * @param {ZipEntry[]} entries - Files to include, in order
+ * @param {Date} [modified=new Date()] - Modification time recorded for every file
+ * @returns {Buffer} Zip file contents
+ *
+ * @example
+ * const zip = createZip([{ name: 'index.html', content: html }, { name: 'game.js', content: code }]);
+ */
+export function createZip(entries, modified = new Date()) {
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, 'utf8');
+        const compressed = deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(FLAG_UTF8_NAMES, 6);
+        local.writeUInt16LE(METHOD_DEFLATE, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);             // Extra field length
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+        central.writeUInt16LE(VERSION, 4);      // Made by
+        central.writeUInt16LE(VERSION, 6);      // Needed to extract
+        central.writeUInt16LE(FLAG_UTF8_NAMES, 8);
+        central.writeUInt16LE(METHOD_DEFLATE, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        // Extra, comment, disk number, internal and external attributes stay 0
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(entries.length, 8);       // Entries on this disk
+    end.writeUInt16LE(entries.length, 10);      // Total entries
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -0,0 +1,587 @@
+/**
+ * games.random - Code Instrumenter
+ *
+ * Parses game code into an AST (via acorn) to find every named function,
+ * method and arrow-assigned function, and wraps each one with enter/exit
+ * hooks for live highlighting. Inserted code never adds line breaks, so
+ * line numbers in the instrumented code match the editor exactly.
+ *
+ * The same analysis drives the documentation panel (function list and
+ * dependency graph) and applying AI-suggested patches to a single function.
+ *
+ * Requires acorn to be loaded first (global `acorn`).
+ *
+ * @author Shayan Mazahir, Mohammad Samin
+ * @license GPL-3.0-or-later
+ */
+
+(function (global) {
+    'use strict';
+
+    // Name of the tracker object the sandbox bridge provides
+    const TRACE_GLOBAL = '__gameTrace';
+
+    const PARSE_OPTIONS = {
+        ecmaVersion: 'latest',
+        sourceType: 'script',       // Games run as classic <script> code
+        locations: true,
+        preserveParens: true,       // Needed to wrap `() => ({ ... })` correctly
+        allowHashBang: true,
+        allowReturnOutsideFunction: true
+    };
+
+    /**
+     * A named function found in game code
+     *
+     * @typedef {Object} FunctionInfo
+     * @property {string} name - Function or method name (e.g. 'update')
+     * @property {string} displayName - Name qualified by its class or object (e.g. 'Player.update')
+     * @property {string} kind - 'function', 'method' or 'arrow'
+     * @property {number} line - 1-based line where the function starts
+     * @property {number} endLine - 1-based line where the function ends
+     * @property {number} start - Character offset of the function start
+     * @property {number} end - Character offset just past the function end
+     * @property {Array<string>} params - Parameter names (destructured params are listed as '…')
+     * @property {Array<string>} calls - Names of functions called directly from this function
+     */
+
+    // ==========================================
+    // AST HELPERS
+    // ==========================================
+
+    /**
+     * Visit every node in an AST depth-first
+     *
+     * @param {Object} node - Root node
+     * @param {Function} enter - Called as enter(node, ancestors) before children
+     * @param {Function} [leave] - Called as leave(node, ancestors) after children
+     * @param {Array<Object>} [ancestors=[]] - Parents of node, outermost first
+     */
+    function walk(node, enter, leave, ancestors) {
+        ancestors = ancestors || [];
+        enter(node, ancestors);
+        ancestors.push(node);
+
+        for (const key of Object.keys(node)) {
+            // Skip locations and the _info/_definition links added during analysis
+            if (key === 'loc' || key.startsWith('_')) continue;
+            const child = node[key];
+
+            if (Array.isArray(child)) {
+                child.forEach(item => {
+                    if (item && typeof item.type === 'string') walk(item, enter, leave, ancestors);
+                });
+            } else if (child && typeof child.type === 'string') {
+                walk(child, enter, leave, ancestors);
+            }
+        }
+
+        ancestors.pop();
+        if (leave) leave(node, ancestors);
+    }
+
+    /**
+     * Read a static property key (identifier, string or number literal)
+     *
+     * @param {Object} key - Key node
+     * @param {boolean} computed - Whether the key is computed ([expr])
+     * @returns {string|null} Key name, or null for dynamic keys
+     */
+    function keyName(key, computed) {
+        if (!computed && key.type === 'Identifier') return key.name;
+        if (key.type === 'PrivateIdentifier') return key.name;
+        if (key.type === 'Literal' && (typeof key.value === 'string' || typeof key.value === 'number')) {
+            return String(key.value);
+        }
+        return null;
+    }
+
+    /**
+     * Skip ParenthesizedExpression wrappers
+     *
+     * @param {Object} node - Expression node
+     * @returns {Object} Innermost non-parenthesized expression
+     */
+    function unwrapParens(node) {
+        while (node && node.type === 'ParenthesizedExpression') node = node.expression;
+        return node;
+    }
+
+    /**
+     * Work out the name of a function node from where it is defined
+     *
+     * @param {Object} node - Function node
+     * @param {Array<Object>} ancestors - Parents of node, outermost first
+     * @returns {{name: string, owner: string|null, kind: string}|null} Naming info, or null for anonymous functions
+     */
+    function nameFunction(node, ancestors) {
+        const kind = node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function';
+
+        if (node.type === 'FunctionDeclaration') {
+            return node.id ? { name: node.id.name, owner: null, kind } : null;
+        }
+
+        // Look through parentheses: const f = (function () {})
+        let index = ancestors.length - 1;
+        while (index >= 0 && ancestors[index].type === 'ParenthesizedExpression') index--;
+        const parent = ancestors[index];
+        if (!parent) return null;
+
+        switch (parent.type) {
+            case 'VariableDeclarator':
+                if (unwrapParens(parent.init) === node && parent.id.type === 'Identifier') {
+                    return { name: parent.id.name, owner: null, kind };
+                }
+                break;
+
+            case 'AssignmentExpression': {
+                if (unwrapParens(parent.right) !== node) break;
+                const target = parent.left;
+                if (target.type === 'Identifier') {
+                    return { name: target.name, owner: null, kind };
+                }
+                if (target.type === 'MemberExpression') {
+                    const name = keyName(target.property, target.computed);
+                    // Player.prototype.move = function () {} → owner "Player"
+                    let object = target.object;
+                    if (object.type === 'MemberExpression' && keyName(object.property, object.computed) === 'prototype') {
+                        object = object.object;
+                    }
+                    const owner = object.type === 'Identifier' ? object.name : null;
+                    return name ? { name, owner, kind } : null;
+                }
+                break;
+            }
+
+            case 'MethodDefinition':
+            case 'PropertyDefinition':
+            case 'Property': {
+                if (parent.type === 'Property' && (parent.kind === 'get' || parent.kind === 'set')) return null;
+                if (parent.type === 'MethodDefinition' && (parent.kind === 'get' || parent.kind === 'set')) return null;
+                if (unwrapParens(parent.value) !== node) break;
+
+                const name = keyName(parent.key, parent.computed);
+                if (!name) return null;
+
+                // Owner is the enclosing class name or the variable holding the object literal
+                const container = ancestors[index - 1];
+                let owner = null;
+                if (container && container.type === 'ClassBody') {
+                    const classNode = ancestors[index - 2];
+                    owner = classNode && classNode.id ? classNode.id.name : null;
+                } else if (container && container.type === 'ObjectExpression') {
+                    const holder = ancestors[index - 2];
+                    if (holder && holder.type === 'VariableDeclarator' && holder.id.type === 'Identifier') {
+                        owner = holder.id.name;
+                    }
+                }
+
+                const isMethod = parent.type === 'MethodDefinition' || parent.method;
+                return { name, owner, kind: isMethod ? 'method' : kind };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the callee name of a call expression
+     *
+     * @param {Object} node - CallExpression or NewExpression node
+     * @returns {string|null} Called function name (foo() → 'foo', this.foo() → 'foo')
+     */
+    function calleeName(node) {
+        const callee = unwrapParens(node.callee);
+        if (callee.type === 'Identifier') return callee.name;
+        if (callee.type === 'MemberExpression') return keyName(callee.property, callee.computed);
+        return null;
+    }
+
+    /**
+     * Describe a function parameter for documentation
+     *
+     * @param {Object} param - Parameter pattern node
+     * @returns {string} Parameter name
+     */
+    function paramName(param) {
+        if (param.type === 'Identifier') return param.name;
+        if (param.type === 'AssignmentPattern') return paramName(param.left);
+        if (param.type === 'RestElement') return '...' + paramName(param.argument);
+        return '…';
+    }
+
+    // ==========================================
+    // ANALYSIS
+    // ==========================================
+
+    /**
+     * Parse game code and collect named functions with their calls
+     *
+     * @param {string} code - Game code
+     * @returns {{ast: Object, functions: Array<FunctionInfo>, nodes: Array<Object>}} Parse results
+     * @throws {SyntaxError} If the code doesn't parse (error has loc.line / loc.column)
+     */
+    function collectFunctions(code) {
+        const ast = global.acorn.parse(code, PARSE_OPTIONS);
+        const functions = [];
+        const nodes = [];       // Function AST node for each entry in functions
+        const stack = [];       // Enclosing named functions, innermost last
+
+        walk(ast, (node, ancestors) => {
+            if (/^(FunctionDeclaration|FunctionExpression|ArrowFunctionExpression)$/.test(node.type)) {
+                const naming = nameFunction(node, ancestors);
+                node._info = null;
+
+                if (naming) {
+                    const info = {
+                        name: naming.name,
+                        displayName: naming.owner ? `${naming.owner}.${naming.name}` : naming.name,
+                        kind: naming.kind,
+                        line: node.loc.start.line,
+                        endLine: node.loc.end.line,
+                        start: node.start,
+                        end: node.end,
+                        params: node.params.map(paramName),
+                        calls: []
+                    };
+
+                    // Methods start at their key, not at the parameter list
+                    const definition = ancestors[ancestors.length - 1];
+                    if (definition && /^(MethodDefinition|Property|PropertyDefinition)$/.test(definition.type) && naming.kind === 'method') {
+                        info.line = definition.loc.start.line;
+                        info.start = definition.start;
+                        node._definition = definition;
+                    }
+
+                    node._info = info;
+                    functions.push(info);
+                    nodes.push(node);
+                    stack.push(info);
+                }
+            } else if ((node.type === 'CallExpression' || node.type === 'NewExpression') && stack.length > 0) {
+                const name = calleeName(node);
+                const current = stack[stack.length - 1];
+                if (name && !current.calls.includes(name)) current.calls.push(name);
+            }
+        }, (node) => {
+            if (node._info) stack.pop();
+        });
+
+        return { ast, functions, nodes };
+    }
+
+    /**
+     * Analyze game code for the documentation panel and live highlighting
+     * Never throws: code that doesn't parse returns an error and no functions
+     *
+     * @param {string} code - Game code
+     * @returns {{functions: Array<FunctionInfo>, dependencies: Array<{from: string, to: string}>, error: Object|null}} Analysis
+     *
+     * @example
+     * const { functions } = Instrumenter.analyze(editor.getValue());
+     * functions.forEach(f => console.log(f.displayName, 'at line', f.line));
+     */
+    function analyze(code) {
+        let functions;
+        try {
+            functions = collectFunctions(code).functions;
+        } catch (error) {
+            return { functions: [], dependencies: [], error: formatError(error) };
+        }
+
+        // Only keep calls to functions defined in the game itself
+        const known = new Set(functions.map(f => f.name));
+        const dependencies = [];
+        const seen = new Set();
+
+        functions.forEach(func => {
+            func.calls.forEach(callee => {
+                const key = `${func.name}->${callee}`;
+                if (callee !== func.name && known.has(callee) && !seen.has(key)) {
+                    seen.add(key);
+                    dependencies.push({ from: func.name, to: callee });
+                }
+            });
+        });
+
+        return { functions, dependencies, error: null };
+    }
+
+    // ==========================================
+    // INSTRUMENTATION
+    // ==========================================
+
+    /**
+     * Wrap every named function with enter/exit hooks
+     *
+     * Block bodies become `{ enter(); try { ...original... } finally { exit(); } }`
+     * and expression bodies `=> { enter(); try { return (expr); } finally { exit(); } }`.
+     * Async functions and generators get `enter(); exit();` at the start instead
+     * (async expression bodies become `=> { enter(); exit(); return (expr); }`).
+     * Insertions are made on existing lines only, so line numbers are unchanged.
+     *
+     * @param {string} code - Game code
+     * @param {Object} [options]
+     * @param {Function} [options.shouldWrap] - Called with each FunctionInfo; return false to skip it
+     * @returns {{code: string, functions: Array<FunctionInfo>, error: Object|null}} Instrumented code (original code if it doesn't parse)
+     *
+     * @example
+     * const { code } = Instrumenter.instrument(gameCode);
+     * // function jump(power) { __gameTrace.enter("jump", 12);try{ ... }finally{__gameTrace.exit("jump");} }
+     */
+    function instrument(code, options) {
+        const shouldWrap = (options && options.shouldWrap) || (() => true);
+        let collected;
+
+        try {
+            collected = collectFunctions(code);
+        } catch (error) {
+            return { code, functions: [], error: formatError(error) };
+        }
+
+        const edits = [];
+
+        collected.nodes.forEach((node, index) => {
+            const info = collected.functions[index];
+            if (!shouldWrap(info)) return;
+
+            const name = JSON.stringify(info.name);
+            const enter = `${TRACE_GLOBAL}.enter(${name}, ${info.line});`;
+            const exit = `${TRACE_GLOBAL}.exit(${name});`;
+            const depth = ancestorsDepth(collected.nodes, node);
+            const body = node.body;
+
+            // Async functions and generators suspend mid-body, so a try/finally exit
+            // would fire long after other calls; record them as instantaneous calls
+            const suspends = node.async || node.generator;
+
+            if (body.type === 'BlockStatement') {
+                // Keep "use strict" and other directives at the top of the body
+                let insertAt = body.start + 1;
+                for (const statement of body.body) {
+                    if (statement.directive === undefined) break;
+                    insertAt = statement.end;
+                }
+
+                if (suspends) {
+                    edits.push({ pos: insertAt, text: enter + exit, open: true, depth });
+                    return;
+                }
+
+                edits.push({ pos: insertAt, text: `${enter}try{`, open: true, depth });
+                edits.push({ pos: body.end - 1, text: `}finally{${exit}}`, open: false, depth });
+            } else if (suspends) {
+                edits.push({ pos: body.start, text: `{${enter + exit}return (`, open: true, depth });
+                edits.push({ pos: body.end, text: ');}', open: false, depth });
+            } else {
+                edits.push({ pos: body.start, text: `{${enter}try{return (`, open: true, depth });
+                edits.push({ pos: body.end, text: `);}finally{${exit}}}`, open: false, depth });
+            }
+        });
+
+        return { code: applyEdits(code, edits), functions: collected.functions, error: null };
+    }
+
+    /**
+     * Count how many instrumented functions enclose a function node
+     *
+     * @param {Array<Object>} nodes - All named function nodes
+     * @param {Object} node - Function node
+     * @returns {number} Nesting depth (0 for top-level functions)
+     */
+    function ancestorsDepth(nodes, node) {
+        return nodes.filter(other => other !== node && other.start <= node.start && other.end >= node.end).length;
+    }
+
+    /**
+     * Apply text insertions to code
+     *
+     * Edits are applied from the end of the file backwards. When several land
+     * on the same offset, closing text of inner functions must come before that
+     * of outer functions, and opening text of outer functions before inner ones.
+     *
+     * @param {string} code - Original code
+     * @param {Array<{pos: number, text: string, open: boolean, depth: number}>} edits - Insertions
+     * @returns {string} Code with all insertions applied
+     */
+    function applyEdits(code, edits) {
+        edits.sort((a, b) => {
+            if (a.pos !== b.pos) return b.pos - a.pos;
+            if (a.open !== b.open) return a.open ? -1 : 1;     // Opens end up after closes
+            return a.open ? b.depth - a.depth : a.depth - b.depth;
+        });
+
+        let result = code;
+        edits.forEach(edit => {
+            result = result.slice(0, edit.pos) + edit.text + result.slice(edit.pos);
+        });
+        return result;
+    }
+
+    // ==========================================
+    // PATCHING
+    // ==========================================
+
+    /**
+     * Replace a named function with a suggested version of it
+     *
+     * The function is located by its AST offsets, so braces in strings and
+     * arrow functions without a body can't throw the match off. The suggestion
+     * is rewritten into the form the original was written in (declaration,
+     * function expression, arrow function or class/object method), keeping the
+     * original's name and position.
+     *
+     * @param {string} code - Current game code
+     * @param {string} name - Name of the function to replace (first definition wins)
+     * @param {string} suggestion - New version of the function, in any form
+     * @returns {{code: string, line: number}|null} Patched code and the function's line, or null if code doesn't define name
+     * @throws {Error} If either piece of code doesn't parse, or the patched code wouldn't
+     *
+     * @example
+     * // const speed = x => x * 2;
+     * Instrumenter.replaceFunction(code, 'speed', 'function speed(x) { return x * 3; }');
+     * // const speed = (x) => { return x * 3; };
+     */
+    function replaceFunction(code, name, suggestion) {
+        let collected;
+        try {
+            collected = collectFunctions(code);
+        } catch (error) {
+            throw new Error(`Your code has a syntax error on line ${formatError(error).line}, fix it first`);
+        }
+
+        const index = collected.functions.findIndex(func => func.name === name);
+        if (index === -1) return null;
+
+        const info = collected.functions[index];
+        const target = collected.nodes[index];
+        const patch = suggestedFunction(suggestion, name);
+        let replacement;
+
+        if (target._definition) {
+            const definition = target._definition;
+            const key = code.slice(definition.key.start, definition.key.end);
+            replacement = `${definition.static ? 'static ' : ''}${functionPrefix(patch.node, '')}`
+                + `${definition.computed ? `[${key}]` : key}${patchSignature(patch, false)}`;
+        } else if (target.type === 'ArrowFunctionExpression') {
+            if (patch.node.generator) throw new Error(`${name}() is an arrow function, so it can't become a generator`);
+            replacement = `${patch.node.async ? 'async ' : ''}${patchSignature(patch, true)}`;
+        } else {
+            replacement = `${functionPrefix(patch.node, 'function')}${target.id ? ' ' + target.id.name : ''}`
+                + patchSignature(patch, false);
+        }
+
+        // Re-indent the suggestion's lines to where the original sits
+        const indent = lineIndent(code, info.start);
+        const suggestionIndent = lineIndent(patch.source, patch.node.start);
+        replacement = replacement.split('\n').map((line, lineIndex) => {
+            if (lineIndex === 0 || !line) return line;
+            return indent + (line.startsWith(suggestionIndent) ? line.slice(suggestionIndent.length) : line);
+        }).join('\n');
+
+        const patched = code.slice(0, info.start) + replacement + code.slice(target.end);
+        try {
+            global.acorn.parse(patched, PARSE_OPTIONS);
+        } catch (error) {
+            throw new Error(`The patched code wouldn't run (${error.message})`);
+        }
+
+        return { code: patched, line: info.line };
+    }
+
+    /**
+     * Find the named function in a suggested patch
+     *
+     * @param {string} suggestion - Suggested code: one function declaration,
+     *     variable/assignment holding a function, or bare method (`update() { ... }`)
+     * @param {string} name - Function the suggestion should define
+     * @returns {{node: Object, source: string}} Function node and the source its offsets refer to
+     * @throws {Error} If the suggestion doesn't parse or holds more than that function
+     */
+    function suggestedFunction(suggestion, name) {
+        let source = suggestion;
+        let collected;
+
+        try {
+            collected = collectFunctions(source);
+        } catch (error) {
+            // A bare method only parses inside a class body
+            source = `class Patch {\n${suggestion}\n}`;
+            try {
+                collected = collectFunctions(source);
+            } catch {
+                throw new Error(`The suggested code doesn't parse (${error.message})`);
+            }
+        }
+
+        const index = collected.functions.findIndex(func => func.name === name);
+        const statements = collected.ast.body;
+        const members = source === suggestion ? statements : statements[0].body.body;
+        if (index === -1 || statements.length !== 1 || members.length !== 1) {
+            throw new Error(`The suggested code should only define ${name}()`);
+        }
+
+        return { node: collected.nodes[index], source };
+    }
+
+    /**
+     * Build the `async`/`*` modifiers of a patched function around a keyword
+     *
+     * @param {Object} node - Suggested function node
+     * @param {string} keyword - 'function', or '' for methods
+     * @returns {string} e.g. 'async function*', or 'async *' for methods
+     */
+    function functionPrefix(node, keyword) {
+        return `${node.async ? 'async ' : ''}${keyword}${node.generator ? '*' : ''}`;
+    }
+
+    /**
+     * Build the parameter list and body of a patched function
+     *
+     * @param {{node: Object, source: string}} patch - Suggested function
+     * @param {boolean} arrow - Whether the target is an arrow function
+     * @returns {string} e.g. '(x, y) { ... }' or '(x, y) => x + y'
+     */
+    function patchSignature(patch, arrow) {
+        const { node, source } = patch;
+        const params = `(${node.params.map(param => source.slice(param.start, param.end)).join(', ')})`;
+        const body = source.slice(node.body.start, node.body.end);
+
+        if (arrow) return `${params} => ${body}`;
+        // An arrow's expression body becomes a return statement
+        return node.body.type === 'BlockStatement' ? `${params} ${body}` : `${params} {\n    return ${body};\n}`;
+    }
+
+    /**
+     * Get the indentation of the line containing an offset
+     *
+     * @param {string} code - Source text
+     * @param {number} offset - Character offset
+     * @returns {string} Leading whitespace of that line
+     */
+    function lineIndent(code, offset) {
+        const lineStart = code.lastIndexOf('\n', offset - 1) + 1;
+        return code.slice(lineStart).match(/^[ \t]*/)[0];
+    }
+
+    /**
+     * Convert an acorn error to a plain object
+     *
+     * @param {Error} error - Parse error
+     * @returns {{message: string, line: number|null, column: number|null}} Error details
+     */
+    function formatError(error) {
+        return {
+            message: error.message,
+            line: error.loc ? error.loc.line : null,
+            column: error.loc ? error.loc.column + 1 : null
+        };
+    }
+
+    global.Instrumenter = {
+        TRACE_GLOBAL,
+        analyze,
+        instrument,
+        replaceFunction
+    };
+})(window);
@@ -0,0 +1,347 @@
+/**
+ * games.random - Sandbox Bridge
+ *
+ * Runs inside the sandboxed game iframe, after the game engine and before the
+ * generated game code. Relays function executions, console output and errors
+ * to the play page via postMessage, and listens for start/stop commands.
+ *
+ * The iframe has an opaque origin, so the game cannot reach the editor,
+ * the chat or the user's session cookies.
+ *
+ * @author Shayan Mazahir, Mohammad Samin
+ * @license GPL-3.0-or-later
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================
+    // MESSAGING - Game → Play Page
+    // ==========================================
+
+    /**
+     * Send an event to the play page
+     * The host checks event.source, so the target origin can stay open
+     *
+     * @param {string} type - Event type ('function-calls', 'profile', 'console', 'error', 'ready')
+     * @param {Object} [payload] - Event data
+     */
+    function post(type, payload) {
+        window.parent.postMessage(Object.assign({ channel: 'games.random', type: type }, payload), '*');
+    }
+
+    /**
+     * Convert a console argument to a short printable string
+     *
+     * @param {*} value - Any value passed to console.*
+     * @returns {string} Printable representation (max 500 chars)
+     */
+    function stringify(value) {
+        let text;
+
+        if (typeof value === 'string') {
+            text = value;
+        } else if (value instanceof Error) {
+            text = value.stack || value.message;
+        } else {
+            try {
+                text = JSON.stringify(value);
+            } catch (e) {
+                text = String(value); // Circular structures (p5/Phaser objects)
+            }
+            if (text === undefined) text = String(value);
+        }
+
+        return text.length > 500 ? text.slice(0, 500) + '…' : text;
+    }
+
+    // ==========================================
+    // FUNCTION TRACKING - Called by Instrumented Code
+    // ==========================================
+
+    // Calls are batched: games can run hundreds of tracked functions per frame,
+    // far more than is worth posting one message each
+    const FLUSH_INTERVAL = 100; // ms
+    let pendingCalls = new Map();
+    let flushScheduled = false;
+
+    /**
+     * Post all calls recorded since the last flush as one 'function-calls' event
+     */
+    function flushCalls() {
+        flushScheduled = false;
+        if (pendingCalls.size === 0) return;
+
+        post('function-calls', { calls: Array.from(pendingCalls.values()) });
+        pendingCalls = new Map();
+    }
+
+    // ==========================================
+    // PROFILER - Timing, Call Graph & Frame Times
+    // ==========================================
+
+    const PROFILE_INTERVAL = 500;      // ms between 'profile' reports
+    const ENGINE_CALLER = '(engine)';  // Caller of functions invoked by p5/Phaser/the browser
+
+    const callStack = [];              // Active tracked calls, innermost last
+    let profileFunctions = new Map();  // 'name:line' → { name, line, calls, selfTime, totalTime }
+    let profileEdges = new Map();      // 'caller>callee' → { from, to, count }
+    let profileFrames = [];            // { duration, scriptTime } per animation frame
+    let frameScriptTime = 0;           // Time spent in tracked code since the last frame
+    let lastFrameTime = null;
+    let gameStopped = false;
+
+    /**
+     * Get (or create) the profile entry for a function
+     *
+     * @param {string} name - Function name
+     * @param {number} line - Line of the function in the editor
+     * @returns {Object} Mutable profile entry for this report interval
+     */
+    function profileEntry(name, line) {
+        const key = name + ':' + line;
+        let entry = profileFunctions.get(key);
+
+        if (!entry) {
+            entry = { name: name, line: line, calls: 0, selfTime: 0, totalTime: 0 };
+            profileFunctions.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Record one animation frame and keep the frame loop going
+     *
+     * @param {number} now - rAF timestamp
+     */
+    function recordFrame(now) {
+        if (lastFrameTime !== null && !gameStopped) {
+            profileFrames.push({ duration: now - lastFrameTime, scriptTime: frameScriptTime });
+        }
+
+        frameScriptTime = 0;
+        lastFrameTime = now;
+        window.requestAnimationFrame(recordFrame);
+    }
+
+    window.requestAnimationFrame(recordFrame);
+
+    /**
+     * Post everything recorded since the last report as one 'profile' event
+     */
+    function flushProfile() {
+        if (profileFunctions.size === 0 && profileFrames.length === 0) return;
+
+        post('profile', {
+            functions: Array.from(profileFunctions.values()),
+            edges: Array.from(profileEdges.values()),
+            frames: profileFrames
+        });
+
+        profileFunctions = new Map();
+        profileEdges = new Map();
+        profileFrames = [];
+    }
+
+    setInterval(flushProfile, PROFILE_INTERVAL);
+
+    /**
+     * Hooks inserted by instrument.js at the start and end of every tracked function
+     */
+    window.__gameTrace = {
+        /**
+         * Record that a game function was entered
+         *
+         * @param {string} name - Function name
+         * @param {number} line - Line of the function in the editor
+         */
+        enter: function (name, line) {
+            const key = name + ':' + line;
+            const pending = pendingCalls.get(key);
+
+            if (pending) {
+                pending.count++;
+            } else {
+                pendingCalls.set(key, { name: name, line: line, count: 1 });
+            }
+
+            if (!flushScheduled) {
+                flushScheduled = true;
+                setTimeout(flushCalls, FLUSH_INTERVAL);
+            }
+
+            // Count the call and the caller → callee edge
+            profileEntry(name, line).calls++;
+
+            const caller = callStack.length > 0 ? callStack[callStack.length - 1].name : ENGINE_CALLER;
+            const edgeKey = caller + '>' + name;
+            const edge = profileEdges.get(edgeKey);
+
+            if (edge) {
+                edge.count++;
+            } else {
+                profileEdges.set(edgeKey, { from: caller, to: name, count: 1 });
+            }
+
+            callStack.push({ name: name, line: line, start: performance.now(), childTime: 0 });
+        },
+
+        /**
+         * Record that a game function returned or threw
+         *
+         * @param {string} name - Function name
+         */
+        exit: function (name) {
+            const now = performance.now();
+
+            // Normally the top of the stack; search down in case a call was abandoned
+            let index = callStack.length - 1;
+            while (index >= 0 && callStack[index].name !== name) index--;
+            if (index < 0) return;
+
+            const call = callStack[index];
+            callStack.length = index;
+
+            const elapsed = now - call.start;
+            const entry = profileEntry(call.name, call.line);
+            entry.selfTime += elapsed - call.childTime;
+
+            // Recursive calls count towards total time only once, at the outermost call
+            const stillActive = callStack.some(function (outer) {
+                return outer.name === call.name && outer.line === call.line;
+            });
+            if (!stillActive) entry.totalTime += elapsed;
+
+            if (callStack.length > 0) {
+                callStack[callStack.length - 1].childTime += elapsed;
+            } else {
+                frameScriptTime += elapsed;
+            }
+        }
+    };
+
+    // ==========================================
+    // CONSOLE & ERROR FORWARDING
+    // ==========================================
+
+    ['log', 'info', 'warn', 'error'].forEach(function (level) {
+        const original = console[level];
+        console[level] = function () {
+            const args = Array.prototype.slice.call(arguments);
+            post('console', { level: level, text: args.map(stringify).join(' ') });
+            original.apply(console, args);
+        };
+    });
+
+    window.addEventListener('error', function (event) {
+        post('error', {
+            message: event.message,
+            filename: event.filename,
+            line: event.lineno,
+            column: event.colno
+        });
+    });
+
+    window.addEventListener('unhandledrejection', function (event) {
+        post('error', { message: 'Unhandled promise rejection: ' + stringify(event.reason) });
+    });
+
+    // ==========================================
+    // STORAGE FALLBACK - Opaque Origin
+    // ==========================================
+
+    // Sandboxed iframes can't use localStorage; give games (high scores etc.)
+    // an in-memory stand-in so they don't crash on first access
+    try {
+        window.localStorage.getItem('test');
+    } catch (e) {
+        const memory = {};
+        const memoryStorage = {
+            getItem: function (key) { return Object.prototype.hasOwnProperty.call(memory, key) ? memory[key] : null; },
+            setItem: function (key, value) { memory[key] = String(value); },
+            removeItem: function (key) { delete memory[key]; },
+            clear: function () { Object.keys(memory).forEach(function (key) { delete memory[key]; }); }
+        };
+        try {
+            Object.defineProperty(window, 'localStorage', { value: memoryStorage, configurable: true });
+        } catch (defineError) {
+            // Leave the browser's behaviour in place if it can't be overridden
+        }
+    }
+
+    // ==========================================
+    // ENGINE HOOKS - Start / Stop Support
+    // ==========================================
+
+    // Phaser games are usually stored in a top-level const, which isn't
+    // reachable from here, so record every instance as it is created
+    const phaserGames = [];
+
+    if (window.Phaser && window.Phaser.Game) {
+        const OriginalGame = window.Phaser.Game;
+        window.Phaser.Game = class extends OriginalGame {
+            constructor(config) {
+                super(config);
+                phaserGames.push(this);
+            }
+        };
+    }
+
+    // Games without an engine (plain Canvas 2D) drive their own loop with
+    // requestAnimationFrame, so hold the frames they ask for while stopped
+    const heldFrameCallbacks = [];
+    let resumeHeldFrames = null;
+
+    if (!window.p5 && !window.Phaser) {
+        const nativeRequestFrame = window.requestAnimationFrame.bind(window);
+        window.requestAnimationFrame = function (callback) {
+            if (!gameStopped) return nativeRequestFrame(callback);
+            heldFrameCallbacks.push(callback);
+            return 0;
+        };
+        resumeHeldFrames = function () {
+            heldFrameCallbacks.splice(0).forEach(function (callback) { nativeRequestFrame(callback); });
+        };
+    }
+
+    /**
+     * Pause the game loop (p5.js noLoop / Phaser loop sleep / held animation frames)
+     */
+    function stopGame() {
+        gameStopped = true;
+        if (typeof window.noLoop === 'function') window.noLoop();
+        phaserGames.forEach(function (game) { game.loop.sleep(); });
+    }
+
+    /**
+     * Resume the game loop after stopGame()
+     */
+    function startGame() {
+        gameStopped = false;
+        lastFrameTime = null; // Don't record the paused time as one long frame
+        if (typeof window.loop === 'function') window.loop();
+        phaserGames.forEach(function (game) { game.loop.wake(); });
+        if (resumeHeldFrames) resumeHeldFrames();
+    }
+
+    // ==========================================
+    // COMMANDS - Play Page → Game
+    // ==========================================
+
+    window.addEventListener('message', function (event) {
+        if (event.source !== window.parent) return;
+
+        const data = event.data || {};
+        if (data.channel !== 'games.random' || data.type !== 'command') return;
+
+        if (data.command === 'stop') {
+            stopGame();
+        } else if (data.command === 'start') {
+            startGame();
+        }
+    });
+
+    window.addEventListener('load', function () {
+        post('ready');
+    });
+})();